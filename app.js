@@ -6,24 +6,108 @@ import PromptSync from "prompt-sync";
 import { 
     ejecutarOperaciones,
     ejecutarSolicitudes,
-    ejecutarAnalisis
- } from "./modulo/index.js"; // Importa la opción 1 (Ejercicio 2) e Importa la opción 2 (Ejercicio 3) e Importa la opción 3 (Ejercicio 1).
+    ejecutarAnalisis,
+    imprimirVerificacion,
+    consultarSolicitud,
+    avanzarSolicitud,
+    transicionesPosibles,
+    ESTADOS_AUTOMATICOS,
+    describirHistorial,
+    ejecutarLineaComandos,
+    escribirReporte,
+    FORMATOS_REPORTE,
+    validarPeriodo
+ } from "./modulo/index.js"; // Importa la opción 1 (Ejercicio 2) e Importa la opción 2 (Ejercicio 3) e Importa la opción 3 (Ejercicio 1) e Importa la opción 4 (auditoría) e Importa la opción 5 (ciclo de vida) e Importa la exportación de reportes.
 
 // Inicializa 'prompt' para capturar texto de usuario
 const prompt = PromptSync();
 
 // mainMenu():
-// - Muestra un menú con tres opciones.
+// - Muestra un menú con seis opciones.
 // - Lee la elección del usuario.
 // - Ejecuta la opción correspondiente con await.
 // - Maneja errores sin bloquear el flujo.
-// - Sale cuando el usuario elige la opción "3".
+// - Sale cuando el usuario elige la opción "6".
 
 // Detalles didácticos:
 // - El 'while (!salir)' mantiene el menú hasta que se indique lo contrario.
 // - 'try/catch' envuelve lectura y ejecución para mostrar errores comprensibles.
 // - 'switch' decide el flujo según la opción elegida.
 
+// preguntarReprocesar():
+// - Pregunta si se deben procesar de nuevo los elementos ya guardados con resultado en data/.
+// - Devuelve true solo si el usuario responde "s"; con Enter se procesan únicamente los pendientes.
+function preguntarReprocesar() {
+    return prompt('¿Reprocesar también los ya procesados? (s/N): ').trim().toLowerCase() === 's';
+}
+
+// preguntarPeriodo():
+// - Pide el rango del reporte por periodo; con Enter se toma todo el rango de fechas.
+// - Vuelve a preguntar mientras el rango no sea válido (validarPeriodo), así el error aparece antes de procesar el lote.
+function preguntarPeriodo() {
+    while (true) {
+        const desde = prompt('Reporte por periodo desde (AAAA-MM-DD, Enter para sin límite): ').trim();
+        const hasta = prompt('Reporte por periodo hasta (AAAA-MM-DD, Enter para sin límite): ').trim();
+        const periodo = { desde: desde || undefined, hasta: hasta || undefined };
+        try {
+            validarPeriodo(periodo);
+            return periodo;
+        } catch (err) {
+            console.log(err.message);
+        }
+    }
+}
+
+// exportarReporte(reporte):
+// - Ofrece escribir el reporte estructurado de la ejecución (texto, json, csv o ndjson) en pantalla o en un archivo.
+// - Con Enter no se exporta nada (el reporte ya se mostró en consola).
+async function exportarReporte(reporte) {
+    const formato = prompt(`Exportar reporte (${FORMATOS_REPORTE.join(' / ')}, Enter para omitir): `).trim().toLowerCase();
+    if (formato.length === 0) return;
+    const salida = prompt('Archivo de salida (Enter para mostrarlo en pantalla): ').trim();
+    const ruta = await escribirReporte(reporte, { formato, salida: salida || undefined });
+    if (ruta) console.log(`Reporte guardado en ${ruta}`);
+}
+
+// conCancelacion(ejecutar):
+// - Ejecuta un lote con una AbortSignal que se activa con Ctrl+C: el lote deja de procesar lo pendiente
+//   y muestra su resumen parcial; el menú sigue activo.
+// - Mientras corre el lote, Ctrl+C no cierra el programa (una segunda vez sí, con el comportamiento normal).
+async function conCancelacion(ejecutar) {
+    const controlador = new AbortController();
+    const cancelar = () => {
+        console.log('\nCtrl+C: cancelando el lote (lo pendiente queda para la próxima ejecución)...');
+        controlador.abort();
+    };
+    process.once('SIGINT', cancelar);
+    try {
+        return await ejecutar(controlador.signal);
+    } finally {
+        process.off('SIGINT', cancelar);
+    }
+}
+
+// avanzarCicloSolicitud():
+// - Pide el id de una solicitud ya procesada, muestra su historial y los estados a los que puede pasar.
+// - Aplica la transición elegida (con un comentario opcional); una transición no permitida muestra el error y no cambia nada.
+async function avanzarCicloSolicitud() {
+    const id = Number(prompt('Id de la solicitud: ').trim());
+    const ciclo = await consultarSolicitud(id);
+    console.log(`\nSolicitud ${id}: estado actual ${ciclo.estado}`);
+    describirHistorial(ciclo).forEach(linea => console.log(`  ${linea}`));
+
+    // Los estados automáticos (asignada, rechazada) los decide la opción 2; no se ofrecen aquí.
+    const posibles = transicionesPosibles(ciclo.estado).filter(estado => !ESTADOS_AUTOMATICOS.includes(estado));
+    if (posibles.length === 0) {
+        console.log(`La solicitud está ${ciclo.estado}: no admite más transiciones.`);
+        return;
+    }
+    const destino = prompt(`Nuevo estado (${posibles.join(' / ')}): `).trim().toLowerCase();
+    const motivo = prompt('Comentario (Enter para omitir): ').trim();
+    const nuevo = await avanzarSolicitud(id, destino, { motivo });
+    console.log(`Solicitud ${id}: ${ciclo.estado} → ${nuevo.estado}`);
+}
+
 async function mainMenu() {
     // Booleano de control: cuando sea true, salimos del bucle y termina el programa.
     let salir = false;
@@ -34,51 +118,89 @@ async function mainMenu() {
         console.log('Opción 1. Procesar operaciones por lotes (Ejercicio 2)');              // Opción 1.
         console.log('Opción 2. Gestionar solicitudes de servicio (Ejercicio 3)');           // Opción 2.
         console.log('Opción 3. Analizar transacciones y control de riesgo (Ejercicio1)');   // Opción 3.
-        console.log('Opción 4. Salir');                                                     // Opción 4.
+        console.log('Opción 4. Verificar registro de auditoría');                            // Opción 4.
+        console.log('Opción 5. Avanzar una solicitud en su ciclo de vida (Ejercicio 3)');   // Opción 5.
+        console.log('Opción 6. Salir');                                                     // Opción 6.
 
         // try/catch para capturar errores en la lectura o ejecución de las opciones.
         try {
-            const opcion = prompt('Seleccione una opción (1-4): ').trim(); // Lee la opción y elimina espacios extra.
+            const opcion = prompt('Seleccione una opción (1-6): ').trim(); // Lee la opción y elimina espacios extra.
 
             // Valida entrada vacía (usuario presiona Enter sin escribir).
             if (opcion.length === 0) {
-                console.log('\nEntrada vacía. Por favor ingrese una opción válida (1, 2 , 3 o 4).');
+                console.log('\nEntrada vacía. Por favor ingrese una opción válida (1, 2, 3, 4, 5 o 6).');
                 // Vuelve al inicio del bucle sin evaluar el switch.
                 continue;
             }
 
-            // Evalúa la opción elegida ('1', '2', '3', '4').
+            // Evalúa la opción elegida ('1', '2', '3', '4', '5', '6').
             switch (opcion) {
-                case '1':
+                case '1': {
                 console.log('\nHas elegido la opción 1: Procesar operaciones por lotes.');
                 // Llama a la lógica del ejercicio “operaciones por lotes”
                 // Esta función muestra resultados detallados y un resumen final.
-                await ejecutarOperaciones();
+                // Solo procesa las operaciones pendientes del almacén, salvo que se pida reprocesar.
+                // Precisión exacta: BigInt / decimales exactos en lugar de number (sin Infinity ni 0.30000000000000004).
+                const exacta = prompt('¿Usar precisión exacta? (s/N): ').trim().toLowerCase() === 's';
+                const reprocesar = preguntarReprocesar();
+                // Ctrl+C durante el lote lo cancela y muestra el resumen parcial (ver conCancelacion).
+                const reporte = await conCancelacion(senal => ejecutarOperaciones({ reprocesar, precision: exacta ? 'exacta' : 'estandar', senal }));
+                await exportarReporte(reporte);
                 break;
+            }
 
-            case '2':
+            case '2': {
                 console.log('\nHas elegido la opción 2: Gestionar solicitudes de servicio.');
                 // Llama a la lógica del ejercicio “solicitudes de servicio”
                 // Esta función muestra resultados detallados y un resumen final.
-                await ejecutarSolicitudes();
+                // Solo procesa las solicitudes pendientes del almacén, salvo que se pida reprocesar.
+                const reprocesar = preguntarReprocesar();
+                const reporte = await conCancelacion(senal => ejecutarSolicitudes({ reprocesar, senal }));
+                await exportarReporte(reporte);
                 break;
+            }
 
-            case '3':
+            case '3': {
                 console.log('\nHas elegido la opción 3: Analizar transacciones y control de riesgo.');
+                // Permite indicar un archivo CSV/JSON; con Enter se usan los datos de prueba.
+                const archivo = prompt('Ruta del archivo CSV o JSON (Enter para usar datos de prueba): ').trim();
+                // Rango del reporte por periodo (se valida antes de seguir).
+                const periodo = preguntarPeriodo();
+                // Solo se procesan las transacciones pendientes del almacén, salvo que se pida reprocesar.
+                const reprocesar = preguntarReprocesar();
                 // Llama a la lógica del ejercicio “solicitudes de transacciones y control de riesgo”
                 // Esta función muestra resultados detallados y un resumen final.
-                await ejecutarAnalisis();
+                const reporte = await conCancelacion(senal => ejecutarAnalisis({
+                    archivo: archivo || undefined,
+                    periodo,
+                    reprocesar,
+                    senal
+                }));
+                await exportarReporte(reporte);
                 break;
+            }
 
             case '4':
-                console.log('\nHas elegido la opción 3: Saliendo del sistema... ¡Vuelva pronto!');
+                console.log('\nHas elegido la opción 4: Verificar registro de auditoría.');
+                // Recorre el registro encadenado y detecta entradas editadas o eliminadas.
+                await imprimirVerificacion();
+                break;
+
+            case '5':
+                console.log('\nHas elegido la opción 5: Avanzar una solicitud en su ciclo de vida.');
+                // pendiente → asignada → en progreso → resuelta → cerrada (o reabierta / cancelada).
+                await avanzarCicloSolicitud();
+                break;
+
+            case '6':
+                console.log('\nHas elegido la opción 6: Saliendo del sistema... ¡Vuelva pronto!');
                 // Cambia la validación para salir del bucle y terminar el programa.
                 salir = true;
                 break;
 
-            // Cualquier otra entrada que no sea '1', '2', '3' o '4'.
+            // Cualquier otra entrada que no sea '1', '2', '3', '4', '5' o '6'.
             default:
-                console.log('\nOpción inválida. Por favor ingrese las opciones 1, 2, 3 o 4.');
+                console.log('\nOpción inválida. Por favor ingrese las opciones 1, 2, 3, 4, 5 o 6.');
             }
         // Captura errores en la interacción o ejecución.
         } catch (err) {
@@ -89,5 +211,13 @@ async function mainMenu() {
     }
 }
 
-// Arranca el programa mostrando el menú.
-mainMenu();
\ No newline at end of file
+// Arranque:
+// - Con argumentos (node app.js operaciones --formato json ...) se ejecuta el modo de línea de comandos
+//   y el proceso termina con su código de salida (ver modulo/comun/lineaComandos.js; node app.js --ayuda lista los comandos).
+// - Sin argumentos se muestra el menú interactivo.
+const argumentos = process.argv.slice(2);
+if (argumentos.length > 0) {
+    process.exitCode = await ejecutarLineaComandos(argumentos);
+} else {
+    mainMenu();
+}
\ No newline at end of file
@@ -0,0 +1,180 @@
+// Módulo responsable de:
+// - Guardar en archivos JSON locales (un archivo por colección) los elementos de cada módulo y su resultado.
+// - Escribir de forma atómica (archivo temporal + rename) para que un corte no deje el archivo a medio escribir.
+// - Permitir reprocesar solo los registros que todavía no tienen resultado (pendientes).
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+
+// Directorio por defecto de los datos (relativo al directorio desde donde se ejecuta el programa).
+// Se puede cambiar con la variable de entorno DATOS_RUTA.
+export const RUTA_DATOS = process.env.DATOS_RUTA ?? join(process.cwd(), "data");
+
+// aTexto(valor)
+// - Propósito: JSON legible; Date => ISO (comportamiento normal de JSON.stringify) y BigInt => string.
+function aTexto(valor) {
+    return JSON.stringify(valor, (clave, v) => typeof v === "bigint" ? v.toString() : v, 2);
+}
+
+// rutaColeccion(nombre, directorio)
+// - Salida: ruta del archivo de la colección. Ejemplo: data/operaciones.json.
+export function rutaColeccion(nombre, directorio = RUTA_DATOS) {
+    return join(directorio, `${nombre}.json`);
+}
+
+// cargarColeccion(nombre, opciones)
+// - Propósito: leer una colección del disco.
+// - Entrada:
+//    - nombre: "transacciones" | "operaciones" | "solicitudes" (u otro nombre de archivo).
+//    - opciones.directorio: carpeta de datos (por defecto RUTA_DATOS).
+//    - opciones.iniciales: elementos con los que se crea la colección si el archivo todavía no existe (datos de prueba).
+// - Salida: Promesa con { nombre, ruta, registros } donde cada registro es
+//   { registro, datos, resultado, procesadoEn }. resultado y procesadoEn son null mientras esté pendiente.
+// - Lanza Error si el archivo existe pero no es JSON válido (no se sobrescribe: puede contener datos recuperables).
+// - Diseño: si el archivo no existe la colección se crea en memoria; se escribe recién con guardarColeccion.
+export async function cargarColeccion(nombre, opciones = {}) {
+    const { directorio = RUTA_DATOS, iniciales = [] } = opciones;
+    const ruta = rutaColeccion(nombre, directorio);
+
+    let texto;
+    try {
+        texto = await readFile(ruta, "utf8");
+    } catch (err) {
+        if (err.code !== "ENOENT") throw new Error(`No se pudo leer la colección ${ruta}: ${err.message}`);
+        const coleccion = { nombre, ruta, registros: [] };
+        agregarRegistros(coleccion, iniciales);
+        return coleccion;
+    }
+
+    let datos;
+    try {
+        datos = JSON.parse(texto);
+    } catch (err) {
+        throw new Error(`La colección ${ruta} está dañada (no es JSON válido): ${err.message}`);
+    }
+    if (!Array.isArray(datos.registros)) {
+        throw new Error(`La colección ${ruta} no tiene el formato esperado ({ registros: [...] }).`);
+    }
+    return { nombre, ruta, registros: datos.registros };
+}
+
+// identidadDe(datos)
+// - Salida: clave con la que se reconoce un elemento ya guardado: su claveIdempotencia (transacciones importadas)
+//   o su id; null si no tiene ninguna de las dos (no se puede reconocer y siempre se agrega).
+function identidadDe(datos) {
+    const clave = datos?.claveIdempotencia ?? datos?.id;
+    return clave === undefined || clave === null ? null : String(clave);
+}
+
+// agregarRegistros(coleccion, elementos)
+// - Propósito: sumar elementos nuevos (por ejemplo, filas importadas) como registros pendientes.
+// - Salida: { agregados, yaAlmacenados }.
+//    - agregados: los registros agregados (sin los que ya estaban en la colección).
+//    - yaAlmacenados: uno por elemento que no se agregó, { id, registro, resultado } del registro que ya estaba
+//      (resultado null si sigue pendiente). Los reportes lo incluyen para que "ya estaba" no parezca "se perdió".
+// - Diseño:
+//    - 'registro' es un número correlativo propio del almacén: distingue dos elementos aunque repitan id.
+//    - Los datos se guardan tal como quedarán en el disco (Date => ISO), así la primera ejecución
+//      y las siguientes procesan exactamente lo mismo.
+//    - Un elemento cuya claveIdempotencia (o id) ya tiene un registro de una importación anterior no se agrega:
+//      importar dos veces el mismo archivo no duplica los pendientes. Dentro de una misma importación sí se agregan
+//      los repetidos, para que cada módulo los informe (ej: transacción duplicada).
+export function agregarRegistros(coleccion, elementos) {
+    const existentes = new Map();
+    for (const r of coleccion.registros) {
+        const identidad = identidadDe(r.datos);
+        if (!existentes.has(identidad)) existentes.set(identidad, r);
+    }
+    let ultimo = coleccion.registros.reduce((maximo, r) => Math.max(maximo, r.registro), 0);
+    const agregados = [];
+    const yaAlmacenados = [];
+    for (const elemento of elementos) {
+        const datos = JSON.parse(aTexto(elemento ?? null));
+        const identidad = identidadDe(datos);
+        const existente = identidad === null ? undefined : existentes.get(identidad);
+        if (existente) {
+            yaAlmacenados.push({ id: existente.datos?.id ?? null, registro: existente.registro, resultado: existente.resultado });
+        } else {
+            agregados.push({ registro: ++ultimo, datos, resultado: null, procesadoEn: null });
+        }
+    }
+    coleccion.registros.push(...agregados);
+    return { agregados, yaAlmacenados };
+}
+
+// leerElementosJson(ruta)
+// - Propósito: leer un archivo JSON con elementos para agregar al almacén (operaciones, solicitudes...).
+// - Entrada: archivo con un arreglo ([...]) o un objeto { elementos: [...] }.
+// - Salida: Promesa con el arreglo de elementos (sin validar: cada módulo valida los suyos al procesarlos).
+// - Lanza Error si el archivo no se puede leer, no es JSON válido o no contiene un arreglo.
+export async function leerElementosJson(ruta) {
+    let datos;
+    try {
+        datos = JSON.parse(await readFile(ruta, "utf8"));
+    } catch (err) {
+        throw new Error(`No se pudo leer el archivo ${ruta}: ${err.message}`);
+    }
+    const elementos = Array.isArray(datos) ? datos : datos?.elementos;
+    if (!Array.isArray(elementos)) {
+        throw new Error(`El archivo ${ruta} debe contener un arreglo de elementos (o { "elementos": [...] }).`);
+    }
+    return elementos;
+}
+
+// registrosPendientes(coleccion)
+// - Salida: registros que todavía no tienen resultado.
+export function registrosPendientes(coleccion) {
+    return coleccion.registros.filter(r => r.resultado === null || r.resultado === undefined);
+}
+
+// seleccionarRegistros(coleccion, reprocesar, reintentar)
+// - Propósito: decidir qué registros procesa una ejecución.
+// - Entrada: reintentar(resultado, registro) => true para volver a procesar un registro que ya tiene resultado
+//   (por ejemplo, una solicitud que quedó "en espera"). Por defecto ninguno.
+// - Salida: todos si reprocesar es true; si no, los pendientes y los que reintentar acepta, en el orden guardado.
+export function seleccionarRegistros(coleccion, reprocesar = false, reintentar = () => false) {
+    if (reprocesar) return [...coleccion.registros];
+    const pendientes = new Set(registrosPendientes(coleccion));
+    return coleccion.registros.filter(r => pendientes.has(r) || reintentar(r.resultado, r));
+}
+
+// Cola de escritura por archivo: dos guardados simultáneos no deben pisarse el archivo temporal.
+// Cada entrada se quita cuando su último guardado termina (no queda una por colección para siempre).
+const colas = new Map();
+
+// guardarColeccion(coleccion)
+// - Propósito: escribir la colección completa en su archivo.
+// - Salida: Promesa que se resuelve cuando el archivo quedó reemplazado.
+// - Diseño: escritura atómica (archivo temporal + rename). Si el proceso se corta a mitad de la escritura,
+//   el archivo anterior queda intacto; nunca hay un JSON a medio escribir.
+export function guardarColeccion(coleccion) {
+    const anterior = colas.get(coleccion.ruta) ?? Promise.resolve();
+    const tarea = anterior.catch(() => {}).then(async () => {
+        await mkdir(dirname(coleccion.ruta), { recursive: true });
+        const temporal = `${coleccion.ruta}.tmp`;
+        await writeFile(temporal, aTexto({ registros: coleccion.registros }), "utf8");
+        await rename(temporal, coleccion.ruta);
+    });
+    colas.set(coleccion.ruta, tarea);
+    const liberar = () => {
+        if (colas.get(coleccion.ruta) === tarea) colas.delete(coleccion.ruta);
+    };
+    tarea.then(liberar, liberar);
+    return tarea;
+}
+
+// marcarProcesado(coleccion, registro, resultado)
+// - Propósito: anotar el resultado de un registro en la colección (en memoria).
+// - Diseño: no escribe el archivo. Reescribir la colección completa por cada registro costaría O(n²) en un lote;
+//   cada procesador llama una sola vez a guardarColeccion al terminar el lote (también si se cancela con Ctrl+C),
+//   y la siguiente ejecución continúa con los que quedaron pendientes.
+export function marcarProcesado(coleccion, registro, resultado) {
+    registro.resultado = JSON.parse(aTexto(resultado ?? null));
+    registro.procesadoEn = new Date().toISOString();
+}
+
+// describirColeccion(coleccion, seleccionados)
+// - Propósito: línea informativa para la consola al comenzar cada ejecución.
+export function describirColeccion(coleccion, seleccionados) {
+    const pendientes = registrosPendientes(coleccion).length;
+    return `Almacén ${coleccion.ruta}: ${coleccion.registros.length} registros, ${pendientes} pendientes, ${seleccionados.length} a procesar.`;
+}
@@ -0,0 +1,186 @@
+// Módulo responsable de:
+// - Mantener un registro de auditoría solo-agregar (append-only) en un archivo JSONL local.
+// - Encadenar cada entrada con la anterior mediante un hash SHA-256 (cadena de hashes).
+// - Verificar el registro: detecta entradas editadas, insertadas, reordenadas o eliminadas.
+import { appendFile, mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { dirname, join } from "node:path";
+
+// Ruta por defecto del registro (relativa al directorio desde donde se ejecuta el programa).
+// Se puede cambiar con la variable de entorno AUDITORIA_RUTA.
+export const RUTA_AUDITORIA = process.env.AUDITORIA_RUTA ?? join(process.cwd(), "data", "auditoria.jsonl");
+
+// Hash inicial de la cadena (la primera entrada se encadena a este valor).
+const HASH_GENESIS = "0".repeat(64);
+
+// rutaAncla(ruta)
+// - Propósito: archivo auxiliar con la secuencia y el hash de la última entrada.
+// - Justificación: la cadena de hashes por sí sola no detecta que se borren las ÚLTIMAS entradas
+//   (lo que queda sigue siendo una cadena válida); el ancla guarda hasta dónde debería llegar.
+function rutaAncla(ruta) {
+    return `${ruta}.ancla.json`;
+}
+
+// serializar(valor)
+// - Propósito: JSON canónico (claves ordenadas) para que el hash no dependa del orden de las propiedades.
+// - Diseño: Date => ISO, BigInt => string (JSON.stringify no soporta BigInt).
+function serializar(valor) {
+    if (valor === undefined) return "null";
+    if (typeof valor === "bigint") return JSON.stringify(valor.toString());
+    if (valor instanceof Date) return JSON.stringify(valor.toISOString());
+    if (Array.isArray(valor)) return `[${valor.map(serializar).join(",")}]`;
+    if (valor !== null && typeof valor === "object") {
+        const claves = Object.keys(valor).filter(c => valor[c] !== undefined).sort();
+        return `{${claves.map(c => `${JSON.stringify(c)}:${serializar(valor[c])}`).join(",")}}`;
+    }
+    return JSON.stringify(valor);
+}
+
+// calcularHash(entrada)
+// - Propósito: SHA-256 de la entrada completa SIN el campo 'hash' (que incluye 'hashAnterior').
+function calcularHash(entrada) {
+    const { hash, ...contenido } = entrada;
+    return createHash("sha256").update(serializar(contenido)).digest("hex");
+}
+
+// leerAncla(ruta)
+// - Salida: { secuencia, hash } de la última entrada, o null si todavía no hay registro.
+async function leerAncla(ruta) {
+    try {
+        return JSON.parse(await readFile(rutaAncla(ruta), "utf8"));
+    } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+    }
+}
+
+// Cola de escritura por archivo: garantiza que dos registros simultáneos no lean la misma
+// "última entrada" y rompan la cadena (las escrituras se ejecutan una detrás de otra).
+const colas = new Map();
+
+// registrarAuditoria(evento, ruta)
+// - Propósito: agregar una entrada al registro.
+// - Entrada:
+//    - evento: { modulo, entrada, resultado, motivo }.
+//        - modulo: "transacciones" | "operaciones" | "solicitudes".
+//        - entrada: objeto recibido (transacción, operación o solicitud).
+//        - resultado: objeto de resultado (clasificacion/estado).
+//        - motivo: texto de la decisión.
+//    - ruta: archivo JSONL (por defecto RUTA_AUDITORIA).
+// - Salida: Promesa con la entrada registrada { secuencia, fecha, modulo, entrada, resultado, motivo, hashAnterior, hash }.
+// - Diseño:
+//    - appendFile nunca reescribe entradas anteriores (solo agrega al final).
+//    - El ancla se reemplaza de forma atómica (archivo temporal + rename).
+export function registrarAuditoria(evento, ruta = RUTA_AUDITORIA) {
+    const anterior = colas.get(ruta) ?? Promise.resolve();
+    const tarea = anterior.catch(() => {}).then(async () => {
+        await mkdir(dirname(ruta), { recursive: true });
+        const ancla = await leerAncla(ruta);
+
+        const entrada = {
+            secuencia: (ancla?.secuencia ?? 0) + 1,
+            fecha: new Date().toISOString(),
+            modulo: evento.modulo,
+            entrada: JSON.parse(serializar(evento.entrada ?? null)),
+            resultado: JSON.parse(serializar(evento.resultado ?? null)),
+            motivo: evento.motivo ?? null,
+            hashAnterior: ancla?.hash ?? HASH_GENESIS
+        };
+        entrada.hash = calcularHash(entrada);
+
+        await appendFile(ruta, `${JSON.stringify(entrada)}\n`, "utf8");
+        const temporal = `${rutaAncla(ruta)}.tmp`;
+        await writeFile(temporal, JSON.stringify({ secuencia: entrada.secuencia, hash: entrada.hash }), "utf8");
+        await rename(temporal, rutaAncla(ruta));
+        return entrada;
+    });
+    colas.set(ruta, tarea);
+    return tarea;
+}
+
+// auditarResultado(modulo, entrada, resultado, ruta)
+// - Propósito: atajo usado por los tres procesadores; nunca interrumpe el lote.
+// - Diseño: si el disco falla, se informa en consola y el procesamiento continúa
+//   (la auditoría no debe bloquear el flujo, igual que el resto de errores controlados).
+export async function auditarResultado(modulo, entrada, resultado, ruta = RUTA_AUDITORIA) {
+    try {
+        await registrarAuditoria({ modulo, entrada, resultado, motivo: resultado?.motivo }, ruta);
+    } catch (err) {
+        console.error(`No se pudo escribir la auditoría (${modulo} ${resultado?.id ?? "desconocido"}): ${err.message}`);
+    }
+}
+
+// verificarAuditoria(ruta)
+// - Propósito: recorrer el registro y comprobar la integridad de la cadena.
+// - Salida: Promesa con { valido, entradas, errores } donde errores es un arreglo de { linea, motivo }.
+// - Detecta:
+//    - líneas que no son JSON (edición manual rota).
+//    - entradas cuyo hash no coincide con su contenido (entrada editada).
+//    - hashAnterior que no coincide con la entrada previa o secuencia no consecutiva (entrada eliminada, insertada o reordenada).
+//    - registro más corto que el ancla (entradas eliminadas al final) o ancla que no coincide.
+export async function verificarAuditoria(ruta = RUTA_AUDITORIA) {
+    const errores = [];
+    let texto;
+    try {
+        texto = await readFile(ruta, "utf8");
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        texto = "";
+    }
+
+    const lineas = texto.split("\n").filter(l => l.trim().length > 0);
+    let hashEsperado = HASH_GENESIS;
+    let secuenciaEsperada = 1;
+
+    lineas.forEach((linea, i) => {
+        let entrada;
+        try {
+            entrada = JSON.parse(linea);
+        } catch {
+            errores.push({ linea: i + 1, motivo: "La línea no es JSON válido." });
+            return;
+        }
+
+        if (entrada.secuencia !== secuenciaEsperada) {
+            errores.push({ linea: i + 1, motivo: `Secuencia ${entrada.secuencia}, se esperaba ${secuenciaEsperada} (entrada eliminada, insertada o reordenada).` });
+        }
+        if (entrada.hashAnterior !== hashEsperado) {
+            errores.push({ linea: i + 1, motivo: "hashAnterior no coincide con la entrada previa (cadena rota)." });
+        }
+        if (calcularHash(entrada) !== entrada.hash) {
+            errores.push({ linea: i + 1, motivo: "El contenido no coincide con su hash (entrada editada)." });
+        }
+
+        // Se continúa desde los valores declarados para informar cada punto de ruptura una sola vez.
+        hashEsperado = entrada.hash;
+        secuenciaEsperada = (Number.isInteger(entrada.secuencia) ? entrada.secuencia : secuenciaEsperada) + 1;
+    });
+
+    const ancla = await leerAncla(ruta);
+    if (ancla && (ancla.secuencia !== secuenciaEsperada - 1 || ancla.hash !== hashEsperado)) {
+        errores.push({ linea: null, motivo: `El registro termina en la secuencia ${secuenciaEsperada - 1} pero el ancla indica ${ancla.secuencia} (entradas eliminadas al final o ancla alterada).` });
+    }
+    if (!ancla && lineas.length > 0) {
+        errores.push({ linea: null, motivo: "Falta el archivo ancla del registro." });
+    }
+
+    return { valido: errores.length === 0, entradas: lineas.length, errores };
+}
+
+// imprimirVerificacion(ruta)
+// - Propósito: comando de verificación para el menú; muestra el resultado en consola.
+// - Salida: Promesa con el mismo objeto que verificarAuditoria.
+export async function imprimirVerificacion(ruta = RUTA_AUDITORIA) {
+    console.log(`\nVerificando registro de auditoría: ${ruta}`);
+    const verificacion = await verificarAuditoria(ruta);
+    console.log(`Entradas leídas: ${verificacion.entradas}`);
+    if (verificacion.valido) {
+        console.log("Resultado: registro íntegro (ninguna entrada editada ni eliminada).");
+    } else {
+        console.log(`Resultado: registro ALTERADO — ${verificacion.errores.length} problema(s):`);
+        for (const error of verificacion.errores) {
+            console.log(`Línea ${error.linea ?? "-"}: ${error.motivo}`);
+        }
+    }
+    return verificacion;
+}
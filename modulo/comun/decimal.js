@@ -0,0 +1,188 @@
+// Módulo responsable de:
+// - Aritmética decimal exacta basada en BigInt (sin errores de punto flotante como 0.1 + 0.2).
+// - Representación: { valor: BigInt, escala: number } significa valor / 10^escala.
+//   Ejemplo: 12.345 => { valor: 12345n, escala: 3 }.
+// - Funciones puras: nunca se muta un decimal recibido; siempre se devuelve uno nuevo.
+
+// Tope de cifras de un decimal exacto: evita que una entrada como "1e999999999" o una potencia enorme
+// (ej: 10^1000000) deje al programa sin memoria.
+export const MAXIMO_DIGITOS_EXACTOS = 10000;
+
+// parsearDecimal(entrada)
+// - Propósito: convertir un number, string o BigInt en decimal exacto.
+// - Entrada: 12.5, "12.50", "-3", "1e-7", 10n.
+// - Salida: { valor, escala }.
+// - Diseño:
+//    - Los number se convierten usando su representación más corta (String(n)), que es la que escribió el usuario:
+//      0.1 => "0.1" => { valor: 1n, escala: 1 } (y no 0.1000000000000000055511...).
+//    - Se acepta notación científica porque String(n) la usa para números muy grandes o muy pequeños.
+//    - Lanza Error si la entrada no es un número finito, o si el exponente o la cantidad total de cifras superan
+//      MAXIMO_DIGITOS_EXACTOS (se controla antes de elevar a ninguna potencia).
+export function parsearDecimal(entrada) {
+    if (typeof entrada === "bigint") return { valor: entrada, escala: 0 };
+    if (typeof entrada === "number" && !Number.isFinite(entrada)) {
+        throw new Error(`"${entrada}" no es un número finito.`);
+    }
+
+    const texto = String(entrada).trim();
+    const coincidencia = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(texto);
+    if (!coincidencia || (coincidencia[2] === "" && (coincidencia[3] ?? "") === "")) {
+        throw new Error(`"${entrada}" no es un número decimal válido.`);
+    }
+
+    const [, signo, entera, fraccion = "", exponente = "0"] = coincidencia;
+    const potencia = Number(exponente);
+    const cifras = entera.length + fraccion.length + Math.max(0, potencia - fraccion.length);
+    if (Math.abs(potencia) > MAXIMO_DIGITOS_EXACTOS || cifras > MAXIMO_DIGITOS_EXACTOS) {
+        throw new Error(`"${texto.slice(0, 40)}" supera el máximo de ${MAXIMO_DIGITOS_EXACTOS} cifras.`);
+    }
+
+    let valor = BigInt((entera || "0") + fraccion);
+    let escala = fraccion.length - potencia;
+
+    // Un exponente positivo grande deja escala negativa: se normaliza multiplicando.
+    if (escala < 0) {
+        valor *= 10n ** BigInt(-escala);
+        escala = 0;
+    }
+
+    return { valor: signo === "-" ? -valor : valor, escala };
+}
+
+// escalar(decimal, escala)
+// - Propósito: expresar un decimal con más cifras decimales (sin perder exactitud).
+// - Ejemplo: escalar({ valor: 5n, escala: 1 }, 3) => { valor: 500n, escala: 3 } (0.5 = 0.500).
+function escalar(decimal, escala) {
+    return { valor: decimal.valor * 10n ** BigInt(escala - decimal.escala), escala };
+}
+
+// igualarEscalas(a, b)
+// - Propósito: llevar dos decimales a la misma escala para poder sumarlos o compararlos.
+function igualarEscalas(a, b) {
+    const escala = Math.max(a.escala, b.escala);
+    return [escalar(a, escala), escalar(b, escala)];
+}
+
+// sumarDecimales(a, b) / restarDecimales(a, b) / multiplicarDecimales(a, b)
+// - Propósito: operaciones exactas; el resultado nunca pierde cifras.
+export function sumarDecimales(a, b) {
+    const [x, y] = igualarEscalas(a, b);
+    return { valor: x.valor + y.valor, escala: x.escala };
+}
+
+export function restarDecimales(a, b) {
+    const [x, y] = igualarEscalas(a, b);
+    return { valor: x.valor - y.valor, escala: x.escala };
+}
+
+export function multiplicarDecimales(a, b) {
+    return { valor: a.valor * b.valor, escala: a.escala + b.escala };
+}
+
+// dividirEntero(numerador, denominador)
+// - Propósito: división entera de BigInt redondeando la mitad hacia afuera del cero (2.5 => 3, -2.5 => -3).
+// - Justificación: es el redondeo comercial habitual y es simétrico para montos negativos.
+function dividirEntero(numerador, denominador) {
+    const negativo = (numerador < 0n) !== (denominador < 0n);
+    const n = numerador < 0n ? -numerador : numerador;
+    const d = denominador < 0n ? -denominador : denominador;
+    let cociente = n / d;
+    if ((n % d) * 2n >= d) cociente += 1n;
+    return negativo ? -cociente : cociente;
+}
+
+// dividirDecimales(a, b, escala)
+// - Propósito: dividir con 'escala' cifras decimales en el resultado.
+// - Diseño: una división (ej: 1/3) no siempre tiene representación decimal finita,
+//   por eso se indica la escala deseada y se redondea el último dígito.
+// - Lanza Error si b es cero.
+export function dividirDecimales(a, b, escala) {
+    if (b.valor === 0n) throw new Error("División por cero.");
+    // a/b = (a.valor / 10^a.escala) / (b.valor / 10^b.escala)
+    // Resultado con 'escala' decimales: a.valor * 10^(escala + b.escala - a.escala) / b.valor
+    const exponente = escala + b.escala - a.escala;
+    const numerador = exponente >= 0 ? a.valor * 10n ** BigInt(exponente) : a.valor;
+    const denominador = exponente >= 0 ? b.valor : b.valor * 10n ** BigInt(-exponente);
+    return { valor: dividirEntero(numerador, denominador), escala };
+}
+
+// redondearDecimal(decimal, escala)
+// - Propósito: dejar un decimal con exactamente 'escala' cifras decimales (redondeo comercial).
+export function redondearDecimal(decimal, escala) {
+    if (decimal.escala <= escala) return escalar(decimal, escala);
+    return { valor: dividirEntero(decimal.valor, 10n ** BigInt(decimal.escala - escala)), escala };
+}
+
+// compararDecimales(a, b)
+// - Salida: -1 si a < b, 0 si son iguales, 1 si a > b.
+export function compararDecimales(a, b) {
+    const [x, y] = igualarEscalas(a, b);
+    return x.valor < y.valor ? -1 : x.valor > y.valor ? 1 : 0;
+}
+
+// formatearDecimal(decimal)
+// - Propósito: mostrar el decimal como texto plano, sin notación científica.
+// - Ejemplo: { valor: -12345n, escala: 2 } => "-123.45".
+export function formatearDecimal(decimal) {
+    const negativo = decimal.valor < 0n;
+    const digitos = (negativo ? -decimal.valor : decimal.valor).toString().padStart(decimal.escala + 1, "0");
+    const entera = digitos.slice(0, digitos.length - decimal.escala);
+    const fraccion = decimal.escala > 0 ? `.${digitos.slice(-decimal.escala)}` : "";
+    return `${negativo ? "-" : ""}${entera}${fraccion}`;
+}
+
+// restoDecimales(a, b)
+// - Propósito: resto exacto de a / b con el signo de a (igual que el operador % de JavaScript).
+// - Ejemplo: 5.5 % 2 => 1.5; -7 % 3 => -1.
+// - Lanza Error si b es cero.
+export function restoDecimales(a, b) {
+    if (b.valor === 0n) throw new Error("Módulo por cero.");
+    const [x, y] = igualarEscalas(a, b);
+    return { valor: x.valor % y.valor, escala: x.escala };
+}
+
+// potenciaDecimal(base, exponente, escala)
+// - Propósito: base elevada a un exponente ENTERO.
+// - Diseño: con exponente >= 0 el resultado es exacto; con exponente negativo es 1 / base^|exponente|
+//   con 'escala' cifras decimales (misma regla que dividirDecimales).
+// - Lanza Error si 0 se eleva a un exponente negativo.
+export function potenciaDecimal(base, exponente, escala) {
+    const positivo = { valor: base.valor ** BigInt(Math.abs(exponente)), escala: base.escala * Math.abs(exponente) };
+    if (exponente >= 0) return positivo;
+    return dividirDecimales({ valor: 1n, escala: 0 }, positivo, escala);
+}
+
+// raizEntera(n)
+// - Propósito: parte entera de la raíz cuadrada de un BigInt >= 0 (método de Newton).
+function raizEntera(n) {
+    if (n < 2n) return n;
+    let x = n;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+        x = y;
+        y = (x + n / x) / 2n;
+    }
+    return x;
+}
+
+// raizCuadradaDecimal(decimal, escala)
+// - Propósito: raíz cuadrada con 'escala' cifras decimales (truncada en el último dígito).
+// - Lanza Error si el decimal es negativo.
+export function raizCuadradaDecimal(decimal, escala) {
+    if (decimal.valor < 0n) throw new Error("Raíz cuadrada de un número negativo.");
+    // sqrt(v / 10^e) con 'escala' decimales = isqrt(v * 10^(2*escala - e)) / 10^escala
+    const ajustado = redondearDecimal(decimal, 2 * escala);
+    return { valor: raizEntera(ajustado.valor), escala };
+}
+
+// simplificarDecimal(decimal)
+// - Propósito: quitar ceros sobrantes a la derecha sin cambiar el valor.
+// - Ejemplo: { valor: 1500n, escala: 3 } (1.500) => { valor: 15n, escala: 1 } (1.5).
+export function simplificarDecimal(decimal) {
+    let { valor, escala } = decimal;
+    while (escala > 0 && valor % 10n === 0n) {
+        valor /= 10n;
+        escala--;
+    }
+    return { valor, escala };
+}
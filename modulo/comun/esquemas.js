@@ -0,0 +1,103 @@
+// Módulo responsable de:
+// - Describir una sola vez los campos de cada entidad (transacción, operación, solicitud) y sus restricciones (esquema).
+// - Validar un elemento contra su esquema informando TODAS las violaciones, cada una con la ruta del campo
+//   y un código del catálogo (ver mensajes.js).
+import { traducir, motivoDeError } from "./mensajes.js";
+
+// Tipos que acepta la propiedad 'tipo' de una regla.
+// - texto: string; numero: typeof "number" (para excluir NaN / Infinity se agrega finito: true);
+//   booleano; fecha: objeto Date; arreglo: Array; bigint.
+const TIPOS = {
+    texto: valor => typeof valor === "string",
+    numero: valor => typeof valor === "number",
+    booleano: valor => typeof valor === "boolean",
+    fecha: valor => valor instanceof Date,
+    arreglo: valor => Array.isArray(valor),
+    bigint: valor => typeof valor === "bigint"
+};
+
+export const TIPOS_ESQUEMA = Object.keys(TIPOS);
+
+// Un esquema es un objeto { campo: regla }; para agregar un campo a una entidad basta con sumar su regla en el esquema
+// (ESQUEMA_TRANSACCION, ESQUEMA_OPERACION, ESQUEMA_SOLICITUD) y cada violación lleva su código. Cada regla admite:
+// - tipo: nombre de TIPOS_ESQUEMA o arreglo de alternativas (ej: ["texto", "fecha"]).
+// - requerido: false permite que el campo no venga (undefined); por defecto es obligatorio.
+// - cuando(objeto, contexto): si devuelve false la regla no se aplica (ej: origen solo en transferencias).
+// - noVacio: texto sin contenido (trim) o arreglo sin elementos es una violación.
+// - entero, finito, minimo, maximo: restricciones numéricas.
+// - elementos: regla que debe cumplir cada elemento de un arreglo (ruta "campo[i]").
+// - valida(valor, objeto, contexto): regla propia; devolver false o lanzar un Error es una violación.
+//   Un Error con código (errorConCodigo, ej: el de normalizarFecha) aporta su código y parámetros;
+//   devolver false usa regla.codigo (por defecto VALOR_INVALIDO). Cualquier otro valor la cumple,
+//   así se pueden usar directamente funciones que solo lanzan (ej: validarMoneda).
+// Las reglas de cada campo se evalúan en ese orden y se detienen en la primera que falla: un campo aporta como mucho
+// una violación (salvo los elementos de un arreglo, uno por elemento).
+// Códigos de las restricciones: CAMPO_FALTANTE (obligatorio sin valor), TIPO_INVALIDO { esperado }, CAMPO_VACIO,
+// NO_FINITO, NO_ENTERO, FUERA_DE_RANGO { valor, minimo, maximo }.
+
+// violacion(ruta, codigo, parametros)
+// - Salida: arreglo con una violación { campo, codigo, parametros, mensaje }; parametros siempre incluye el campo
+//   (los textos del catálogo lo usan) y mensaje es el texto en el idioma actual.
+function violacion(ruta, codigo, parametros = {}) {
+    const completos = { campo: ruta, ...parametros };
+    return [{ campo: ruta, codigo, parametros: completos, mensaje: traducir(codigo, completos) }];
+}
+
+// validarCampo(valor, regla, objeto, contexto, ruta)
+// - Salida: arreglo de violaciones del campo (vacío si cumple la regla).
+function validarCampo(valor, regla, objeto, contexto, ruta) {
+    if (regla.cuando && !regla.cuando(objeto, contexto)) return [];
+    if (valor === undefined && regla.requerido === false) return [];
+
+    if (regla.tipo) {
+        const tipos = [].concat(regla.tipo);
+        if (valor === undefined) return violacion(ruta, "CAMPO_FALTANTE");
+        if (!tipos.some(tipo => TIPOS[tipo](valor))) return violacion(ruta, "TIPO_INVALIDO", { esperado: tipos });
+    }
+    if (regla.noVacio && (typeof valor === "string" ? valor.trim().length === 0 : valor?.length === 0)) {
+        return violacion(ruta, "CAMPO_VACIO");
+    }
+    if (regla.finito && !Number.isFinite(valor)) return violacion(ruta, "NO_FINITO");
+    if (regla.entero && !Number.isInteger(valor)) return violacion(ruta, "NO_ENTERO");
+    if ((regla.minimo !== undefined && valor < regla.minimo) || (regla.maximo !== undefined && valor > regla.maximo)) {
+        return violacion(ruta, "FUERA_DE_RANGO", { valor, minimo: regla.minimo, maximo: regla.maximo });
+    }
+
+    if (regla.elementos && Array.isArray(valor)) {
+        const violaciones = valor.flatMap((elemento, i) => validarCampo(elemento, regla.elementos, objeto, contexto, `${ruta}[${i}]`));
+        if (violaciones.length > 0) return violaciones;
+    }
+
+    if (regla.valida) {
+        try {
+            if (regla.valida(valor, objeto, contexto) === false) return violacion(ruta, regla.codigo ?? "VALOR_INVALIDO");
+        } catch (err) {
+            return err.codigo
+                ? violacion(ruta, err.codigo, err.parametros)
+                : violacion(ruta, "VALOR_INVALIDO", { detalle: err.message.replace(/\.$/, "") });
+        }
+    }
+    return [];
+}
+
+// validarEsquema(objeto, esquema, contexto)
+// - Propósito: validar todos los campos de un elemento.
+// - Entrada: contexto se pasa a cuando() y valida() (ej: precisión de la operación, tasas de cambio).
+// - Salida: arreglo de violaciones { campo, codigo, parametros, mensaje } en el orden del esquema; vacío si el elemento es válido.
+// - Diseño: no se detiene en el primer error; el objeto no se modifica.
+export function validarEsquema(objeto, esquema, contexto = {}) {
+    return Object.entries(esquema).flatMap(([campo, regla]) => validarCampo(objeto[campo], regla, objeto, contexto, campo));
+}
+
+// exigirEsquema(objeto, esquema, opciones)
+// - Propósito: validar y lanzar un Error si hay violaciones (para los validadores que trabajan con try/catch).
+// - Entrada: opciones.entidad: "transaccion" | "operacion" | "solicitud" (encabezado del mensaje, ver motivoDeError);
+//   opciones.contexto: ver validarEsquema.
+// - Lanza Error con el motivo completo ("Solicitud 5: ...") y la lista en err.violaciones
+//   (resultadoDeError la copia al resultado rechazado como 'errores').
+export function exigirEsquema(objeto, esquema, opciones = {}) {
+    const violaciones = validarEsquema(objeto, esquema, opciones.contexto);
+    if (violaciones.length > 0) {
+        throw Object.assign(new Error(motivoDeError(opciones.entidad, objeto.id, violaciones)), { violaciones });
+    }
+}
@@ -0,0 +1,71 @@
+// Módulo responsable de:
+// - Avisar el avance de un lote (inicio, cada elemento y fin) a quien quiera observarlo: barra de progreso,
+//   registro propio, notificaciones... sin tocar los módulos de cada ejercicio.
+// - Aceptar un EventEmitter de Node o un objeto con una función por evento.
+// - Aislar al lote de los oyentes: un oyente que falla no detiene el procesamiento.
+
+// Eventos de los tres procesadores de lotes (ejecutarAnalisis, ejecutarOperaciones, ejecutarSolicitudes).
+// - inicio:    { modulo, total }                                  antes del primer elemento.
+// - validado:  { modulo, id, elemento }                           el elemento pasó la validación y va al servicio.
+// - procesado: { modulo, id, elemento, resultado, completados, total }   terminó sin rechazo (aprobada, sospechosa, en espera).
+// - fallido:   { modulo, id, elemento, resultado, completados, total }   terminó rechazado (validación, servicio o error).
+// - fin:       { modulo, conteos, totales, reporte }               después del resumen, con el reporte estructurado.
+// Cada elemento avisa exactamente uno de procesado / fallido, en el mismo orden en que se informa en consola.
+export const EVENTOS_LOTE = ["inicio", "validado", "procesado", "fallido", "fin"];
+
+// crearNotificador(eventos, modulo)
+// - Propósito: función única para emitir los eventos de un lote.
+// - Entrada:
+//    - eventos: EventEmitter (se llama eventos.emit(nombre, datos)), objeto { inicio(datos), validado(datos), ... }
+//      con solo los eventos que interesan, o undefined (no se avisa nada).
+//    - modulo: "transacciones" | "operaciones" | "solicitudes"; se agrega a los datos de cada evento.
+// - Salida: { notificar(nombre, datos), notificarResultado(resultado, elemento) }.
+//    - notificarResultado elige procesado o fallido según resultado.estado y lleva la cuenta de completados.
+//      Antes hay que avisar "inicio" (define el total).
+// - Lanza Error si eventos no es ninguna de las dos formas.
+// - Diseño:
+//    - Los oyentes se llaman en forma sincrónica y no se esperan: si devuelven una Promesa, el lote no la espera.
+//    - Un oyente que lanza (o cuya Promesa rechaza) solo deja un aviso en stderr; el lote sigue.
+export function crearNotificador(eventos, modulo) {
+    if (eventos !== undefined && (eventos === null || typeof eventos !== "object")) {
+        throw new Error("opciones.eventos debe ser un EventEmitter o un objeto con una función por evento.");
+    }
+    let total = 0;
+    let completados = 0;
+
+    const notificar = (nombre, datos = {}) => {
+        if (nombre === "inicio") {
+            total = datos.total ?? 0;
+            completados = 0;
+        }
+        if (!eventos) return;
+        try {
+            const respuesta = typeof eventos.emit === "function"
+                ? eventos.emit(nombre, { modulo, ...datos })
+                : eventos[nombre]?.({ modulo, ...datos });
+            if (typeof respuesta?.catch === "function") {
+                respuesta.catch(err => avisarFalla(nombre, err));
+            }
+        } catch (err) {
+            avisarFalla(nombre, err);
+        }
+    };
+
+    const notificarResultado = (resultado, elemento) => {
+        completados++;
+        notificar(resultado.estado === "rechazada" ? "fallido" : "procesado", {
+            id: resultado.id,
+            elemento,
+            resultado,
+            completados,
+            total
+        });
+    };
+
+    return { notificar, notificarResultado };
+}
+
+// avisarFalla(nombre, err): el error de un oyente no es un error del lote; se informa y se sigue.
+function avisarFalla(nombre, err) {
+    console.error(`Aviso: el oyente del evento "${nombre}" falló: ${err?.message ?? err}`);
+}
@@ -0,0 +1,500 @@
+// Módulo responsable de:
+// - Ejecutar los ejercicios sin el menú interactivo (scripts, cron): node app.js <comando> [opciones].
+// - Traducir las opciones de la línea de comandos a las opciones de cada ejecutar*().
+// - Devolver un código de salida que un script pueda evaluar.
+import { parseArgs } from "node:util";
+import { ejecutarAnalisis } from "../ejercicio1/ejercicio1.js";
+import { parsearFechaEstricta } from "../ejercicio1/fechas.js";
+import { ejecutarOperaciones } from "../ejercicio2/ejercicio2.js";
+import { PRECISIONES } from "../ejercicio2/registroOperaciones.js";
+import { ejecutarSolicitudes, avanzarSolicitud } from "../ejercicio3/ejercicio3.js";
+import { imprimirVerificacion, RUTA_AUDITORIA } from "./auditoria.js";
+import { ORDENES_SALIDA } from "./lotes.js";
+import { FORMATOS_REPORTE, escribirReporte } from "./reportes.js";
+import { IDIOMAS, configurarIdioma } from "./mensajes.js";
+import { crearServicioSimulado } from "./servicioSimulado.js";
+import { PUERTO_POR_DEFECTO, HOST_POR_DEFECTO, RUTAS_HTTP, iniciarServidor, detenerServidor } from "./servidorHttp.js";
+
+// Códigos de salida.
+// - EXITO: todo se procesó y ningún elemento fue rechazado (o la auditoría está íntegra).
+// - RECHAZOS: se procesó el lote, pero al menos un elemento quedó rechazado / inválido (o la auditoría está alterada).
+// - USO: comando u opciones mal escritos (no se procesó nada).
+// - ERROR: el archivo de entrada no se pudo leer o tiene filas que no se pudieron interpretar, o falló la ejecución.
+// - CANCELADO: el lote se canceló con Ctrl+C y quedaron elementos sin procesar (128 + SIGINT, como un shell).
+export const CODIGOS_SALIDA = {
+    EXITO: 0,
+    RECHAZOS: 1,
+    USO: 2,
+    ERROR: 3,
+    CANCELADO: 130
+};
+
+// Opciones comunes a los comandos que procesan lotes.
+const OPCIONES_LOTE = {
+    archivo: { type: "string", short: "a" },
+    formato: { type: "string", short: "f", default: "texto" },
+    salida: { type: "string", short: "o" },
+    idioma: { type: "string" },
+    semilla: { type: "string" },
+    latencia: { type: "string" },
+    "falla-error": { type: "string" },
+    "falla-tiempo": { type: "string" },
+    "reloj-virtual": { type: "boolean", default: false },
+    "tiempo-maximo": { type: "string" },
+    datos: { type: "string" },
+    reprocesar: { type: "boolean", default: false },
+    "sin-almacen": { type: "boolean", default: false },
+    "sin-auditoria": { type: "boolean", default: false },
+    auditoria: { type: "string" },
+    ayuda: { type: "boolean", short: "h", default: false },
+    help: { type: "boolean", default: false }
+};
+
+const AYUDA_GENERAL = `Uso: node app.js [comando] [opciones]
+
+Sin comando se abre el menú interactivo.
+
+Comandos:
+  analizar      Analiza transacciones y control de riesgo (Ejercicio 1).
+  operaciones   Procesa operaciones por lotes (Ejercicio 2).
+  solicitudes   Gestiona solicitudes de servicio (Ejercicio 3).
+  avanzar       Avanza una solicitud en su ciclo de vida: avanzar <id> <estado> [--motivo texto].
+  auditoria     Verifica el registro de auditoría.
+  servidor      Inicia la API HTTP local (POST /transacciones, /operaciones, /solicitudes).
+
+Opciones de analizar, operaciones y solicitudes:
+  -a, --archivo <ruta>    Archivo de entrada (analizar: .csv o .json; operaciones y solicitudes: .json con un arreglo).
+  -f, --formato <f>       ${FORMATOS_REPORTE.join(" | ")} (por defecto texto).
+                          Sin --salida, con json, csv o ndjson stdout recibe solo el reporte (la consola va a stderr).
+  -o, --salida <ruta>     Escribe el reporte en un archivo con el formato elegido (la consola sigue en stdout).
+      --idioma <i>        ${IDIOMAS.join(" | ")}: idioma de los motivos (por defecto la variable IDIOMA o es).
+      --semilla <n>       Semilla del servicio simulado: la misma semilla repite latencias y fallas.
+      --latencia <a-b>    Latencia simulada en ms (por defecto 300-2000).
+      --falla-error <p>   Probabilidad (0 a 1) de que el servicio simulado falle.
+      --falla-tiempo <p>  Probabilidad (0 a 1) de que el servicio simulado no responda (tiempo agotado).
+      --reloj-virtual     Adelanta el reloj en lugar de esperar (misma latencia simulada, sin demoras reales).
+      --tiempo-maximo <ms>  Espera máxima al servicio por elemento; si se supera, se rechaza por timeout.
+      --datos <carpeta>   Carpeta del almacén (por defecto data/).
+      --reprocesar        Procesa también los elementos ya procesados.
+      --sin-almacen       Trabaja solo en memoria: no lee ni guarda las colecciones ni las claves de idempotencia
+                          (la auditoría se escribe igual, salvo con --sin-auditoria).
+      --sin-auditoria     No escribe el registro de auditoría.
+      --auditoria <ruta>  Archivo del registro de auditoría.
+  -h, --ayuda, --help     Muestra la ayuda (general o del comando).
+
+Ctrl+C durante analizar, operaciones o solicitudes cancela el lote: lo pendiente no se procesa y se muestra el resumen parcial.
+
+Códigos de salida:
+  ${CODIGOS_SALIDA.EXITO}  Todo aprobado / válido (auditoría íntegra).
+  ${CODIGOS_SALIDA.RECHAZOS}  Al menos un elemento rechazado o inválido (auditoría alterada).
+  ${CODIGOS_SALIDA.USO}  Comando u opciones incorrectos.
+  ${CODIGOS_SALIDA.ERROR}  Archivo ilegible, filas que no se pudieron interpretar o falla de ejecución.
+  ${CODIGOS_SALIDA.CANCELADO}  Lote cancelado con Ctrl+C (quedaron elementos sin procesar).
+
+Ayuda de cada comando: node app.js <comando> --ayuda`;
+
+// Comandos disponibles.
+// - opciones: definición para parseArgs (además de OPCIONES_LOTE en los comandos de lote).
+// - ayuda: texto propio del comando.
+// - validar(valores): opcional; lanza Error si una opción tiene un valor inválido.
+// - cancelable: true si Ctrl+C cancela la ejecución (comandos de lote); ejecutar recibe la AbortSignal como tercer argumento.
+// - ejecutar(valores, posicionales, senal): Promesa con { codigo } (ver CODIGOS_SALIDA) y, en los comandos de lote,
+//   el reporte estructurado ({ reporte }, ver reportes.js).
+const COMANDOS = {
+    analizar: {
+        opciones: {
+            ...OPCIONES_LOTE,
+            separador: { type: "string" },
+            tasas: { type: "string" },
+            moneda: { type: "string" },
+            desde: { type: "string" },
+            hasta: { type: "string" },
+            "sin-idempotencia": { type: "boolean", default: false }
+        },
+        ayuda: `Uso: node app.js analizar [opciones]
+
+  -a, --archivo <ruta>     CSV o JSON con transacciones (sin archivo: datos de prueba).
+      --separador <s>      Separador del CSV (por defecto ",").
+      --tasas <ruta>       JSON con tasas de cambio fechadas.
+      --moneda <código>    Moneda de reporte (ej: USD).
+      --desde / --hasta    Rango del reporte por periodo (AAAA-MM-DD).
+      --sin-idempotencia   No lee ni guarda las claves de idempotencia.
+  Además: --formato, --salida, --idioma, --datos, --semilla, --latencia, --falla-error, --falla-tiempo, --reloj-virtual, --tiempo-maximo, --reprocesar, --sin-almacen, --sin-auditoria, --auditoria.
+
+Sale con ${CODIGOS_SALIDA.RECHAZOS} si alguna transacción es inválida y con ${CODIGOS_SALIDA.ERROR} si alguna fila del archivo no se pudo leer.`,
+        validar: (valores) => {
+            for (const opcion of ["desde", "hasta"]) {
+                if (valores[opcion] === undefined) continue;
+                try {
+                    parsearFechaEstricta(valores[opcion], { toleranciaFuturoMs: Infinity });
+                } catch (err) {
+                    throw new Error(`--${opcion} debe ser una fecha ISO 8601 real (AAAA-MM-DD): ${err.message}.`);
+                }
+            }
+        },
+        cancelable: true,
+        ejecutar: async (valores, posicionales, senal) => {
+            const reporte = await ejecutarAnalisis({
+                ...opcionesDeLote(valores, senal),
+                separador: valores.separador,
+                archivoTasas: valores.tasas,
+                monedaReporte: valores.moneda,
+                periodo: { desde: valores.desde, hasta: valores.hasta },
+                idempotencia: valores["sin-idempotencia"] ? false : undefined
+            });
+            return {
+                reporte,
+                codigo: reporte.cancelado
+                    ? CODIGOS_SALIDA.CANCELADO
+                    : reporte.erroresImportacion.length > 0
+                        ? CODIGOS_SALIDA.ERROR
+                        : codigoPorResultados(reporte.items, r => r.clasificacion === "invalida")
+            };
+        }
+    },
+
+    operaciones: {
+        opciones: {
+            ...OPCIONES_LOTE,
+            concurrencia: { type: "string", short: "c" },
+            orden: { type: "string" },
+            precision: { type: "string", short: "p" }
+        },
+        ayuda: `Uso: node app.js operaciones [opciones]
+
+  -a, --archivo <ruta>        JSON con un arreglo de operaciones (sin archivo: datos de prueba).
+  -c, --concurrencia <n>      Operaciones en paralelo (por defecto 4).
+      --orden <o>             ${ORDENES_SALIDA.join(" | ")}: orden del reporte.
+  -p, --precision <p>         ${PRECISIONES.join(" | ")}.
+  Además: --formato, --salida, --idioma, --datos, --semilla, --latencia, --falla-error, --falla-tiempo, --reloj-virtual, --tiempo-maximo, --reprocesar, --sin-almacen, --sin-auditoria, --auditoria.
+
+Sale con ${CODIGOS_SALIDA.RECHAZOS} si alguna operación es rechazada.`,
+        validar: (valores) => {
+            if (valores.concurrencia !== undefined && !/^[1-9]\d*$/.test(valores.concurrencia)) {
+                throw new Error(`--concurrencia debe ser un entero mayor o igual a 1 (recibió ${valores.concurrencia}).`);
+            }
+            if (valores.orden !== undefined && !ORDENES_SALIDA.includes(valores.orden)) {
+                throw new Error(`--orden debe ser ${ORDENES_SALIDA.join(" o ")} (recibió ${valores.orden}).`);
+            }
+            if (valores.precision !== undefined && !PRECISIONES.includes(valores.precision)) {
+                throw new Error(`--precision debe ser ${PRECISIONES.join(" o ")} (recibió ${valores.precision}).`);
+            }
+        },
+        cancelable: true,
+        ejecutar: async (valores, posicionales, senal) => {
+            const reporte = await ejecutarOperaciones({
+                ...opcionesDeLote(valores, senal),
+                concurrencia: valores.concurrencia === undefined ? undefined : Number(valores.concurrencia),
+                orden: valores.orden,
+                precision: valores.precision
+            });
+            return { reporte, codigo: codigoDeLote(reporte) };
+        }
+    },
+
+    solicitudes: {
+        opciones: {
+            ...OPCIONES_LOTE,
+            tecnicos: { type: "string" }
+        },
+        ayuda: `Uso: node app.js solicitudes [opciones]
+
+  -a, --archivo <ruta>     JSON con un arreglo de solicitudes (sin archivo: datos de prueba).
+      --tecnicos <ruta>    JSON con el plantel de técnicos (por defecto data/tecnicos.json).
+  Además: --formato, --salida, --idioma, --datos, --semilla, --latencia, --falla-error, --falla-tiempo, --reloj-virtual, --tiempo-maximo, --reprocesar, --sin-almacen, --sin-auditoria, --auditoria.
+
+Sale con ${CODIGOS_SALIDA.RECHAZOS} si alguna solicitud es rechazada ("en espera" de técnico no cuenta como rechazo).`,
+        cancelable: true,
+        ejecutar: async (valores, posicionales, senal) => {
+            const reporte = await ejecutarSolicitudes({
+                ...opcionesDeLote(valores, senal),
+                rutaTecnicos: valores.tecnicos
+            });
+            return { reporte, codigo: codigoDeLote(reporte) };
+        }
+    },
+
+    avanzar: {
+        opciones: {
+            motivo: { type: "string", short: "m" },
+            datos: { type: "string" },
+            "sin-auditoria": { type: "boolean", default: false },
+            auditoria: { type: "string" },
+            ayuda: { type: "boolean", short: "h", default: false },
+            help: { type: "boolean", default: false }
+        },
+        posicionales: 2,
+        ayuda: `Uso: node app.js avanzar <id> <estado> [--motivo texto]
+
+  Estados: en progreso, resuelta, cerrada, reabierta, cancelada (los de dos palabras, entre comillas).
+  -m, --motivo <texto>     Comentario para el historial.
+      --datos <carpeta>    Carpeta del almacén (por defecto data/).
+
+Sale con ${CODIGOS_SALIDA.RECHAZOS} si la transición no está permitida.`,
+        ejecutar: async (valores, [id, destino]) => {
+            try {
+                const ciclo = await avanzarSolicitud(Number(id), destino, {
+                    motivo: valores.motivo,
+                    directorioDatos: valores.datos,
+                    auditoria: valores["sin-auditoria"] ? false : undefined,
+                    rutaAuditoria: valores.auditoria
+                });
+                console.log(`Solicitud ${id}: ${ciclo.historial.at(-1).desde} → ${ciclo.estado}`);
+                return { codigo: CODIGOS_SALIDA.EXITO };
+            } catch (err) {
+                console.error(err.message);
+                return { codigo: CODIGOS_SALIDA.RECHAZOS };
+            }
+        }
+    },
+
+    auditoria: {
+        opciones: {
+            auditoria: { type: "string" },
+            ayuda: { type: "boolean", short: "h", default: false },
+            help: { type: "boolean", default: false }
+        },
+        ayuda: `Uso: node app.js auditoria [--auditoria ruta]
+
+Sale con ${CODIGOS_SALIDA.RECHAZOS} si el registro fue alterado.`,
+        ejecutar: async (valores) => {
+            const verificacion = await imprimirVerificacion(valores.auditoria ?? RUTA_AUDITORIA);
+            return { codigo: verificacion.valido ? CODIGOS_SALIDA.EXITO : CODIGOS_SALIDA.RECHAZOS };
+        }
+    },
+
+    servidor: {
+        opciones: {
+            puerto: { type: "string", short: "p" },
+            host: { type: "string" },
+            idioma: { type: "string" },
+            semilla: { type: "string" },
+            latencia: { type: "string" },
+            "falla-error": { type: "string" },
+            "falla-tiempo": { type: "string" },
+            "reloj-virtual": { type: "boolean", default: false },
+            "tiempo-maximo": { type: "string" },
+            datos: { type: "string" },
+            reprocesar: { type: "boolean", default: false },
+            "sin-almacen": { type: "boolean", default: false },
+            "sin-auditoria": { type: "boolean", default: false },
+            auditoria: { type: "string" },
+            ayuda: { type: "boolean", short: "h", default: false },
+            help: { type: "boolean", default: false }
+        },
+        ayuda: `Uso: node app.js servidor [opciones]
+
+  -p, --puerto <n>         Puerto (por defecto la variable PUERTO o ${PUERTO_POR_DEFECTO}; 0 elige uno libre).
+      --host <h>           Interfaz donde escuchar (por defecto ${HOST_POR_DEFECTO}, solo esta máquina).
+  Además: --idioma, --datos, --semilla, --latencia, --falla-error, --falla-tiempo, --reloj-virtual, --tiempo-maximo, --reprocesar, --sin-almacen, --sin-auditoria, --auditoria.
+
+Rutas: GET /salud; POST /<colección> con un elemento o POST /<colección>/lote con un arreglo
+(colección: transacciones, operaciones o solicitudes). Ver comun/doctecnica.md.
+Se detiene con Ctrl+C (sale con ${CODIGOS_SALIDA.EXITO}).`,
+        validar: (valores) => {
+            if (valores.puerto !== undefined && (!/^\d+$/.test(valores.puerto) || Number(valores.puerto) > 65535)) {
+                throw new Error(`--puerto debe ser un entero entre 0 y 65535 (recibió ${valores.puerto}).`);
+            }
+        },
+        ejecutar: async (valores) => {
+            const servidor = await iniciarServidor({
+                ...opcionesDeLote(valores),
+                puerto: valores.puerto === undefined ? undefined : Number(valores.puerto),
+                host: valores.host
+            });
+            const { address, port } = servidor.address();
+            console.log(`API HTTP escuchando en http://${address.includes(":") ? `[${address}]` : address}:${port}`);
+            console.log(`Rutas: GET /salud; POST ${RUTAS_HTTP.filter(ruta => ruta !== "/salud").join(", ")}`);
+
+            // Espera Ctrl+C (SIGINT) o SIGTERM y cierra las conexiones antes de salir.
+            // Los dos oyentes se quitan al llegar cualquiera de las señales: la otra no queda escuchando
+            // (una segunda Ctrl+C durante el cierre termina el proceso como siempre).
+            let alSigint;
+            let alSigterm;
+            const senal = await new Promise(resolve => {
+                alSigint = () => resolve("SIGINT");
+                alSigterm = () => resolve("SIGTERM");
+                process.once("SIGINT", alSigint);
+                process.once("SIGTERM", alSigterm);
+            });
+            process.off("SIGINT", alSigint);
+            process.off("SIGTERM", alSigterm);
+            console.log(`${senal} recibido: deteniendo la API HTTP...`);
+            await detenerServidor(servidor);
+            return { codigo: CODIGOS_SALIDA.EXITO };
+        }
+    }
+};
+
+// opcionesDeLote(valores, senal)
+// - Propósito: convertir las opciones comunes de la línea de comandos a las de ejecutar*().
+// - senal: AbortSignal con la que Ctrl+C cancela el lote (undefined en el servidor).
+function opcionesDeLote(valores, senal) {
+    return {
+        archivo: valores.archivo,
+        directorioDatos: valores.datos,
+        reprocesar: valores.reprocesar,
+        almacen: valores["sin-almacen"] ? false : undefined,
+        auditoria: valores["sin-auditoria"] ? false : undefined,
+        rutaAuditoria: valores.auditoria,
+        servicio: servicioDeOpciones(valores),
+        tiempoMaximoMs: valores["tiempo-maximo"] === undefined ? undefined : Number(valores["tiempo-maximo"]),
+        senal
+    };
+}
+
+// servicioDeOpciones(valores)
+// - Propósito: armar el servicio simulado (ver servicioSimulado.js) con --semilla, --latencia, --falla-error,
+//   --falla-tiempo y --reloj-virtual.
+// - Salida: el servicio, o undefined si no se usó ninguna de esas opciones (cada ejercicio usa el de siempre).
+// - Lanza Error con el nombre de la opción si un valor no es válido.
+function servicioDeOpciones(valores) {
+    const { semilla, latencia } = valores;
+    const error = valores["falla-error"];
+    const tiempo = valores["falla-tiempo"];
+    const virtual = valores["reloj-virtual"];
+    if ([semilla, latencia, error, tiempo].every(valor => valor === undefined) && !virtual) return undefined;
+
+    if (semilla !== undefined && !/^\d+$/.test(semilla)) {
+        throw new Error(`--semilla debe ser un entero mayor o igual a 0 (recibió ${semilla}).`);
+    }
+    const rango = latencia === undefined ? null : /^(\d+)-(\d+)$/.exec(latencia);
+    if (latencia !== undefined && !rango) {
+        throw new Error(`--latencia debe tener la forma mínimo-máximo en ms, ej: 300-2000 (recibió ${latencia}).`);
+    }
+    const probabilidad = (nombre, valor) => {
+        if (valor !== undefined && !/^(0(\.\d+)?|1(\.0+)?)$/.test(valor)) {
+            throw new Error(`${nombre} debe ser un número entre 0 y 1 (recibió ${valor}).`);
+        }
+        return valor === undefined ? undefined : Number(valor);
+    };
+    const fallas = {
+        ...(error !== undefined ? { error: probabilidad("--falla-error", error) } : {}),
+        ...(tiempo !== undefined ? { tiempoAgotado: probabilidad("--falla-tiempo", tiempo) } : {})
+    };
+    return crearServicioSimulado({
+        semilla: semilla === undefined ? undefined : Number(semilla),
+        latencia: rango ? { minimo: Number(rango[1]), maximo: Number(rango[2]) } : undefined,
+        fallas,
+        relojVirtual: virtual
+    });
+}
+
+// codigoDeLote(reporte)
+// - Salida: CANCELADO si el lote se canceló con elementos sin procesar; si no, RECHAZOS o EXITO según sus estados.
+function codigoDeLote(reporte) {
+    return reporte.cancelado
+        ? CODIGOS_SALIDA.CANCELADO
+        : codigoPorResultados(reporte.items, r => r.estado === "rechazada");
+}
+
+// codigoPorResultados(resultados, esRechazo)
+// - Salida: RECHAZOS si algún resultado cumple esRechazo; si no, EXITO.
+function codigoPorResultados(resultados, esRechazo) {
+    return resultados.some(esRechazo) ? CODIGOS_SALIDA.RECHAZOS : CODIGOS_SALIDA.EXITO;
+}
+
+// mensajeDeUso(err)
+// - Propósito: los errores de parseArgs vienen en inglés; los más comunes se traducen.
+function mensajeDeUso(err) {
+    const opcion = /--[\w-]+/.exec(err.message)?.[0] ?? /'([^']+)'/.exec(err.message)?.[1];
+    switch (err.code) {
+        case "ERR_PARSE_ARGS_UNKNOWN_OPTION":
+            return `Opción desconocida: ${opcion}.`;
+        case "ERR_PARSE_ARGS_INVALID_OPTION_VALUE":
+            return `La opción ${opcion} necesita un valor (o no admite uno, si es un indicador como --reprocesar).`;
+        default:
+            return err.message;
+    }
+}
+
+// ejecutarLineaComandos(argumentos)
+// - Propósito: punto de entrada del modo no interactivo.
+// - Entrada: argumentos sin "node" ni "app.js" (process.argv.slice(2)).
+// - Salida: Promesa con el código de salida (CODIGOS_SALIDA); nunca rechaza.
+// - Diseño:
+//    - Las opciones se validan antes de ejecutar: un error de uso no procesa nada ni toca el almacén.
+//    - El reporte estructurado se escribe con escribirReporte (reportes.js) en el formato pedido:
+//      - con --salida, en ese archivo (la consola no cambia; en formato texto también se escribe el archivo);
+//      - sin --salida y con json, csv o ndjson, en stdout; el reporte legible se envía a stderr
+//        (console.log se redirige mientras corre el comando) para que stdout quede solo para el reporte.
+//    - Si la ejecución falla en formato json sin --salida, stdout recibe { comando, codigo, error }.
+//    - En los comandos de lote, Ctrl+C (SIGINT) activa una AbortSignal: el lote se cancela, el reporte parcial
+//      se escribe igual y el código es CANCELADO si quedaron elementos sin procesar.
+export async function ejecutarLineaComandos(argumentos) {
+    const [nombre, ...resto] = argumentos;
+    if (nombre === "--ayuda" || nombre === "--help" || nombre === "-h" || nombre === "ayuda") {
+        console.log(AYUDA_GENERAL);
+        return CODIGOS_SALIDA.EXITO;
+    }
+
+    const comando = COMANDOS[nombre];
+    if (!comando) {
+        console.error(`Comando no reconocido: ${nombre}\n`);
+        console.error(AYUDA_GENERAL);
+        return CODIGOS_SALIDA.USO;
+    }
+
+    let valores;
+    let posicionales;
+    try {
+        ({ values: valores, positionals: posicionales } = parseArgs({
+            args: resto,
+            options: comando.opciones,
+            allowPositionals: true,
+            strict: true
+        }));
+        if (valores.ayuda || valores.help) {
+            console.log(comando.ayuda);
+            return CODIGOS_SALIDA.EXITO;
+        }
+        if (posicionales.length !== (comando.posicionales ?? 0)) {
+            throw new Error(`${nombre} espera ${comando.posicionales ?? 0} argumento(s) sin nombre (recibió ${posicionales.length}).`);
+        }
+        if (valores.formato !== undefined && !FORMATOS_REPORTE.includes(valores.formato)) {
+            throw new Error(`--formato debe ser ${FORMATOS_REPORTE.join(", ")} (recibió ${valores.formato}).`);
+        }
+        if (valores.idioma !== undefined && !IDIOMAS.includes(valores.idioma)) {
+            throw new Error(`--idioma debe ser ${IDIOMAS.join(" o ")} (recibió ${valores.idioma}).`);
+        }
+        comando.validar?.(valores);
+        servicioDeOpciones(valores);   // valida --semilla, --latencia y las fallas antes de procesar
+        if (valores["tiempo-maximo"] !== undefined && !/^[1-9]\d*$/.test(valores["tiempo-maximo"])) {
+            throw new Error(`--tiempo-maximo debe ser un entero mayor o igual a 1 en ms (recibió ${valores["tiempo-maximo"]}).`);
+        }
+    } catch (err) {
+        console.error(`${mensajeDeUso(err)}\n`);
+        console.error(comando.ayuda);
+        return CODIGOS_SALIDA.USO;
+    }
+
+    if (valores.idioma !== undefined) configurarIdioma(valores.idioma);
+    const { formato = "texto", salida } = valores;
+    const reporteEnStdout = formato !== "texto" && !salida;
+    const logOriginal = console.log;
+    if (reporteEnStdout) console.log = console.error;
+    // Ctrl+C en un comando de lote: la primera vez cancela (resumen parcial); una segunda, con el listener ya quitado, termina el proceso.
+    const controlador = new AbortController();
+    const cancelar = () => {
+        console.error("\nCtrl+C: cancelando el lote; lo pendiente no se procesa (Ctrl+C otra vez para salir de inmediato).");
+        controlador.abort();
+    };
+    if (comando.cancelable) process.once("SIGINT", cancelar);
+    try {
+        const { reporte, codigo } = await comando.ejecutar(valores, posicionales, controlador.signal);
+        if (reporte && (reporteEnStdout || salida)) {
+            const ruta = await escribirReporte(reporte, { formato, salida });
+            if (ruta) console.log(`Reporte (${formato}) guardado en ${ruta}`);
+        }
+        return codigo;
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        if (reporteEnStdout && formato === "json") {
+            logOriginal(JSON.stringify({ comando: nombre, codigo: CODIGOS_SALIDA.ERROR, error: err.message }, null, 2));
+        }
+        return CODIGOS_SALIDA.ERROR;
+    } finally {
+        process.off("SIGINT", cancelar);
+        console.log = logOriginal;
+    }
+}
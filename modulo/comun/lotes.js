@@ -0,0 +1,188 @@
+// Módulo responsable de:
+// - Procesar un lote de elementos en paralelo con un límite de concurrencia (como máximo N a la vez).
+// - Entregar los resultados en el orden de entrada o en el orden en que terminan.
+// - Medir el tiempo real del lote frente a la suma de los tiempos individuales (lo que tardaría en secuencia).
+// - Cancelar un lote con una AbortSignal (ej: Ctrl+C) y acotar la espera de cada elemento (tiempo máximo).
+import { performance } from "node:perf_hooks";
+import { crearResultado } from "./resultados.js";
+import { errorConCodigo } from "./mensajes.js";
+
+// Concurrencia por defecto: suficiente para notar la mejora sin saturar un servicio externo real.
+export const CONCURRENCIA_POR_DEFECTO = 4;
+
+// Órdenes de salida disponibles.
+export const ORDENES_SALIDA = ["entrada", "finalizacion"];
+
+// errorDeCancelacion()
+// - Salida: Error con código LOTE_CANCELADO; es el motivo con que se interrumpe una espera cuando se cancela el lote.
+export function errorDeCancelacion() {
+    return errorConCodigo("LOTE_CANCELADO");
+}
+
+// esCancelacion(err)
+// - Salida: true si el error viene de cancelar el lote. Los procesadores no lo convierten en un resultado rechazado:
+//   lo vuelven a lanzar para que el elemento quede pendiente (no se informa, no se audita ni se guarda).
+export function esCancelacion(err) {
+    return err?.codigo === "LOTE_CANCELADO";
+}
+
+// validarTiempoMaximo(tiempoMaximoMs)
+// - Propósito: revisar opciones.tiempoMaximoMs antes de empezar un lote (no rechazar cada elemento por una opción mal escrita).
+// - Lanza Error si no es undefined ni un entero mayor o igual a 1.
+export function validarTiempoMaximo(tiempoMaximoMs) {
+    if (tiempoMaximoMs !== undefined && (!Number.isInteger(tiempoMaximoMs) || tiempoMaximoMs < 1)) {
+        throw new Error(`El tiempo máximo por elemento debe ser un entero mayor o igual a 1 ms (recibió ${tiempoMaximoMs}).`);
+    }
+}
+
+// procesarEnLote(elementos, procesar, opciones)
+// - Propósito: ejecutar procesar(elemento, indice) para cada elemento con a lo sumo 'concurrencia' ejecuciones simultáneas.
+// - Entrada:
+//    - elementos: arreglo a procesar (no se modifica).
+//    - procesar: función async (elemento, indice) => resultado. Se espera que nunca rechace (resultados controlados).
+//    - opciones.concurrencia: entero >= 1 (por defecto CONCURRENCIA_POR_DEFECTO). Con 1 el lote es secuencial.
+//    - opciones.orden: "entrada" (por defecto) o "finalizacion"; orden en que se llama a alResultado.
+//    - opciones.alResultado: async (resultado, indice, elemento) => void. Reporte, auditoría, guardado...
+//      Se llama de a uno por vez (nunca dos en paralelo), así la salida en consola no se mezcla.
+//    - opciones.siFalla: (err, elemento) => resultado, para el caso en que procesar rechace igualmente.
+//    - opciones.ordenProceso: arreglo de índices con el orden en que se toman los elementos (por defecto 0, 1, 2...).
+//      No cambia el orden de entrega: sirve para empezar primero lo que otros elementos necesitan (dependencias).
+//    - opciones.esperar: async (elemento, indice) => void, se espera antes de procesar y fuera de la medición de tiempo
+//      (por ejemplo, a que terminen las dependencias del elemento).
+//    - opciones.reloj: { ms() } con el que se miden los tiempos (por defecto performance.now();
+//      con el reloj virtual de servicioSimulado.js se mide la latencia simulada).
+//    - opciones.senal: AbortSignal para cancelar el lote. Al cancelarse no se toman más elementos, se deja de esperar
+//      a las dependencias y un elemento cuyo procesar rechaza queda sin procesar (no se entrega ni pasa por siFalla).
+// - Salida: Promesa con { resultados, duraciones, tiempoTotalMs, tiempoSecuencialMs, concurrencia, cancelado, sinProcesar }.
+//    - resultados y duraciones (ms por elemento) siempre en el orden de entrada; si se canceló, solo los terminados.
+//    - tiempoTotalMs: tiempo del lote completo según el reloj; tiempoSecuencialMs: suma de las duraciones.
+//    - cancelado: true si la cancelación dejó elementos sin procesar; sinProcesar: cuántos.
+// - Lanza Error si la concurrencia, el orden o el orden de proceso no son válidos,
+//   o (al final del lote) si alResultado lanzó un error.
+// - Diseño:
+//    - N "trabajadores" toman el siguiente índice libre; no hace falta una librería de colas.
+//    - En orden "entrada", un resultado que termina antes que los anteriores espera en un buffer
+//      hasta que todos los anteriores se hayan entregado.
+//    - En los dos órdenes el trabajador no espera la entrega: sigue con el próximo elemento
+//      (si esperara, un elemento que depende de otro posterior bloquearía el lote, y con el reloj virtual
+//      el tiempo seguiría avanzando mientras el trabajador escribe en disco).
+//    - Cancelado en orden "entrada", los terminados que quedaron detrás de un elemento sin procesar se entregan al final
+//      (en orden de entrada), así el resumen parcial incluye todo lo que se llegó a procesar.
+export async function procesarEnLote(elementos, procesar, opciones = {}) {
+    const {
+        concurrencia = CONCURRENCIA_POR_DEFECTO,
+        orden = "entrada",
+        alResultado = async () => {},
+        siFalla = (err, elemento) => crearResultado({
+            id: elemento?.id ?? "desconocido",
+            estado: "rechazada",
+            codigo: "ERROR_INESPERADO",
+            parametros: { detalle: err.message }
+        }),
+        ordenProceso = elementos.map((elemento, indice) => indice),
+        esperar = async () => {},
+        reloj = { ms: () => performance.now() },
+        senal
+    } = opciones;
+
+    if (!Number.isInteger(concurrencia) || concurrencia < 1) {
+        throw new Error(`La concurrencia debe ser un entero mayor o igual a 1 (recibió ${concurrencia}).`);
+    }
+    if (!ORDENES_SALIDA.includes(orden)) {
+        throw new Error(`Orden de salida no reconocido: ${orden} (use ${ORDENES_SALIDA.join(" o ")}).`);
+    }
+    if (ordenProceso.length !== elementos.length || new Set(ordenProceso).size !== elementos.length
+        || !ordenProceso.every(i => Number.isInteger(i) && i >= 0 && i < elementos.length)) {
+        throw new Error("El orden de proceso debe incluir cada índice del lote exactamente una vez.");
+    }
+
+    const resultados = new Array(elementos.length);
+    const duraciones = new Array(elementos.length);
+    const terminados = new Array(elementos.length).fill(false);
+    let siguiente = 0;          // posición de ordenProceso que tomará el próximo trabajador
+    let proximoAEntregar = 0;   // en orden "entrada": próximo índice que se puede entregar
+    let entregas = Promise.resolve();   // cadena que serializa las llamadas a alResultado
+    let errorEntrega = null;    // primer error de alResultado; se informa al terminar el lote
+
+    // entregar(indice): encadena alResultado para que nunca corran dos a la vez.
+    // Después de un error no se entregan más resultados (el lote termina de procesarse y luego se informa).
+    const entregar = (indice) => {
+        entregas = entregas
+            .then(() => errorEntrega ? undefined : alResultado(resultados[indice], indice, elementos[indice]))
+            .catch(err => { errorEntrega ??= err; });
+        return entregas;
+    };
+
+    // cancelada: Promesa que rechaza al cancelarse el lote; corta la espera de dependencias que ya no van a terminar.
+    let alCancelar = null;
+    const cancelada = senal ? new Promise((resolve, reject) => {
+        alCancelar = () => reject(errorDeCancelacion());
+        if (senal.aborted) alCancelar();
+        else senal.addEventListener("abort", alCancelar, { once: true });
+    }) : null;
+    cancelada?.catch(() => {});
+
+    const inicio = reloj.ms();
+
+    const trabajador = async () => {
+        while (siguiente < elementos.length && !senal?.aborted) {
+            const indice = ordenProceso[siguiente++];
+            let comienzo = reloj.ms();
+            try {
+                const espera = esperar(elementos[indice], indice);
+                await (cancelada ? Promise.race([espera, cancelada]) : espera);
+                comienzo = reloj.ms();
+                resultados[indice] = await procesar(elementos[indice], indice);
+            } catch (err) {
+                if (senal?.aborted) continue;   // queda sin procesar; el while termina
+                resultados[indice] = siFalla(err, elementos[indice]);
+            }
+            duraciones[indice] = reloj.ms() - comienzo;
+            terminados[indice] = true;
+
+            if (orden === "finalizacion") {
+                entregar(indice);
+            } else {
+                // Entrega todos los resultados contiguos ya terminados desde el primero pendiente.
+                while (proximoAEntregar < elementos.length && terminados[proximoAEntregar]) {
+                    entregar(proximoAEntregar++);
+                }
+            }
+        }
+    };
+
+    const cantidad = Math.min(concurrencia, elementos.length);
+    await Promise.all(Array.from({ length: cantidad }, trabajador));
+    senal?.removeEventListener("abort", alCancelar);
+
+    // Cancelado: se entregan los terminados que esperaban detrás de un elemento sin procesar.
+    const sinProcesar = terminados.filter(terminado => !terminado).length;
+    if (sinProcesar > 0 && orden === "entrada") {
+        for (; proximoAEntregar < elementos.length; proximoAEntregar++) {
+            if (terminados[proximoAEntregar]) entregar(proximoAEntregar);
+        }
+    }
+    await entregas;
+    if (errorEntrega) throw errorEntrega;
+
+    const tiempoTotalMs = reloj.ms() - inicio;
+    const tiempoSecuencialMs = duraciones.reduce((total, ms) => total + (ms ?? 0), 0);
+    return {
+        resultados: sinProcesar > 0 ? resultados.filter((resultado, indice) => terminados[indice]) : resultados,
+        duraciones: sinProcesar > 0 ? duraciones.filter((ms, indice) => terminados[indice]) : duraciones,
+        tiempoTotalMs,
+        tiempoSecuencialMs,
+        concurrencia,
+        cancelado: sinProcesar > 0,
+        sinProcesar
+    };
+}
+
+// describirTiempos(lote)
+// - Propósito: texto del resumen de tiempos para dimensionar lotes.
+// - Ejemplo: "Tiempo total: 2.1 s con concurrencia 4 — suma secuencial: 7.9 s (3.8x más rápido)."
+export function describirTiempos({ tiempoTotalMs, tiempoSecuencialMs, concurrencia }) {
+    const segundos = (ms) => `${(ms / 1000).toFixed(1)} s`;
+    const aceleracion = tiempoTotalMs > 0 ? (tiempoSecuencialMs / tiempoTotalMs).toFixed(1) : "1.0";
+    return `Tiempo total: ${segundos(tiempoTotalMs)} con concurrencia ${concurrencia} — suma secuencial: ${segundos(tiempoSecuencialMs)} (${aceleracion}x más rápido).`;
+}
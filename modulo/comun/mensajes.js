@@ -0,0 +1,502 @@
+// Módulo responsable de:
+// - Dar a cada rechazo (y a cada decisión) un código estable que no depende del idioma (ej: "DIVISION_POR_CERO").
+// - Guardar en un catálogo el texto de cada código en español y en inglés.
+// - Elegir el idioma de los motivos: variable de entorno IDIOMA, opción --idioma de la línea de comandos o configurarIdioma().
+
+// Idiomas del catálogo. El español es el idioma de referencia: todo código tiene texto en español.
+export const IDIOMAS = ["es", "en"];
+export const IDIOMA_POR_DEFECTO = "es";
+
+// Idioma actual de los motivos (se lee una vez de la variable de entorno; un valor desconocido se ignora).
+let idioma = IDIOMAS.includes(process.env.IDIOMA) ? process.env.IDIOMA : IDIOMA_POR_DEFECTO;
+
+// configurarIdioma(nuevo)
+// - Propósito: cambiar el idioma de los motivos que se generen a partir de ahora.
+// - Lanza Error si el idioma no está en IDIOMAS.
+// - Diseño: los resultados ya generados no cambian; conservan su código y sus parámetros para volver a traducirlos.
+export function configurarIdioma(nuevo) {
+    if (!IDIOMAS.includes(nuevo)) {
+        throw new Error(`Idioma no reconocido: ${nuevo} (use ${IDIOMAS.join(" o ")}).`);
+    }
+    idioma = nuevo;
+}
+
+// idiomaActual()
+// - Salida: "es" | "en".
+export function idiomaActual() {
+    return idioma;
+}
+
+// Nombres de las entidades (para "Operación 3: ..." y "Transacción inválida: ...").
+const ENTIDADES = {
+    transaccion: { es: "Transacción", en: "Transaction" },
+    operacion: { es: "Operación", en: "Operation" },
+    solicitud: { es: "Solicitud", en: "Request" }
+};
+
+// Nombres de los tipos del esquema (ver esquemas.js) y de los tipos de transacción.
+const TIPOS = {
+    texto: { es: "un string", en: "a string" },
+    numero: { es: "un número", en: "a number" },
+    booleano: { es: "booleano", en: "a boolean" },
+    fecha: { es: "un Date", en: "a Date" },
+    arreglo: { es: "un arreglo", en: "an array" },
+    bigint: { es: "un BigInt", en: "a BigInt" },
+    ingreso: { es: "ingreso", en: "income" },
+    egreso: { es: "egreso", en: "expense" },
+    transferencia: { es: "transferencia", en: "transfer" }
+};
+
+// nombre(tabla, clave, idioma)
+// - Salida: el nombre en el idioma pedido; si la clave no está en la tabla, la clave tal cual (ej: un tipo desconocido).
+function nombre(tabla, clave, idioma) {
+    return tabla[clave]?.[idioma] ?? clave;
+}
+
+// mayuscula(texto)
+// - Salida: el texto con la primera letra en mayúscula ("ingreso" => "Ingreso").
+function mayuscula(texto) {
+    return String(texto).charAt(0).toUpperCase() + String(texto).slice(1);
+}
+
+// textoAridad(parametros, idioma)
+// - Propósito: "exactamente 2" / "al menos 1" / "entre 1 y 3" (maximo null = sin tope).
+function textoAridad({ minimo, maximo }, idioma) {
+    if (minimo === maximo) return idioma === "en" ? `exactly ${minimo}` : `exactamente ${minimo}`;
+    if (maximo === null) return idioma === "en" ? `at least ${minimo}` : `al menos ${minimo}`;
+    return idioma === "en" ? `between ${minimo} and ${maximo}` : `entre ${minimo} y ${maximo}`;
+}
+
+// textoRango(parametros, idioma)
+// - Propósito: "estar entre 1 y 5" / "ser mayor o igual a 1" / "ser menor o igual a 5" para FUERA_DE_RANGO.
+function textoRango({ minimo, maximo }, idioma) {
+    if (minimo !== undefined && maximo !== undefined) {
+        return idioma === "en" ? `be between ${minimo} and ${maximo}` : `estar entre ${minimo} y ${maximo}`;
+    }
+    if (minimo !== undefined) return idioma === "en" ? `be greater than or equal to ${minimo}` : `ser mayor o igual a ${minimo}`;
+    return idioma === "en" ? `be less than or equal to ${maximo}` : `ser menor o igual a ${maximo}`;
+}
+
+// conMoneda(parametros)
+// - Propósito: " COP" detrás de un monto de las reglas de riesgo (vacío si los parámetros no traen moneda).
+function conMoneda({ moneda }) {
+    return moneda ? ` ${moneda}` : "";
+}
+
+// Catálogo: código => { es: (parametros) => texto, en: (parametros) => texto }.
+// Dos estilos de texto:
+// - Detalle (minúscula inicial, sin punto final): códigos que se lanzan como Error y se informan dentro de
+//   "Error: <Entidad> <id>: detalle 1; detalle 2." (ver motivoDeError). Son las violaciones del esquema,
+//   fechas, monedas, cálculo y referencias entre operaciones.
+// - Oración completa: decisiones que el procesamiento devuelve directamente (ej: "La operación está desactivada.").
+// Los parámetros son datos (ids, montos, campos), nunca texto ya traducido.
+const CATALOGO = {
+    // Comunes a los tres ejercicios (esquema y fallas).
+    ENTIDAD_VACIA: {
+        es: p => `la ${nombre(ENTIDADES, p.entidad, "es").toLowerCase()} está vacía o indefinida`,
+        en: p => `the ${nombre(ENTIDADES, p.entidad, "en").toLowerCase()} is empty or undefined`
+    },
+    CAMPO_FALTANTE: {
+        es: p => `falta el campo '${p.campo}'`,
+        en: p => `field '${p.campo}' is missing`
+    },
+    TIPO_INVALIDO: {
+        es: p => `el campo '${p.campo}' debe ser ${p.esperado.map(t => nombre(TIPOS, t, "es")).join(" o ")}`,
+        en: p => `field '${p.campo}' must be ${p.esperado.map(t => nombre(TIPOS, t, "en")).join(" or ")}`
+    },
+    CAMPO_VACIO: {
+        es: p => `el campo '${p.campo}' está vacío`,
+        en: p => `field '${p.campo}' is empty`
+    },
+    NO_FINITO: {
+        es: p => `el campo '${p.campo}' debe ser un número finito`,
+        en: p => `field '${p.campo}' must be a finite number`
+    },
+    NO_ENTERO: {
+        es: p => `el campo '${p.campo}' debe ser entero`,
+        en: p => `field '${p.campo}' must be an integer`
+    },
+    FUERA_DE_RANGO: {
+        es: p => `el campo '${p.campo}' debe ${textoRango(p, "es")} (recibió ${p.valor})`,
+        en: p => `field '${p.campo}' must ${textoRango(p, "en")} (got ${p.valor})`
+    },
+    VALOR_INVALIDO: {
+        es: p => `el campo '${p.campo}' no es válido${p.detalle ? ` (${p.detalle})` : ""}`,
+        en: p => `field '${p.campo}' is not valid${p.detalle ? ` (${p.detalle})` : ""}`
+    },
+    ERROR_INESPERADO: {
+        es: p => `Error inesperado: ${p.detalle}`,
+        en: p => `Unexpected error: ${p.detalle}`
+    },
+    // Fallas inyectadas en el servicio simulado (servicioSimulado.js).
+    FALLA_SERVICIO: {
+        es: p => `falla del servicio externo simulado (${p.servicio})`,
+        en: p => `simulated external service failure (${p.servicio})`
+    },
+    TIEMPO_AGOTADO_SERVICIO: {
+        es: p => `el servicio externo simulado (${p.servicio}) no respondió en ${p.ms} ms`,
+        en: p => `simulated external service (${p.servicio}) did not respond within ${p.ms} ms`
+    },
+    // Tiempo máximo por elemento y cancelación de un lote (lotes.js).
+    TIEMPO_MAXIMO_SUPERADO: {
+        es: p => `timeout: se superó el tiempo máximo de ${p.maximoMs} ms esperando al servicio externo simulado (${p.servicio})`,
+        en: p => `timeout: exceeded the ${p.maximoMs} ms limit waiting for the simulated external service (${p.servicio})`
+    },
+    LOTE_CANCELADO: {
+        es: () => "lote cancelado antes de terminar",
+        en: () => "batch cancelled before completion"
+    },
+
+    // Transacciones (ejercicio1).
+    MONTO_CERO: {
+        es: () => "el monto no puede ser 0",
+        en: () => "the amount cannot be 0"
+    },
+    FECHA_TIPO: {
+        es: () => "la fecha debe ser string o Date",
+        en: () => "the date must be a string or a Date"
+    },
+    FECHA_DATE_INVALIDO: {
+        es: () => "la fecha es un Date inválido",
+        en: () => "the date is an invalid Date"
+    },
+    FECHA_FORMATO: {
+        es: p => `la fecha "${p.valor}" no tiene formato ISO 8601 (AAAA-MM-DD o AAAA-MM-DDTHH:mm:ss)`,
+        en: p => `date "${p.valor}" is not in ISO 8601 format (YYYY-MM-DD or YYYY-MM-DDTHH:mm:ss)`
+    },
+    FECHA_MES: {
+        es: p => `la fecha "${p.valor}" tiene un mes fuera de rango (${p.mes})`,
+        en: p => `date "${p.valor}" has a month out of range (${p.mes})`
+    },
+    FECHA_DIA: {
+        es: p => `la fecha "${p.valor}" tiene un día fuera de rango (${p.dia})`,
+        en: p => `date "${p.valor}" has a day out of range (${p.dia})`
+    },
+    FECHA_HORA: {
+        es: p => `la fecha "${p.valor}" tiene una hora fuera de rango`,
+        en: p => `date "${p.valor}" has a time out of range`
+    },
+    FECHA_ZONA: {
+        es: p => `la fecha "${p.valor}" tiene una zona horaria fuera de rango (${p.zona})`,
+        en: p => `date "${p.valor}" has a time zone out of range (${p.zona})`
+    },
+    FECHA_FUTURA: {
+        es: p => `la fecha ${p.fecha} está en el futuro`,
+        en: p => `date ${p.fecha} is in the future`
+    },
+    MONEDA_NO_SOPORTADA: {
+        es: p => `moneda "${p.moneda}" no soportada (use: ${p.soportadas.join(", ")})`,
+        en: p => `currency "${p.moneda}" is not supported (use: ${p.soportadas.join(", ")})`
+    },
+    MONTO_DECIMALES: {
+        es: p => `el monto ${p.monto} tiene más de ${p.decimales} decimales para ${p.moneda}`,
+        en: p => `amount ${p.monto} has more than ${p.decimales} decimals for ${p.moneda}`
+    },
+    FECHA_TASA_INVALIDA: {
+        es: p => `fecha "${p.fecha}" no interpretable para buscar la tasa de cambio`,
+        en: p => `date "${p.fecha}" cannot be read to look up the exchange rate`
+    },
+    TASA_INEXISTENTE: {
+        es: p => `no hay tasa de cambio para ${p.moneda} vigente al ${p.dia}`,
+        en: p => `there is no exchange rate for ${p.moneda} in effect on ${p.dia}`
+    },
+    MONTO_NO_POSITIVO: {
+        es: p => `${mayuscula(nombre(TIPOS, p.tipo, "es"))} con monto <= 0 es incoherente.`,
+        en: p => `${mayuscula(nombre(TIPOS, p.tipo, "en"))} with amount <= 0 is inconsistent.`
+    },
+    TRANSFERENCIA_MISMO_USUARIO: {
+        es: () => "Transferencia con origen y destino iguales es incoherente.",
+        en: () => "Transfer with the same origin and destination is inconsistent."
+    },
+    TIPO_NO_RECONOCIDO: {
+        es: p => `Tipo no reconocido: ${p.tipo}`,
+        en: p => `Unrecognized type: ${p.tipo}`
+    },
+    CLAVE_YA_PROCESADA: {
+        es: p => `Transacción ya procesada (clave de idempotencia ${p.clave}); se omite para no duplicar el balance.`,
+        en: p => `Transaction already processed (idempotency key ${p.clave}); skipped so the balance is not duplicated.`
+    },
+    ID_DUPLICADO: {
+        es: p => `Id duplicado: la transacción ${p.id} ya aparece en este lote.`,
+        en: p => `Duplicate id: transaction ${p.id} already appears in this batch.`
+    },
+    TRANSACCION_AUTORIZADA: {
+        es: p => `Transacción ${nombre(TIPOS, p.tipo, "es")} autorizada para usuario ${p.usuario}.`,
+        en: p => `${mayuscula(nombre(TIPOS, p.tipo, "en"))} transaction authorized for user ${p.usuario}.`
+    },
+    TRANSFERENCIA_AUTORIZADA: {
+        es: p => `Transferencia autorizada de ${p.origen} a ${p.destino}.`,
+        en: p => `Transfer authorized from ${p.origen} to ${p.destino}.`
+    },
+    OBSERVACIONES_RIESGO: {
+        es: p => `Riesgo ${p.puntaje}:`,
+        en: p => `Risk ${p.puntaje}:`
+    },
+    RIESGO_NO_AUTORIZADA: {
+        es: p => `Transacción ${nombre(TIPOS, p.tipo, "es")} NO autorizada para usuario ${p.usuario}.`,
+        en: p => `${mayuscula(nombre(TIPOS, p.tipo, "en"))} transaction NOT authorized for user ${p.usuario}.`
+    },
+    RIESGO_MONTO_ALTO: {
+        es: p => `Monto ${p.monto}${conMoneda(p)} supera el umbral de ${p.umbral}${conMoneda(p)}.`,
+        en: p => `Amount ${p.monto}${conMoneda(p)} exceeds the threshold of ${p.umbral}${conMoneda(p)}.`
+    },
+    RIESGO_FRECUENCIA: {
+        es: p => `${p.cantidad} transacciones de ${p.usuario} en ${p.ventanaMinutos} minutos (máximo ${p.maximo}).`,
+        en: p => `${p.cantidad} transactions by ${p.usuario} within ${p.ventanaMinutos} minutes (maximum ${p.maximo}).`
+    },
+    RIESGO_MONTO_REDONDO: {
+        es: p => `Monto redondo (${p.monto}${conMoneda(p)}, múltiplo de ${p.multiplo}).`,
+        en: p => `Round amount (${p.monto}${conMoneda(p)}, multiple of ${p.multiplo}).`
+    },
+    RIESGO_HORARIO_INUSUAL: {
+        es: p => `Registrada a las ${String(p.hora).padStart(2, "0")}h UTC, fuera del horario habitual.`,
+        en: p => `Recorded at ${String(p.hora).padStart(2, "0")}h UTC, outside usual hours.`
+    },
+    RIESGO_PICO_PROMEDIO: {
+        es: p => `Monto ${p.monto}${conMoneda(p)} supera ${p.factor} veces el promedio de ${p.usuario} (${p.promedio}${conMoneda(p)}).`,
+        en: p => `Amount ${p.monto}${conMoneda(p)} exceeds ${p.factor} times the average of ${p.usuario} (${p.promedio}${conMoneda(p)}).`
+    },
+    RIESGO_CASI_DUPLICADO: {
+        es: p => `Posible duplicado de la transacción ${p.anterior}: mismo usuario, monto y tipo con ${p.minutos} minutos de diferencia (ventana ${p.ventanaMinutos}).`,
+        en: p => `Possible duplicate of transaction ${p.anterior}: same user, amount and type ${p.minutos} minutes apart (window ${p.ventanaMinutos}).`
+    },
+    RIESGO_CASI_DUPLICADO_DIA: {
+        es: p => `Posible duplicado de la transacción ${p.anterior}: mismo usuario, monto y tipo el mismo día (${p.fecha}).`,
+        en: p => `Possible duplicate of transaction ${p.anterior}: same user, amount and type on the same day (${p.fecha}).`
+    },
+    RIESGO_PERSONALIZADO: {
+        es: p => p.detalle,
+        en: p => p.detalle
+    },
+    ERROR_PROCESAMIENTO: {
+        es: p => `Error de procesamiento: ${p.detalle}`,
+        en: p => `Processing error: ${p.detalle}`
+    },
+
+    // Operaciones (ejercicio2).
+    VALOR_NO_NUMERICO: {
+        es: p => `'${p.campo}' no es numérico`,
+        en: p => `'${p.campo}' is not numeric`
+    },
+    OPERACION_DESACTIVADA: {
+        es: () => "La operación está desactivada.",
+        en: () => "The operation is disabled."
+    },
+    RESULTADO_NEGATIVO: {
+        es: p => `El resultado (${p.resultado}) es negativo.`,
+        en: p => `The result (${p.resultado}) is negative.`
+    },
+    OPERACION_APROBADA: {
+        es: p => `Operación realizada correctamente. Resultado = ${p.valor}`,
+        en: p => `Operation completed successfully. Result = ${p.valor}`
+    },
+    TIPO_OPERACION_NO_RECONOCIDO: {
+        es: p => `tipo de operación no reconocido: ${p.tipo}`,
+        en: p => `unrecognized operation type: ${p.tipo}`
+    },
+    ARIDAD_INVALIDA: {
+        es: p => `"${p.tipo}" requiere ${textoAridad(p, "es")} valores (recibió ${p.recibidos})`,
+        en: p => `"${p.tipo}" requires ${textoAridad(p, "en")} values (got ${p.recibidos})`
+    },
+    SIN_PRECISION_EXACTA: {
+        es: p => `"${p.tipo}" no admite precisión exacta`,
+        en: p => `"${p.tipo}" does not support exact precision`
+    },
+    DIVISION_POR_CERO: {
+        es: p => `división por cero (el divisor en la posición ${p.posicion} es 0)`,
+        en: p => `division by zero (the divisor at position ${p.posicion} is 0)`
+    },
+    MODULO_POR_CERO: {
+        es: () => "módulo por cero (el divisor es 0)",
+        en: () => "modulo by zero (the divisor is 0)"
+    },
+    POTENCIA_CERO_NEGATIVO: {
+        es: () => "0 elevado a un exponente negativo no está definido",
+        en: () => "0 raised to a negative exponent is undefined"
+    },
+    POTENCIA_BASE_NEGATIVA: {
+        es: () => "una base negativa con exponente no entero no tiene resultado real",
+        en: () => "a negative base with a non-integer exponent has no real result"
+    },
+    EXPONENTE_NO_ENTERO: {
+        es: p => `en precisión exacta el exponente debe ser entero (recibió ${p.exponente})`,
+        en: p => `in exact precision the exponent must be an integer (got ${p.exponente})`
+    },
+    RESULTADO_NO_FINITO: {
+        es: p => `el resultado de "${p.tipo}" no es un número finito (${p.resultado})`,
+        en: p => `the result of "${p.tipo}" is not a finite number (${p.resultado})`
+    },
+    RESULTADO_DEMASIADO_GRANDE: {
+        es: p => `el resultado de "${p.tipo}" supera ${p.maximo} cifras (enteras o decimales)`,
+        en: p => `the result of "${p.tipo}" exceeds ${p.maximo} digits (integer or decimal)`
+    },
+    VALIDACION_OPERACION: {
+        es: p => p.detalle,
+        en: p => p.detalle
+    },
+    CALCULO_FALLIDO: {
+        es: p => `no se pudo calcular (${p.detalle})`,
+        en: p => `the calculation failed (${p.detalle})`
+    },
+    REFERENCIA_AMBIGUA: {
+        es: p => `referencia ambigua a la operación ${p.ref} (hay ${p.cantidad} operaciones con ese id en el lote)`,
+        en: p => `ambiguous reference to operation ${p.ref} (there are ${p.cantidad} operations with that id in the batch)`
+    },
+    REFERENCIA_INEXISTENTE: {
+        es: p => `referencia a la operación ${p.ref}, que no existe`,
+        en: p => `reference to operation ${p.ref}, which does not exist`
+    },
+    REFERENCIA_CICLICA: {
+        es: p => `ciclo de referencias (${p.recorrido.join(" → ")})`,
+        en: p => `reference cycle (${p.recorrido.join(" → ")})`
+    },
+    DEPENDENCIA_RECHAZADA: {
+        es: p => `Depende de la operación ${p.ref}, que fue rechazada.`,
+        en: p => `Depends on operation ${p.ref}, which was rejected.`
+    },
+    DEPENDENCIA_SIN_VALOR: {
+        es: p => `La operación ${p.ref} no tiene un valor guardado; reprocese el lote para calcularlo.`,
+        en: p => `Operation ${p.ref} has no stored value; reprocess the batch to calculate it.`
+    },
+
+    // Solicitudes (ejercicio3).
+    SOLICITUD_INACTIVA: {
+        es: () => "La solicitud está inactiva.",
+        en: () => "The request is inactive."
+    },
+    TIPO_SERVICIO_NO_RECONOCIDO: {
+        es: p => `Tipo de servicio no reconocido: ${p.tipoServicio}`,
+        en: p => `Unrecognized service type: ${p.tipoServicio}`
+    },
+    SOLICITUD_APROBADA: {
+        es: p => `Solicitud de ${p.tipoServicio} aprobada para cliente ${p.cliente}.`,
+        en: p => `${mayuscula(p.tipoServicio)} request approved for client ${p.cliente}.`
+    },
+    TECNICO_ASIGNADO: {
+        es: p => `Técnico asignado: ${p.nombre} (${p.tecnico}).`,
+        en: p => `Assigned technician: ${p.nombre} (${p.tecnico}).`
+    },
+    SOLICITUD_EN_ESPERA: {
+        es: () => "Solicitud aprobada sin técnico asignado:",
+        en: () => "Request approved without an assigned technician:"
+    },
+    SIN_TECNICO_ESPECIALIDAD: {
+        es: p => `Ningún técnico del plantel atiende ${p.tipo}.`,
+        en: p => `No technician on staff handles ${p.tipo}.`
+    },
+    SIN_TECNICO_DISPONIBLE: {
+        es: p => `Ningún técnico de ${p.tipo} está disponible el ${p.fecha}.`,
+        en: p => `No ${p.tipo} technician is available on ${p.fecha}.`
+    },
+    SIN_CAPACIDAD: {
+        es: p => `Los técnicos de ${p.tipo} no tienen capacidad libre el ${p.fecha} (${p.tecnicos.join(", ")}).`,
+        en: p => `The ${p.tipo} technicians have no free capacity on ${p.fecha} (${p.tecnicos.join(", ")}).`
+    },
+
+    // Respuestas de error de la API HTTP (servidorHttp.js).
+    JSON_INVALIDO: {
+        es: p => `El cuerpo no es JSON válido: ${p.detalle}`,
+        en: p => `The body is not valid JSON: ${p.detalle}`
+    },
+    CUERPO_INVALIDO: {
+        es: p => p.lote
+            ? "El cuerpo debe ser un arreglo de elementos o { \"elementos\": [...] }."
+            : "El cuerpo debe ser un objeto JSON con un solo elemento (para varios, use /lote).",
+        en: p => p.lote
+            ? "The body must be an array of items or { \"elementos\": [...] }."
+            : "The body must be a JSON object with a single item (for several, use /lote)."
+    },
+    LOTE_VACIO: {
+        es: () => "El lote no tiene elementos.",
+        en: () => "The batch has no items."
+    },
+    CUERPO_DEMASIADO_GRANDE: {
+        es: p => `El cuerpo supera el límite de ${p.limite} bytes.`,
+        en: p => `The body exceeds the limit of ${p.limite} bytes.`
+    },
+    PARAMETRO_INVALIDO: {
+        es: p => `El parámetro '${p.parametro}' debe ser ${p.permitidos.join(" o ")} (recibió ${p.valor}).`,
+        en: p => `Parameter '${p.parametro}' must be ${p.permitidos.join(" or ")} (got ${p.valor}).`
+    },
+    RUTA_NO_ENCONTRADA: {
+        es: p => `No existe la ruta ${p.metodo} ${p.ruta}.`,
+        en: p => `Route ${p.metodo} ${p.ruta} does not exist.`
+    },
+    METODO_NO_PERMITIDO: {
+        es: p => `La ruta ${p.ruta} solo admite ${p.permitidos.join(", ")}.`,
+        en: p => `Route ${p.ruta} only accepts ${p.permitidos.join(", ")}.`
+    },
+    ELEMENTO_YA_REGISTRADO: {
+        es: p => `El elemento ${p.id} ya estaba en ${p.coleccion} (${p.estado === "procesado" ? "ya procesado" : "pendiente"}): no se procesa de nuevo.`,
+        en: p => `Item ${p.id} was already in ${p.coleccion} (${p.estado === "procesado" ? "already processed" : "pending"}): it is not processed again.`
+    },
+
+    // Textos que arman el motivo de error (no son códigos de resultado).
+    ENCABEZADO_ERROR: {
+        es: p => `${nombre(ENTIDADES, p.entidad, "es")} ${p.id}`,
+        en: p => `${nombre(ENTIDADES, p.entidad, "en")} ${p.id}`
+    },
+    ENCABEZADO_INVALIDO: {
+        es: p => `${nombre(ENTIDADES, p.entidad, "es")} inválida`,
+        en: p => `Invalid ${nombre(ENTIDADES, p.entidad, "en").toLowerCase()}`
+    }
+};
+
+// registrarMensajes(codigo, textos)
+// - Propósito: agregar al catálogo el texto de un código propio (ej: una regla de riesgo o un tipo de operación nuevo).
+// - Entrada: textos = { es, en? }, cada uno string o (parametros) => string. Sin "en" se usa el español.
+// - Lanza Error si el código ya existe o si falta el texto en español.
+export function registrarMensajes(codigo, textos = {}) {
+    if (Object.hasOwn(CATALOGO, codigo)) {
+        throw new Error(`El código de mensaje "${codigo}" ya está registrado.`);
+    }
+    if (textos.es === undefined) {
+        throw new Error(`El código de mensaje "${codigo}" debe tener texto en español (es).`);
+    }
+    const aFuncion = (texto) => typeof texto === "function" ? texto : () => texto;
+    CATALOGO[codigo] = { es: aFuncion(textos.es), ...(textos.en !== undefined ? { en: aFuncion(textos.en) } : {}) };
+}
+
+// codigosMensaje()
+// - Salida: arreglo con todos los códigos del catálogo.
+export function codigosMensaje() {
+    return Object.keys(CATALOGO);
+}
+
+// traducir(codigo, parametros, idiomaPedido)
+// - Propósito: texto del código en el idioma pedido (por defecto el actual).
+// - Salida: string. Sin texto en inglés se usa el español; un código que no está en el catálogo se devuelve tal cual
+//   (un mensaje con el código es mejor que perder el rechazo).
+export function traducir(codigo, parametros = {}, idiomaPedido = idioma) {
+    const textos = CATALOGO[codigo];
+    if (!textos) return codigo;
+    return (textos[idiomaPedido] ?? textos[IDIOMA_POR_DEFECTO])(parametros);
+}
+
+// errorConCodigo(codigo, parametros, campo)
+// - Propósito: Error listo para lanzar con el código, el campo afectado (si hay uno) y los parámetros del mensaje.
+// - Salida: Error con message = traducir(codigo, parametros) y las propiedades codigo, parametros y campo.
+// - Diseño: quien lo atrapa usa el código y los parámetros (resultadoDeError en resultados.js); message sirve
+//   para los lugares que solo muestran el error.
+export function errorConCodigo(codigo, parametros = {}, campo = null) {
+    return Object.assign(new Error(traducir(codigo, parametros)), { codigo, parametros, campo });
+}
+
+// motivoDeError(entidad, id, violaciones, idiomaPedido)
+// - Propósito: motivo único para un rechazo por error: "Error: <Entidad> <id>: detalle 1; detalle 2."
+// - Entrada:
+//    - entidad: "transaccion" | "operacion" | "solicitud".
+//    - id: id del elemento (undefined si el elemento no existe: el motivo va sin encabezado).
+//    - violaciones: [{ campo, codigo, parametros }].
+// - Salida: string. Si el propio id no es válido el encabezado es "<Entidad> inválida".
+// - Diseño: los detalles repetidos se muestran una sola vez; el detalle de cada uno queda en la lista de violaciones.
+export function motivoDeError(entidad, id, violaciones, idiomaPedido = idioma) {
+    const detalles = [...new Set(violaciones.map(v => traducir(v.codigo, v.parametros, idiomaPedido).replace(/\.$/, "")))];
+    if (violaciones.some(v => v.campo === "id")) {
+        return `Error: ${traducir("ENCABEZADO_INVALIDO", { entidad }, idiomaPedido)}: ${detalles.join("; ")}.`;
+    }
+    if (id === undefined || id === null) {
+        return `Error: ${mayuscula(detalles.join("; "))}.`;
+    }
+    return `Error: ${traducir("ENCABEZADO_ERROR", { entidad, id }, idiomaPedido)}: ${detalles.join("; ")}.`;
+}
@@ -0,0 +1,137 @@
+// Módulo responsable de:
+// - Definir la forma común del reporte que devuelven ejecutarAnalisis, ejecutarOperaciones y ejecutarSolicitudes.
+// - Escribir ese reporte como texto legible, JSON, CSV o NDJSON (una línea JSON por elemento).
+// - Enviarlo a la consola (stdout) o a un archivo, con escritura atómica.
+import { mkdir, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+// Formatos de reporte.
+// - texto: resumen legible (conteos, totales y una línea por elemento).
+// - json: el reporte completo.
+// - csv: una fila por elemento (los conteos y totales no entran en la tabla).
+// - ndjson: una línea JSON por elemento y una última línea { "resumen": { modulo, generadoEn, conteos, totales } }.
+export const FORMATOS_REPORTE = ["texto", "json", "csv", "ndjson"];
+
+// crearReporte(modulo, contenido)
+// - Propósito: armar el reporte estructurado de una ejecución.
+// - Entrada:
+//    - modulo: "transacciones" | "operaciones" | "solicitudes".
+//    - contenido.items: resultados por elemento (en el orden del reporte en consola).
+//    - contenido.conteos: { total, ... } cantidades por estado o clasificación.
+//    - contenido.totales: montos, tiempos u otros acumulados del módulo.
+//    - El resto de las claves de contenido se agrega tal cual (ej: erroresImportacion).
+// - Salida: { modulo, generadoEn, conteos, totales, items, ... }.
+export function crearReporte(modulo, { items = [], conteos = {}, totales = {}, ...extra } = {}) {
+    return {
+        modulo,
+        generadoEn: new Date().toISOString(),
+        conteos: { total: items.length, ...conteos },
+        totales,
+        items,
+        ...extra
+    };
+}
+
+// aTextoJson(valor, sangria)
+// - Propósito: JSON con Date => ISO (comportamiento normal de JSON.stringify) y BigInt => string.
+export function aTextoJson(valor, sangria) {
+    return JSON.stringify(valor, (clave, v) => typeof v === "bigint" ? v.toString() : v, sangria);
+}
+
+// aCelda(valor)
+// - Propósito: texto de una celda CSV o de un campo en el formato texto.
+// - Diseño: null / undefined => vacío; objetos y arreglos (ej: reglas disparadas) => JSON en una sola celda.
+function aCelda(valor) {
+    if (valor === null || valor === undefined) return "";
+    if (valor instanceof Date) return valor.toISOString();
+    if (typeof valor === "object") return aTextoJson(valor);
+    return String(valor);
+}
+
+// escaparCsv(texto, separador)
+// - Propósito: comillas dobles alrededor de la celda si contiene el separador, comillas o saltos de línea (RFC 4180).
+function escaparCsv(texto, separador) {
+    return texto.includes(separador) || /["\r\n]/.test(texto) ? `"${texto.replaceAll('"', '""')}"` : texto;
+}
+
+// aCsv(items, separador)
+// - Salida: encabezado con la unión de las claves de todos los elementos (en el orden en que aparecen) y una fila por elemento.
+function aCsv(items, separador) {
+    const columnas = [...new Set(items.flatMap(item => Object.keys(item)))];
+    const filas = [columnas, ...items.map(item => columnas.map(columna => aCelda(item[columna])))];
+    return filas.map(fila => fila.map(celda => escaparCsv(celda, separador)).join(separador)).join("\n") + "\n";
+}
+
+// lineasDeObjeto(objeto, sangria)
+// - Propósito: "clave: valor" por línea; los objetos anidados (ej: totales por moneda) se indentan debajo de su clave.
+function lineasDeObjeto(objeto, sangria = "  ") {
+    return Object.entries(objeto).flatMap(([clave, valor]) =>
+        valor !== null && typeof valor === "object" && !Array.isArray(valor) && !(valor instanceof Date)
+            ? [`${sangria}${clave}:`, ...lineasDeObjeto(valor, `${sangria}  `)]
+            : [`${sangria}${clave}: ${aCelda(valor)}`]);
+}
+
+// aTexto(reporte)
+// - Salida: encabezado, conteos, totales y una línea por elemento: "id: estado => motivo".
+function aTexto(reporte) {
+    const { modulo, generadoEn, conteos, totales, items } = reporte;
+    const lineas = [`Reporte de ${modulo} — ${generadoEn}`, "", "Conteos", ...lineasDeObjeto(conteos)];
+    if (Object.keys(totales).length > 0) {
+        lineas.push("", "Totales", ...lineasDeObjeto(totales));
+    }
+    lineas.push("", `Elementos (${items.length})`);
+    for (const item of items) {
+        lineas.push(`  ${item.id}: ${item.estado ?? item.clasificacion} => ${item.motivo}`);
+    }
+    return lineas.join("\n") + "\n";
+}
+
+// serializarReporte(reporte, formato, opciones)
+// - Propósito: convertir el reporte al formato pedido.
+// - Entrada: formato (ver FORMATOS_REPORTE); opciones.separador: separador del CSV (por defecto ",").
+// - Salida: texto listo para escribir (termina en salto de línea).
+// - Lanza Error si el formato no es reconocido.
+export function serializarReporte(reporte, formato = "texto", opciones = {}) {
+    switch (formato) {
+        case "texto":
+            return aTexto(reporte);
+        case "json":
+            return aTextoJson(reporte, 2) + "\n";
+        case "csv":
+            return aCsv(reporte.items, opciones.separador ?? ",");
+        case "ndjson": {
+            const { modulo, generadoEn, conteos, totales } = reporte;
+            const lineas = reporte.items.map(item => aTextoJson(item));
+            lineas.push(aTextoJson({ resumen: { modulo, generadoEn, conteos, totales } }));
+            return lineas.join("\n") + "\n";
+        }
+        default:
+            throw new Error(`Formato de reporte no reconocido: ${formato} (use ${FORMATOS_REPORTE.join(", ")}).`);
+    }
+}
+
+// escribirReporte(reporte, opciones)
+// - Propósito: escribir el reporte en la consola o en un archivo.
+// - Entrada:
+//    - opciones.formato: ver FORMATOS_REPORTE (por defecto "texto").
+//    - opciones.salida: ruta del archivo; sin ruta (o "-") se escribe en stdout.
+//    - opciones.separador: separador del CSV.
+// - Salida: Promesa con la ruta escrita, o null si se escribió en stdout.
+// - Diseño:
+//    - Se serializa antes de abrir el archivo: un formato inválido no deja un archivo vacío.
+//    - Escritura atómica (archivo temporal + rename), igual que el almacén: nunca queda un reporte a medio escribir.
+//    - stdout se escribe con process.stdout.write y no con console.log, que el modo de línea de comandos
+//      puede redirigir a stderr.
+export async function escribirReporte(reporte, opciones = {}) {
+    const { formato = "texto", salida } = opciones;
+    const contenido = serializarReporte(reporte, formato, opciones);
+    if (!salida || salida === "-") {
+        process.stdout.write(contenido);
+        return null;
+    }
+    await mkdir(dirname(salida), { recursive: true });
+    const temporal = `${salida}.tmp`;
+    await writeFile(temporal, contenido, "utf8");
+    await rename(temporal, salida);
+    return salida;
+}
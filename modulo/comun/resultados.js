@@ -0,0 +1,69 @@
+// Módulo responsable de:
+// - Definir la forma común del resultado de una transacción, una operación o una solicitud.
+// - Convertir un Error (con código, con violaciones del esquema o inesperado) en un resultado rechazado.
+import { traducir, motivoDeError } from "./mensajes.js";
+
+// Forma común de un resultado (los tres ejercicios):
+// { id, estado, motivo, codigo, campo, parametros, ...datos propios del ejercicio }
+// - estado: "aprobada" | "rechazada" | "sospechosa" (transacciones) | "en espera" (solicitudes sin técnico).
+// - codigo: código estable del catálogo (mensajes.js); no cambia con el idioma.
+// - campo: campo que provocó el rechazo (ej: "monto", "valores[1]") o null si no es un problema de un campo.
+// - parametros: datos con los que se arma el motivo (ej: { posicion: 2 }).
+// - motivo: texto del código en el idioma configurado.
+// - errores (solo rechazos por esquema): todas las violaciones [{ campo, codigo, parametros, mensaje }];
+//   codigo, campo y parametros repiten los de la primera.
+
+// crearResultado(datos)
+// - Propósito: armar un resultado con la forma común.
+// - Entrada: { id, estado, codigo, parametros?, campo?, motivo?, ...extra }.
+//   Sin motivo se usa el texto del código; el resto de las claves se agrega al final tal cual.
+// - Salida: { id, estado, motivo, codigo, campo, parametros, ...extra }.
+export function crearResultado({ id, estado, codigo, parametros = {}, campo = null, motivo, ...extra }) {
+    return {
+        id,
+        estado,
+        motivo: motivo ?? traducir(codigo, parametros),
+        codigo,
+        campo,
+        parametros,
+        ...extra
+    };
+}
+
+// violacionesDe(err)
+// - Salida: violaciones del esquema (err.violaciones), la del error con código como lista de uno,
+//   o null si el error no tiene código (falla inesperada).
+export function violacionesDe(err) {
+    if (err?.violaciones) return err.violaciones;
+    if (err?.codigo) return [{ campo: err.campo ?? null, codigo: err.codigo, parametros: err.parametros ?? {} }];
+    return null;
+}
+
+// resultadoDeError(entidad, elemento, estado, err, extra)
+// - Propósito: resultado controlado a partir de un Error atrapado por un validador o procesador.
+// - Entrada:
+//    - entidad: "transaccion" | "operacion" | "solicitud" (encabezado del motivo, ver motivoDeError).
+//    - elemento: la transacción, operación o solicitud (puede ser null); id "desconocido" si no lo tiene.
+//    - estado: estado del rechazo ("rechazada").
+//    - extra: claves propias del ejercicio (ej: { clasificacion: "invalida" }).
+// - Salida: resultado con la forma común.
+//    - Error con código o violaciones => motivo "Error: <Entidad> <id>: ..." y el código de la primera violación.
+//    - Error sin código => ERROR_INESPERADO con el mensaje del error como detalle.
+export function resultadoDeError(entidad, elemento, estado, err, extra = {}) {
+    const id = elemento?.id ?? "desconocido";
+    const violaciones = violacionesDe(err);
+    if (!violaciones) {
+        return crearResultado({ id, estado, codigo: "ERROR_INESPERADO", parametros: { detalle: err?.message ?? String(err) }, ...extra });
+    }
+    const [primera] = violaciones;
+    return crearResultado({
+        id,
+        estado,
+        codigo: primera.codigo,
+        campo: primera.campo,
+        parametros: primera.parametros,
+        motivo: motivoDeError(entidad, elemento ? elemento.id : undefined, violaciones),
+        ...extra,
+        ...(err.violaciones ? { errores: violaciones } : {})
+    });
+}
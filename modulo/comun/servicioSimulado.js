@@ -0,0 +1,238 @@
+// Módulo responsable de:
+// - Simular el servicio externo del que dependen los tres ejercicios (latencia y fallas), en un solo lugar.
+// - Generar números aleatorios con semilla para poder repetir exactamente una ejecución.
+// - Ofrecer un reloj real (setTimeout) o uno virtual que adelanta el tiempo en lugar de dormir.
+import { performance } from "node:perf_hooks";
+import { errorConCodigo } from "./mensajes.js";
+import { errorDeCancelacion } from "./lotes.js";
+
+// Latencia por defecto de cada llamada al servicio (ms): la misma que usaban los tres ejercicios.
+export const LATENCIA_POR_DEFECTO = { minimo: 300, maximo: 2000 };
+
+// Fallas inyectadas por defecto (ninguna).
+// - error: probabilidad (0 a 1) de que la llamada falle (FALLA_SERVICIO).
+// - tiempoAgotado: probabilidad de que el servicio no responda; la llamada espera tiempoLimiteMs
+//   y falla con TIEMPO_AGOTADO_SERVICIO.
+// - tiempoLimiteMs: cuánto se espera a un servicio que no responde.
+export const FALLAS_POR_DEFECTO = { error: 0, tiempoAgotado: 0, tiempoLimiteMs: 5000 };
+
+// crearGeneradorAleatorio(semilla)
+// - Propósito: fuente de números aleatorios reproducible.
+// - Entrada: semilla entera (0 a 2^32 - 1); sin semilla se usa Math.random (no reproducible).
+// - Salida: función () => número en [0, 1).
+// - Lanza Error si la semilla no es un entero en ese rango.
+// - Diseño: mulberry32, un generador de 32 bits corto y suficiente para simular latencias (no sirve para criptografía).
+export function crearGeneradorAleatorio(semilla) {
+    if (semilla === undefined) return Math.random;
+    if (!Number.isInteger(semilla) || semilla < 0 || semilla > 0xFFFFFFFF) {
+        throw new Error(`La semilla debe ser un entero entre 0 y ${0xFFFFFFFF} (recibió ${semilla}).`);
+    }
+    let estado = semilla;
+    return () => {
+        estado = (estado + 0x6D2B79F5) | 0;
+        let t = Math.imul(estado ^ (estado >>> 15), 1 | estado);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// esperaCancelable(senal, agendar)
+// - Propósito: espera que se puede interrumpir con una AbortSignal (la usan los dos relojes).
+// - Entrada: agendar(despertar) programa la espera y devuelve una función que la deshace.
+// - Salida: Promesa que se resuelve al despertar o rechaza con LOTE_CANCELADO (errorDeCancelacion) si la señal se activa.
+function esperaCancelable(senal, agendar) {
+    return new Promise((resolve, reject) => {
+        if (senal?.aborted) return reject(errorDeCancelacion());
+        const cancelar = () => {
+            deshacer();
+            reject(errorDeCancelacion());
+        };
+        const deshacer = agendar(() => {
+            senal?.removeEventListener("abort", cancelar);
+            resolve();
+        });
+        senal?.addEventListener("abort", cancelar, { once: true });
+    });
+}
+
+// crearRelojReal()
+// - Salida: { virtual: false, ahora(), ms(), esperar(ms, senal) }.
+//    - ahora(): Date con la hora del sistema; ms(): marca para medir duraciones (performance.now()).
+//    - esperar(ms, senal): Promesa que se resuelve después de 'ms' milisegundos (setTimeout);
+//      con una AbortSignal activada se cancela el temporizador y rechaza con LOTE_CANCELADO.
+export function crearRelojReal() {
+    return {
+        virtual: false,
+        ahora: () => new Date(),
+        ms: () => performance.now(),
+        esperar: (ms, senal) => esperaCancelable(senal, despertar => {
+            const temporizador = setTimeout(despertar, ms);
+            return () => clearTimeout(temporizador);
+        })
+    };
+}
+
+// crearRelojVirtual(inicio)
+// - Propósito: simular esperas sin dormir; un lote que tardaría minutos termina al instante con los mismos tiempos simulados.
+// - Entrada: inicio: Date (o texto / número que acepte new Date) del momento inicial; por defecto la hora del sistema.
+// - Salida: { virtual: true, ahora(), ms(), esperar(ms, senal) } con la misma forma que crearRelojReal.
+// - Lanza Error si el inicio no es una fecha válida.
+// - Diseño:
+//    - Cada esperar() agenda un despertar en 'ahora + ms'. Cuando el resto del programa ya no tiene trabajo inmediato
+//      (setImmediate), el reloj salta al despertar más próximo y lo resuelve; así varias esperas en paralelo
+//      terminan en el mismo orden que con el reloj real (a igual momento, en el orden en que se pidieron).
+//    - El tiempo solo avanza con las esperas: medir con ms() da la latencia simulada, no el tiempo de CPU.
+//    - Una espera cancelada se quita de la agenda: el reloj no salta hasta un despertar que ya nadie espera.
+export function crearRelojVirtual(inicio = new Date()) {
+    let actual = new Date(inicio).getTime();
+    if (Number.isNaN(actual)) {
+        throw new Error(`Inicio del reloj virtual inválido: ${inicio}.`);
+    }
+    const agenda = [];      // { en, orden, despertar } pendientes
+    let pedidos = 0;
+    let programado = false;
+
+    // avanzar(): resuelve el despertar más próximo y vuelve a programarse si quedan otros.
+    const avanzar = () => {
+        programado = false;
+        if (agenda.length === 0) return;
+        agenda.sort((a, b) => (a.en - b.en) || (a.orden - b.orden));
+        const proximo = agenda.shift();
+        actual = Math.max(actual, proximo.en);
+        proximo.despertar();
+        programar();
+    };
+    const programar = () => {
+        if (!programado && agenda.length > 0) {
+            programado = true;
+            setImmediate(avanzar);
+        }
+    };
+
+    return {
+        virtual: true,
+        ahora: () => new Date(actual),
+        ms: () => actual,
+        esperar: (ms, senal) => esperaCancelable(senal, despertar => {
+            const pedido = { en: actual + Math.max(0, ms), orden: pedidos++, despertar };
+            agenda.push(pedido);
+            programar();
+            return () => {
+                const posicion = agenda.indexOf(pedido);
+                if (posicion >= 0) agenda.splice(posicion, 1);
+            };
+        })
+    };
+}
+
+// validarProbabilidad(nombre, valor)
+// - Lanza Error si 'valor' no es un número entre 0 y 1.
+function validarProbabilidad(nombre, valor) {
+    if (typeof valor !== "number" || !(valor >= 0 && valor <= 1)) {
+        throw new Error(`La probabilidad de ${nombre} debe ser un número entre 0 y 1 (recibió ${valor}).`);
+    }
+}
+
+// crearServicioSimulado(opciones)
+// - Propósito: dependencia que reciben los procesadores de los tres ejercicios en lugar de su propio delay().
+// - Entrada:
+//    - opciones.semilla: entero para repetir exactamente las latencias y las fallas (ver crearGeneradorAleatorio).
+//    - opciones.aleatorio: () => [0, 1) propio (tiene prioridad sobre la semilla).
+//    - opciones.reloj: reloj a usar; si no, opciones.relojVirtual: true (o una fecha de inicio) crea uno virtual
+//      y sin ninguna de las dos se usa el reloj real.
+//    - opciones.latencia: { minimo, maximo } en ms, cambios sobre LATENCIA_POR_DEFECTO.
+//    - opciones.fallas: { error, tiempoAgotado, tiempoLimiteMs }, cambios sobre FALLAS_POR_DEFECTO.
+// - Salida: { reloj, aleatorio, latencia, fallas, llamar(servicio, opciones) }.
+//    - llamar(servicio, { senal }): Promesa que simula una llamada al servicio externo; espera una latencia
+//      al azar entre minimo y maximo y lanza un Error con código si se inyecta una falla
+//      (FALLA_SERVICIO o TIEMPO_AGOTADO_SERVICIO, con { servicio } en los parámetros).
+//      - senal: AbortSignal del lote; al activarse la espera se interrumpe con LOTE_CANCELADO.
+//      - La cota de tiempo del que llama no es asunto del servicio: la aplica llamarConTiempoMaximo.
+// - Lanza Error si la latencia o las probabilidades no son válidas.
+// - Diseño:
+//    - Cada llamada toma siempre dos números del generador (latencia y falla), en ese orden:
+//      con la misma semilla y el mismo orden de llamadas la ejecución se repite igual.
+//    - Con el reloj virtual el orden de las llamadas también se repite (ver crearRelojVirtual).
+export function crearServicioSimulado(opciones = {}) {
+    const latencia = { ...LATENCIA_POR_DEFECTO, ...opciones.latencia };
+    const fallas = { ...FALLAS_POR_DEFECTO, ...opciones.fallas };
+    if (!Number.isInteger(latencia.minimo) || !Number.isInteger(latencia.maximo) || latencia.minimo < 0 || latencia.maximo < latencia.minimo) {
+        throw new Error(`Latencia inválida: mínimo y máximo deben ser enteros con 0 <= mínimo <= máximo (recibió ${latencia.minimo}-${latencia.maximo}).`);
+    }
+    validarProbabilidad("error", fallas.error);
+    validarProbabilidad("tiempo agotado", fallas.tiempoAgotado);
+    if (fallas.error + fallas.tiempoAgotado > 1) {
+        throw new Error("La suma de las probabilidades de falla no puede superar 1.");
+    }
+    if (!Number.isInteger(fallas.tiempoLimiteMs) || fallas.tiempoLimiteMs < 0) {
+        throw new Error(`El tiempo límite debe ser un entero mayor o igual a 0 (recibió ${fallas.tiempoLimiteMs}).`);
+    }
+
+    const aleatorio = opciones.aleatorio ?? crearGeneradorAleatorio(opciones.semilla);
+    const reloj = opciones.reloj
+        ?? (opciones.relojVirtual ? crearRelojVirtual(opciones.relojVirtual === true ? undefined : opciones.relojVirtual) : crearRelojReal());
+
+    return {
+        reloj,
+        aleatorio,
+        latencia,
+        fallas,
+        async llamar(servicio, { senal } = {}) {
+            if (senal?.aborted) throw errorDeCancelacion();
+            const espera = Math.floor(aleatorio() * (latencia.maximo - latencia.minimo + 1)) + latencia.minimo;
+            const sorteo = aleatorio();
+            const noResponde = sorteo < fallas.tiempoAgotado;
+            await reloj.esperar(noResponde ? fallas.tiempoLimiteMs : espera, senal);
+            if (noResponde) {
+                throw errorConCodigo("TIEMPO_AGOTADO_SERVICIO", { servicio, ms: fallas.tiempoLimiteMs });
+            }
+            if (sorteo < fallas.tiempoAgotado + fallas.error) {
+                throw errorConCodigo("FALLA_SERVICIO", { servicio });
+            }
+        }
+    };
+}
+
+// llamarConTiempoMaximo(servicio, nombre, opciones)
+// - Propósito: llamar al servicio de un elemento sin esperar más que el tiempo máximo del lote.
+// - Entrada:
+//    - servicio: objeto con llamar(nombre, { senal }) y, si tiene, su reloj (ver crearServicioSimulado).
+//    - nombre: "transacciones" | "operaciones" | "solicitudes"; va en los parámetros de los errores.
+//    - opciones.tiempoMaximoMs: cota de la espera (sin cota se espera lo que tarde el servicio).
+//    - opciones.senal: AbortSignal del lote.
+// - Salida: Promesa que se resuelve cuando el servicio responde. Rechaza con el error del servicio,
+//   con TIEMPO_MAXIMO_SUPERADO ({ servicio, maximoMs }) si el máximo llega primero,
+//   o con LOTE_CANCELADO si la señal se activa.
+// - Diseño:
+//    - Carrera entre la llamada y una espera de tiempoMaximoMs en el reloj del servicio: la cota vale también
+//      para un servicio inyectado que ignore los tiempos, y con el reloj virtual se repite igual que el resto.
+//    - Al terminar la carrera se cancela lo que perdió (AbortController propio, unido a la señal del lote):
+//      su temporizador se quita de la agenda y el reloj virtual no salta hasta un despertar que ya nadie espera.
+//    - A igual momento gana la respuesta: su espera se pidió antes (ver crearRelojVirtual).
+export async function llamarConTiempoMaximo(servicio, nombre, { tiempoMaximoMs, senal } = {}) {
+    if (tiempoMaximoMs === undefined) return servicio.llamar(nombre, { senal });
+    if (senal?.aborted) throw errorDeCancelacion();
+
+    const controlador = new AbortController();
+    const cancelar = () => controlador.abort();
+    senal?.addEventListener("abort", cancelar, { once: true });
+    const llamada = servicio.llamar(nombre, { senal: controlador.signal });
+    const limite = (servicio.reloj ?? crearRelojReal()).esperar(tiempoMaximoMs, controlador.signal).then(() => {
+        throw errorConCodigo("TIEMPO_MAXIMO_SUPERADO", { servicio: nombre, maximoMs: tiempoMaximoMs });
+    });
+    // La que pierde rechaza con LOTE_CANCELADO al cancelarla; ese rechazo ya no le importa a nadie.
+    llamada.catch(() => {});
+    limite.catch(() => {});
+    try {
+        await Promise.race([llamada, limite]);
+    } catch (err) {
+        // Cancelado el lote, el rechazo de la llamada (sea cual sea) es la cancelación.
+        throw senal?.aborted ? errorDeCancelacion() : err;
+    } finally {
+        senal?.removeEventListener("abort", cancelar);
+        controlador.abort();
+    }
+}
+
+// Servicio que usan los procesadores cuando no reciben uno: reloj real, Math.random y sin fallas (como siempre).
+export const SERVICIO_POR_DEFECTO = crearServicioSimulado();
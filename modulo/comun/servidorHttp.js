@@ -0,0 +1,262 @@
+// Módulo responsable de:
+// - Exponer los procesadores de transacciones, operaciones y solicitudes en una API HTTP local (módulo http de Node).
+// - Recibir un elemento o un lote en JSON y responder los mismos resultados y resúmenes que ejecutar*().
+// - Responder los errores de la petición (JSON mal formado, ruta o método inexistente) también en JSON.
+import { createServer } from "node:http";
+import { ejecutarAnalisis } from "../ejercicio1/ejercicio1.js";
+import { MONEDAS } from "../ejercicio1/moneda.js";
+import { ejecutarOperaciones } from "../ejercicio2/ejercicio2.js";
+import { PRECISIONES } from "../ejercicio2/registroOperaciones.js";
+import { ejecutarSolicitudes } from "../ejercicio3/ejercicio3.js";
+import { ORDENES_SALIDA } from "./lotes.js";
+import { aTextoJson } from "./reportes.js";
+import { IDIOMAS, configurarIdioma, idiomaActual, errorConCodigo, traducir } from "./mensajes.js";
+
+// Puerto y host por defecto. Solo se escucha en la máquina local salvo que se indique otro host.
+export const PUERTO_POR_DEFECTO = Number(process.env.PUERTO ?? 3000);
+export const HOST_POR_DEFECTO = "127.0.0.1";
+
+// Tamaño máximo del cuerpo de una petición (1 MB): un lote más grande se rechaza con 413.
+export const LIMITE_CUERPO = 1024 * 1024;
+
+// Colecciones expuestas.
+// - ejecutar: función que procesa los elementos (recibe opciones.elementos, ver cada ejercicio).
+// - parametros: parámetros de la URL que acepta (además de idioma) => valores permitidos y opción de ejecutar*().
+const COLECCIONES = {
+    transacciones: {
+        ejecutar: ejecutarAnalisis,
+        parametros: {
+            moneda: { permitidos: Object.keys(MONEDAS), opcion: "monedaReporte" }
+        }
+    },
+    operaciones: {
+        ejecutar: ejecutarOperaciones,
+        parametros: {
+            precision: { permitidos: PRECISIONES, opcion: "precision" },
+            orden: { permitidos: ORDENES_SALIDA, opcion: "orden" },
+            concurrencia: { permitidos: ["un entero mayor o igual a 1"], patron: /^[1-9]\d*$/, opcion: "concurrencia", convertir: Number }
+        }
+    },
+    solicitudes: {
+        ejecutar: ejecutarSolicitudes,
+        parametros: {}
+    }
+};
+
+// Rutas
+// - GET  /salud                 => { estado: "ok", iniciadoEn, colecciones, enCola }.
+// - POST /<coleccion>           => un elemento (objeto) => { resultado, reporte }.
+// - POST /<coleccion>/lote      => arreglo o { "elementos": [...] } => el reporte (igual que --formato json).
+//   <coleccion>: transacciones | operaciones | solicitudes.
+export const RUTAS_HTTP = ["/salud", ...Object.keys(COLECCIONES).flatMap(nombre => [`/${nombre}`, `/${nombre}/lote`])];
+
+// errorHttp(estado, codigo, parametros)
+// - Salida: Error con código del catálogo (mensajes.js) y el estado HTTP de la respuesta.
+//   Si además tiene 'cuerpo', sus claves se agregan a la respuesta junto a { error } (ej: el resultado guardado en un 409).
+function errorHttp(estado, codigo, parametros = {}) {
+    return Object.assign(errorConCodigo(codigo, parametros), { estado });
+}
+
+// responder(respuesta, estado, cuerpo, cabeceras)
+// - Propósito: escribir una respuesta JSON (BigInt => texto, Date => ISO, igual que los reportes).
+function responder(respuesta, estado, cuerpo, cabeceras = {}) {
+    const texto = aTextoJson(cuerpo, 2) + "\n";
+    respuesta.writeHead(estado, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(texto),
+        ...cabeceras
+    });
+    respuesta.end(texto);
+}
+
+// leerCuerpo(peticion, limite)
+// - Salida: Promesa con el cuerpo como texto.
+// - Rechaza con 413 (CUERPO_DEMASIADO_GRANDE) apenas se supera el límite; el resto del cuerpo se descarta.
+function leerCuerpo(peticion, limite) {
+    return new Promise((resolve, reject) => {
+        const partes = [];
+        let tamano = 0;
+        let excedido = false;
+        peticion.on("data", parte => {
+            if (excedido) return;
+            tamano += parte.length;
+            if (tamano > limite) {
+                excedido = true;
+                reject(errorHttp(413, "CUERPO_DEMASIADO_GRANDE", { limite }));
+                return;
+            }
+            partes.push(parte);
+        });
+        peticion.on("end", () => resolve(Buffer.concat(partes).toString("utf8")));
+        peticion.on("error", reject);
+    });
+}
+
+// elementosDelCuerpo(texto, lote)
+// - Propósito: interpretar el cuerpo de un POST.
+// - Salida: arreglo de elementos (uno solo si no es lote).
+// - Lanza errorHttp 400: JSON_INVALIDO, CUERPO_INVALIDO (forma incorrecta) o LOTE_VACIO.
+function elementosDelCuerpo(texto, lote) {
+    let datos;
+    try {
+        datos = JSON.parse(texto);
+    } catch (err) {
+        throw errorHttp(400, "JSON_INVALIDO", { detalle: err.message });
+    }
+    if (!lote) {
+        if (datos === null || typeof datos !== "object" || Array.isArray(datos)) {
+            throw errorHttp(400, "CUERPO_INVALIDO", { lote });
+        }
+        return [datos];
+    }
+    const elementos = Array.isArray(datos) ? datos : datos?.elementos;
+    if (!Array.isArray(elementos)) {
+        throw errorHttp(400, "CUERPO_INVALIDO", { lote });
+    }
+    if (elementos.length === 0) {
+        throw errorHttp(400, "LOTE_VACIO");
+    }
+    return elementos;
+}
+
+// opcionesDeConsulta(consulta, coleccion)
+// - Propósito: convertir los parámetros de la URL (?precision=exacta&idioma=en) en opciones de ejecutar*().
+// - Salida: { idioma, opciones }; idioma es undefined si no se pidió.
+// - Lanza errorHttp 400 (PARAMETRO_INVALIDO) si un valor no está permitido. Los parámetros desconocidos se ignoran.
+function opcionesDeConsulta(consulta, coleccion) {
+    const idioma = consulta.get("idioma") ?? undefined;
+    if (idioma !== undefined && !IDIOMAS.includes(idioma)) {
+        throw errorHttp(400, "PARAMETRO_INVALIDO", { parametro: "idioma", valor: idioma, permitidos: IDIOMAS });
+    }
+    const opciones = {};
+    for (const [parametro, regla] of Object.entries(coleccion.parametros)) {
+        const valor = consulta.get(parametro);
+        if (valor === null) continue;
+        const valido = regla.patron ? regla.patron.test(valor) : regla.permitidos.includes(valor);
+        if (!valido) {
+            throw errorHttp(400, "PARAMETRO_INVALIDO", { parametro, valor, permitidos: regla.permitidos });
+        }
+        opciones[regla.opcion] = regla.convertir ? regla.convertir(valor) : valor;
+    }
+    return { idioma, opciones };
+}
+
+// crearServidor(opciones)
+// - Propósito: servidor HTTP de la API (sin escuchar todavía; ver iniciarServidor).
+// - Entrada: opciones comunes a todas las ejecuciones: directorioDatos, almacen, auditoria, rutaAuditoria, servicio
+//   (ver cada ejecutar*()); opciones.limiteCuerpo: bytes (por defecto LIMITE_CUERPO).
+// - Salida: http.Server.
+// - Respuestas:
+//    - 200 con el resultado o el reporte (un elemento rechazado también es 200: es una decisión, no un error de la petición).
+//    - 400 (cuerpo o parámetro inválido), 404 (ruta), 405 (método, con cabecera Allow), 409 (el elemento ya estaba
+//      en el almacén; se agrega su resultado guardado), 413 (cuerpo grande), 500 (falla de la ejecución):
+//      { error: { codigo, mensaje, parametros } }.
+// - Diseño:
+//    - Los elementos recibidos pasan por el mismo flujo que --archivo: se agregan al almacén como pendientes,
+//      se procesan, se auditan y se guardan. Solo se procesan los de la petición (soloRecibidos): los pendientes
+//      que ya estaban en el almacén quedan para la línea de comandos o el menú.
+//    - Las ejecuciones se atienden de a una (cola): comparten el almacén, la auditoría y el idioma de los mensajes.
+//      ?idioma=en cambia el idioma solo durante esa ejecución.
+//    - /salud no espera la cola.
+export function crearServidor(opciones = {}) {
+    const { limiteCuerpo = LIMITE_CUERPO, ...opcionesEjecucion } = opciones;
+    const iniciadoEn = new Date().toISOString();
+    let turno = Promise.resolve();
+    let enCola = 0;
+
+    // enTurno(tarea): ejecuta la tarea cuando terminó la anterior; una tarea que falla no corta la cola.
+    const enTurno = (tarea) => {
+        enCola++;
+        const resultado = turno.then(tarea).finally(() => { enCola--; });
+        turno = resultado.catch(() => {});
+        return resultado;
+    };
+
+    // procesar(coleccion, elementos, consulta): corre ejecutar*() con los elementos recibidos.
+    const procesar = (coleccion, elementos, consulta) => {
+        const { idioma, opciones: opcionesConsulta } = opcionesDeConsulta(consulta, coleccion);
+        return enTurno(async () => {
+            const anterior = idiomaActual();
+            if (idioma) configurarIdioma(idioma);
+            try {
+                return await coleccion.ejecutar({ ...opcionesEjecucion, ...opcionesConsulta, elementos, soloRecibidos: true });
+            } finally {
+                configurarIdioma(anterior);
+            }
+        });
+    };
+
+    return createServer(async (peticion, respuesta) => {
+        const url = new URL(peticion.url, "http://localhost");
+        const ruta = url.pathname.replace(/\/+$/, "") || "/";
+        const [nombre, sufijo, ...resto] = ruta.split("/").slice(1);
+        try {
+            if (ruta === "/salud") {
+                if (peticion.method !== "GET") throw errorHttp(405, "METODO_NO_PERMITIDO", { ruta, permitidos: ["GET"] });
+                return responder(respuesta, 200, { estado: "ok", iniciadoEn, colecciones: Object.keys(COLECCIONES), enCola });
+            }
+
+            const coleccion = Object.hasOwn(COLECCIONES, nombre) ? COLECCIONES[nombre] : null;
+            if (!coleccion || resto.length > 0 || (sufijo !== undefined && sufijo !== "lote")) {
+                throw errorHttp(404, "RUTA_NO_ENCONTRADA", { metodo: peticion.method, ruta });
+            }
+            if (peticion.method !== "POST") throw errorHttp(405, "METODO_NO_PERMITIDO", { ruta, permitidos: ["POST"] });
+
+            const lote = sufijo === "lote";
+            const elementos = elementosDelCuerpo(await leerCuerpo(peticion, limiteCuerpo), lote);
+            const reporte = await procesar(coleccion, elementos, url.searchParams);
+            if (lote) return responder(respuesta, 200, reporte);
+
+            // Un solo elemento: la ejecución procesó solo ese registro, así que su resultado es el único del reporte
+            // (con el id tal como quedó al importarlo: "7" llega como 7 en transacciones).
+            // Si ya estaba en el almacén no se procesó: 409 con el resultado guardado (null si sigue pendiente).
+            // null si no se pudo leer (ver reporte.erroresImportacion en transacciones).
+            const resultado = reporte.items[0] ?? null;
+            const existente = reporte.yaAlmacenados?.[0];
+            if (!resultado && existente) {
+                const estado = existente.resultado ? "procesado" : "pendiente";
+                throw Object.assign(errorHttp(409, "ELEMENTO_YA_REGISTRADO", { coleccion: nombre, id: existente.id, estado }), {
+                    cuerpo: { resultado: existente.resultado }
+                });
+            }
+            return responder(respuesta, 200, { resultado, reporte });
+        } catch (err) {
+            const estado = err.estado ?? 500;
+            const codigo = err.estado ? err.codigo : "ERROR_INESPERADO";
+            const parametros = err.estado ? err.parametros : { detalle: err.message };
+            // El mensaje sale en el idioma de ?idioma= si es válido (ej: el 409 de una petición en inglés).
+            const idiomaPedido = url.searchParams.get("idioma");
+            const idiomaRespuesta = IDIOMAS.includes(idiomaPedido) ? idiomaPedido : undefined;
+            const cabeceras = estado === 405 ? { Allow: parametros.permitidos.join(", ") } : estado === 413 ? { Connection: "close" } : {};
+            return responder(respuesta, estado, { error: { codigo, mensaje: traducir(codigo, parametros, idiomaRespuesta), parametros }, ...err.cuerpo }, cabeceras);
+        }
+    });
+}
+
+// iniciarServidor(opciones)
+// - Propósito: crear el servidor y empezar a escuchar.
+// - Entrada: opciones.puerto (por defecto PUERTO_POR_DEFECTO; 0 elige uno libre), opciones.host (por defecto HOST_POR_DEFECTO)
+//   y el resto de las opciones de crearServidor.
+// - Salida: Promesa con el http.Server ya escuchando (servidor.address().port tiene el puerto real).
+// - Rechaza si el puerto no se puede usar (ej: EADDRINUSE).
+export function iniciarServidor(opciones = {}) {
+    const { puerto = PUERTO_POR_DEFECTO, host = HOST_POR_DEFECTO, ...resto } = opciones;
+    const servidor = crearServidor(resto);
+    return new Promise((resolve, reject) => {
+        servidor.once("error", reject);
+        servidor.listen(puerto, host, () => {
+            servidor.off("error", reject);
+            resolve(servidor);
+        });
+    });
+}
+
+// detenerServidor(servidor)
+// - Propósito: dejar de aceptar peticiones y cerrar las conexiones abiertas.
+// - Salida: Promesa que se cumple cuando el servidor se cerró.
+export function detenerServidor(servidor) {
+    return new Promise((resolve, reject) => {
+        servidor.close(err => err ? reject(err) : resolve());
+        servidor.closeIdleConnections();
+    });
+}
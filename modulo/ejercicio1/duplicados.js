@@ -0,0 +1,141 @@
+// Módulo responsable de:
+// - Detectar ids repetidos dentro del mismo lote (duplicado exacto => inválida).
+// - Detectar casi-duplicados: mismo usuario, monto, tipo y moneda dentro de una ventana de tiempo (=> sospechosa).
+// - Recordar claves de idempotencia entre ejecuciones para que reimportar un archivo no duplique el balance.
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { dirname } from "node:path";
+import { rutaColeccion } from "../comun/almacen.js";
+import { crearResultado } from "../comun/resultados.js";
+import { tieneHora } from "./fechas.js";
+
+// Ventana por defecto para casi-duplicados.
+export const VENTANA_DUPLICADOS_MINUTOS = 10;
+
+// Archivo local con las claves de idempotencia ya procesadas: idempotencia.json junto a las colecciones del almacén
+// (data/ o DATOS_RUTA; con otra carpeta de datos se usa rutaColeccion("idempotencia", carpeta), ver ejecutarAnalisis).
+export const RUTA_IDEMPOTENCIA = rutaColeccion("idempotencia");
+
+// derivarClaveIdempotencia(transaccion)
+// - Propósito: calcular una clave estable a partir del contenido de la transacción
+//   (id, usuario, monto, moneda, tipo, fecha, origen, destino).
+// - Uso: el importador la asigna a las filas que no traen columna claveIdempotencia,
+//   de modo que la misma fila importada dos veces produce la misma clave.
+export function derivarClaveIdempotencia(transaccion) {
+    const campos = ["id", "usuario", "monto", "moneda", "tipo", "fecha", "origen", "destino"]
+        .map(campo => {
+            const valor = transaccion[campo];
+            return valor instanceof Date ? valor.toISOString() : String(valor ?? "");
+        });
+    return createHash("sha256").update(campos.join("|")).digest("hex").slice(0, 32);
+}
+
+// crearEstadoDuplicados(clavesProcesadas)
+// - Propósito: estado de detección para un lote.
+// - Salida: { ids: Set, claves: Set } donde 'claves' arranca con las claves ya procesadas en ejecuciones anteriores.
+export function crearEstadoDuplicados(clavesProcesadas = []) {
+    return { ids: new Set(), claves: new Set(clavesProcesadas) };
+}
+
+// detectarDuplicado(transaccion, estado)
+// - Propósito: decidir si una transacción ya validada debe descartarse antes de procesarla.
+// - Salida: null si puede procesarse, o un resultado rechazado (clasificacion "invalida") si es un duplicado exacto.
+// - Reglas (en orden):
+//    - claveIdempotencia ya procesada (en este lote o en uno anterior) => inválida por reimportación (CLAVE_YA_PROCESADA).
+//    - id ya visto en este lote => inválida por id duplicado (ID_DUPLICADO).
+// - Diseño: esta función solo consulta el estado; registrarProcesada lo actualiza cuando la transacción cuenta.
+export function detectarDuplicado(transaccion, estado) {
+    const clave = transaccion.claveIdempotencia;
+    if (clave !== undefined && estado.claves.has(clave)) {
+        return crearResultado({
+            id: transaccion.id,
+            estado: "rechazada",
+            codigo: "CLAVE_YA_PROCESADA",
+            campo: "claveIdempotencia",
+            parametros: { clave },
+            clasificacion: "invalida"
+        });
+    }
+
+    if (estado.ids.has(transaccion.id)) {
+        return crearResultado({
+            id: transaccion.id,
+            estado: "rechazada",
+            codigo: "ID_DUPLICADO",
+            campo: "id",
+            parametros: { id: transaccion.id },
+            clasificacion: "invalida"
+        });
+    }
+
+    return null;
+}
+
+// registrarProcesada(transaccion, estado, clasificacion)
+// - Propósito: marcar id y clave como vistos para las siguientes transacciones del lote.
+// - Diseño: el id se marca siempre; la clave solo si la transacción cuenta (válida o sospechosa),
+//   así una fila inválida corregida puede volver a importarse.
+export function registrarProcesada(transaccion, estado, clasificacion) {
+    estado.ids.add(transaccion.id);
+    if (transaccion.claveIdempotencia !== undefined && clasificacion !== "invalida") {
+        estado.claves.add(transaccion.claveIdempotencia);
+    }
+}
+
+// buscarCasiDuplicado(transaccion, historial, ventanaMinutos)
+// - Propósito: encontrar una transacción anterior del lote con el mismo usuario, monto, tipo y moneda
+//   cuya fecha esté a 'ventanaMinutos' o menos.
+// - Salida: { anterior, minutos } o null; en una coincidencia por día (ver abajo) es { anterior, minutos: null, dia }.
+// - Si alguna de las dos fechas es solo fecha ("2025-12-01", ver tieneHora) no hay minutos que medir:
+//   se comparan por día calendario (UTC) y dos cargas iguales del mismo día son casi-duplicados.
+export function buscarCasiDuplicado(transaccion, historial, ventanaMinutos = VENTANA_DUPLICADOS_MINUTOS) {
+    const ms = new Date(transaccion.fecha).getTime();
+    if (Number.isNaN(ms)) return null;
+
+    for (const anterior of historial) {
+        if (anterior.usuario !== transaccion.usuario) continue;
+        if (anterior.monto !== transaccion.monto) continue;
+        if (String(anterior.tipo).toLowerCase() !== String(transaccion.tipo).toLowerCase()) continue;
+        if ((anterior.moneda ?? null) !== (transaccion.moneda ?? null)) continue;
+        const msAnterior = new Date(anterior.fecha).getTime();
+        if (Number.isNaN(msAnterior)) continue;
+
+        if (!tieneHora(transaccion.fecha) || !tieneHora(anterior.fecha)) {
+            const dia = diaCalendario(ms);
+            if (dia === diaCalendario(msAnterior)) return { anterior, minutos: null, dia };
+            continue;
+        }
+        const minutos = Math.abs(ms - msAnterior) / 60000;
+        if (minutos <= ventanaMinutos) return { anterior, minutos };
+    }
+    return null;
+}
+
+// diaCalendario(ms)
+// - Propósito: día UTC "AAAA-MM-DD" de un instante; es el día que escribe una fecha sin hora.
+function diaCalendario(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+// cargarClavesProcesadas(ruta)
+// - Propósito: leer las claves de idempotencia guardadas en ejecuciones anteriores.
+// - Salida: Promesa con un arreglo de strings (vacío si el archivo todavía no existe).
+export async function cargarClavesProcesadas(ruta = RUTA_IDEMPOTENCIA) {
+    try {
+        const datos = JSON.parse(await readFile(ruta, "utf8"));
+        return Array.isArray(datos.claves) ? datos.claves : [];
+    } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw new Error(`No se pudo leer el registro de idempotencia ${ruta}: ${err.message}`);
+    }
+}
+
+// guardarClavesProcesadas(claves, ruta)
+// - Propósito: persistir las claves procesadas.
+// - Diseño: escritura atómica (archivo temporal + rename) para no dejar el archivo a medio escribir.
+export async function guardarClavesProcesadas(claves, ruta = RUTA_IDEMPOTENCIA) {
+    await mkdir(dirname(ruta), { recursive: true });
+    const temporal = `${ruta}.tmp`;
+    await writeFile(temporal, JSON.stringify({ claves: [...claves] }, null, 2), "utf8");
+    await rename(temporal, ruta);
+}
@@ -3,47 +3,115 @@
 // - Procesamiento asincrónico con promesas. 
 // - Orquestación con async/await.
 // - Reporte claro y robusto en consola.
+import { cargarTransacciones, importarElementos } from "./importador.js";
+import { construirLibroMayor, imprimirExtractos } from "./libroMayor.js";
+import { evaluarRiesgo } from "./reglasRiesgo.js";
+import {
+    MONEDA_POR_DEFECTO,
+    TASAS_POR_DEFECTO,
+    validarMoneda,
+    aUnidadesMenores,
+    formatearMonto,
+    montoDecimal,
+    cargarTasas,
+    convertirUnidades
+} from "./moneda.js";
+import { normalizarFecha } from "./fechas.js";
+import { AGRUPACIONES, generarReportePeriodos, imprimirReportePeriodos, validarPeriodo } from "./periodos.js";
+import {
+    crearEstadoDuplicados,
+    detectarDuplicado,
+    registrarProcesada,
+    cargarClavesProcesadas,
+    guardarClavesProcesadas
+} from "./duplicados.js";
+import { auditarResultado, RUTA_AUDITORIA } from "../comun/auditoria.js";
+import {
+    cargarColeccion,
+    agregarRegistros,
+    seleccionarRegistros,
+    marcarProcesado,
+    guardarColeccion,
+    describirColeccion,
+    rutaColeccion
+} from "../comun/almacen.js";
+import { crearReporte } from "../comun/reportes.js";
+import { exigirEsquema } from "../comun/esquemas.js";
+import { errorConCodigo, traducir } from "../comun/mensajes.js";
+import { crearResultado, resultadoDeError } from "../comun/resultados.js";
+import { SERVICIO_POR_DEFECTO, llamarConTiempoMaximo } from "../comun/servicioSimulado.js";
+import { crearNotificador } from "../comun/eventos.js";
+import { esCancelacion, validarTiempoMaximo } from "../comun/lotes.js";
 
-// validarTransaccionConCallback(transaccion, callback) 
+// Esquema de una transacción (ver comun/esquemas.js): cada campo y sus restricciones, descritos una sola vez.
+// - id entero positivo; usuario string no vacío; tipo string (el detalle de negocio se valida en procesamiento).
+// - monto número finito distinto de 0 (MONTO_CERO).
+//   Justificación: un monto 0 no produce efecto y se considera inconsistente para registro financiero.
+// - autorizada boolean.
+// - claveIdempotencia opcional: si viene, string no vacío (identifica la fila entre ejecuciones).
+// - fecha ISO 8601 real (string o Date), no futura más allá de la tolerancia (contexto: { ahora, toleranciaFuturoMs }).
+//   "not a date", "2025-13-45" o new Date("x") se rechazan con el código de normalizarFecha (FECHA_FORMATO, FECHA_MES...).
+// - moneda opcional (por defecto MONEDA_POR_DEFECTO): código soportado (ver moneda.js).
+// - origen y destino: solo en transferencias, string no vacío (se debita a origen y se acredita a destino).
+// Las reglas que cruzan campos (monto según el tipo, decimales de la moneda, tasa vigente) no caben en el esquema:
+// siguen en validarTransaccionConCallback, después de exigirEsquema.
+export const ESQUEMA_TRANSACCION = {
+    id: { tipo: "numero", entero: true, minimo: 1 },
+    usuario: { tipo: "texto", noVacio: true },
+    monto: { tipo: "numero", finito: true, valida: monto => monto !== 0, codigo: "MONTO_CERO" },
+    tipo: { tipo: "texto" },
+    autorizada: { tipo: "booleano" },
+    claveIdempotencia: { tipo: "texto", noVacio: true, requerido: false },
+    fecha: { valida: (fecha, t, contexto) => normalizarFecha(fecha, contexto) },
+    moneda: { requerido: false, valida: moneda => moneda === null || validarMoneda(moneda) },  // null equivale a no indicarla
+    origen: { cuando: esTransferencia, tipo: "texto", noVacio: true },
+    destino: { cuando: esTransferencia, tipo: "texto", noVacio: true }
+};
+
+// esTransferencia(transaccion)
+// - Salida: true si el tipo es "transferencia" (sin distinguir mayúsculas).
+function esTransferencia(transaccion) {
+    return String(transaccion.tipo).toLowerCase() === "transferencia";
+}
+
+// validarTransaccionConCallback(transaccion, callback, opciones) 
 // - Propósito: validar estructura y reglas mínimas de una transacción usando callbacks. 
 // - Entrada: 
-//    - transaccion: { id, usuario, monto, tipo, autorizada, fecha }. 
+//    - transaccion: { id, usuario, monto, tipo, autorizada, fecha, moneda?, origen?, destino?, claveIdempotencia? }. 
+//      origen y destino son obligatorios cuando tipo es "transferencia" (ver ESQUEMA_TRANSACCION).
 //    - callback: (err, resultado) => resultado controlado (nunca lanzamos errores hacia fuera). 
+//    - opciones (opcional):
+//        - { tasas, monedaReporte } para comprobar que exista tasa de cambio hacia la moneda de reporte.
+//        - { ahora, toleranciaFuturoMs } para el control de fechas futuras (ver fechas.js).
 // - Salida (vía callback): 
-//    - Si la transacción es estructuralmente válida: callback(null, transaccion). 
-//    - Si hay reglas incumplidas: callback(null, { id, clasificacion: "invalida", motivo }). 
+//    - Si la transacción es estructuralmente válida: callback(null, copia de la transacción con la fecha normalizada). 
+//    - Si hay reglas incumplidas: callback(null, { id, estado: "rechazada", motivo, codigo, campo, parametros, clasificacion: "invalida" })
+//      (forma común, ver comun/resultados.js).
+//      Si incumple el esquema, el motivo enumera todas las violaciones y 'errores' lista cada una: [{ campo, codigo, parametros, mensaje }].
 // - Diseño:
 //    - try/catch convierte excepciones en resultados controlados. 
 //    - No se muta el objeto de entrada (inmutabilidad).
-export function validarTransaccionConCallback(transaccion, callback) {
+export function validarTransaccionConCallback(transaccion, callback, opciones = {}) {
     try {
         // 1) Existencia del objeto
-        if (!transaccion) { throw new Error("La transacción está vacía o indefinida.");
-        }
-
-        // 2) id entero positivo
-        if (typeof transaccion.id !== "number" || !Number.isInteger(transaccion.id) || transaccion.id <= 0) { throw new Error(`Transacción inválida: id "${transaccion.id}" debe ser entero positivo.`); 
+        if (!transaccion) { throw errorConCodigo("ENTIDAD_VACIA", { entidad: "transaccion" });
         }
 
-        // 3) usuario string no vacío
-        if (typeof transaccion.usuario !== "string" || transaccion.usuario.trim().length === 0) { throw new Error(`Transacción ${transaccion.id}: el usuario debe ser un string no vacío.`); 
-        }
+        // 2) a 7) Campos según ESQUEMA_TRANSACCION: se revisan todos y se informan todas las violaciones juntas
+        const opcionesFecha = { ahora: opciones.ahora, toleranciaFuturoMs: opciones.toleranciaFuturoMs };
+        exigirEsquema(transaccion, ESQUEMA_TRANSACCION, { entidad: "transaccion", contexto: opcionesFecha });
 
-        // 4) monto número finito, no NaN, no cero 
-        // Justificación: un monto 0 no produce efecto y se considera inconsistente para registro financiero.
-        if (typeof transaccion.monto !== "number" || !Number.isFinite(transaccion.monto) || transaccion.monto === 0) { throw new Error(`Transacción ${transaccion.id}: el monto debe ser un número finito distinto de 0.`); 
-        }
+        // La fecha ya es válida: se normaliza ("AAAA-MM-DD" o ISO UTC completo) en una copia de la transacción.
+        const fecha = normalizarFecha(transaccion.fecha, opcionesFecha);
 
-        // 5) tipo string (detalle de negocio se valida en procesamiento)
-        if (typeof transaccion.tipo !== "string") { throw new Error(`Transacción ${transaccion.id}: el tipo debe ser un string.`); 
-        }
-
-        // 6) autorizada boolean
-        if (typeof transaccion.autorizada !== "boolean") { throw new Error(`Transacción ${transaccion.id}: el campo 'autorizada' debe ser booleano.`); 
-        }
-
-        // 7) fecha string o Date
-        if (!(typeof transaccion.fecha === "string" || transaccion.fecha instanceof Date)) { throw new Error(`Transacción ${transaccion.id}: la fecha debe ser string o Date.`); 
+        // 7.1) moneda (por defecto MONEDA_POR_DEFECTO; el código ya se validó en el esquema):
+        // - el monto no puede tener más decimales de los que admite la moneda.
+        // - si se recibió una tabla de tasas, debe existir tasa vigente para convertir a la moneda de reporte.
+        // Los dos lanzan Error con código (MONTO_DECIMALES, TASA_INEXISTENTE), que el catch convierte en "invalida".
+        const moneda = transaccion.moneda ?? MONEDA_POR_DEFECTO;
+        const unidades = aUnidadesMenores(transaccion.monto, moneda);
+        if (opciones.tasas) {
+            convertirUnidades(unidades, moneda, opciones.monedaReporte ?? opciones.tasas.base, opciones.tasas, fecha);
         }
 
         // 8) Reglas de coherencia de monto según tipo: 
@@ -51,98 +119,153 @@ export function validarTransaccionConCallback(transaccion, callback) {
         // - egreso => monto > 0 (un egreso negativo invierte el significado) 
         // Justificación: aunque el enunciado permite que "monto" sea negativo, 
         // aquí se clasifica como inválido por conflicto semántico y para evitar ambigüedad contable.
+        // Código MONTO_NO_POSITIVO con el tipo como parámetro (lo comparten ingreso, egreso y transferencia).
         const tipoLower = String(transaccion.tipo).toLowerCase();
+        const invalida = (codigo, campo, parametros) => callback(null, crearResultado({
+            id: transaccion.id,
+            estado: "rechazada",
+            codigo,
+            campo,
+            parametros,
+            clasificacion: "invalida"
+        }));
         if (tipoLower === "ingreso" && transaccion.monto <= 0) {
-            return callback(null, {
-                id: transaccion.id, 
-                clasificacion: "invalida", 
-                motivo: "Ingreso con monto <= 0 es incoherente."
-            });
+            return invalida("MONTO_NO_POSITIVO", "monto", { tipo: tipoLower });
         }
         
         if (tipoLower === "egreso" && transaccion.monto <= 0) {
-            return callback(null, {
-                id: transaccion.id,
-                clasificacion: "invalida",
-                motivo: "Egreso con monto <= 0 es incoherente."
-            });
+            return invalida("MONTO_NO_POSITIVO", "monto", { tipo: tipoLower });
+        }
+
+        // 8.1) Transferencia: movimiento entre dos usuarios (origen y destino ya validados en el esquema)
+        // - origen y destino distintos: una transferencia a sí mismo no mueve dinero.
+        // - monto > 0, igual que ingreso/egreso.
+        if (tipoLower === "transferencia") {
+            if (transaccion.origen.trim().toLowerCase() === transaccion.destino.trim().toLowerCase()) {
+                return invalida("TRANSFERENCIA_MISMO_USUARIO", "destino", { origen: transaccion.origen, destino: transaccion.destino });
+            }
+            if (transaccion.monto <= 0) {
+                return invalida("MONTO_NO_POSITIVO", "monto", { tipo: tipoLower });
+            }
         }
 
-        // 9) Éxito en validación estructural 
-        return callback(null, transaccion);
+        // 9) Éxito en validación estructural: copia con la fecha normalizada (el objeto de entrada no se muta)
+        return callback(null, { ...transaccion, fecha });
         
     } catch (err) {
         // 10) Manejo de errores de validación (controlados)
-        return callback(null, {
-            id: transaccion?.id ?? "desconocido", 
-            clasificacion: "invalida", 
-            motivo: `Error: ${err.message}`
-        });
+        // resultadoDeError usa el código del error (o el de la primera violación del esquema) y copia
+        // las violaciones (err.violaciones) en 'errores', con la ruta de cada campo.
+        return callback(null, resultadoDeError("transaccion", transaccion, "rechazada", err, { clasificacion: "invalida" }));
     }
 }
 
-// delay(ms) 
-// - Propósito: simular latencia de servicios externos.
-// - Diseño: setTimeout envuelto en Promesa para integrar con async/await. 
-function delay(ms) { 
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Tipos de transacción reconocidos en el procesamiento.
+// - "transferencia" mueve dinero entre dos usuarios: no cambia el balance global.
+export const TIPOS_TRANSACCION = ["ingreso", "egreso", "transferencia"];
 
-// tiempoAleatorio()
-// - Propósito: generar latencia aleatoria entre 300 y 2000 ms.
-function tiempoAleatorio() { 
-    const min = 300; 
-    const max = 2000; 
-    return Math.floor(Math.random() * (max - min + 1)) + min; 
-}
+// Estado común (ver comun/resultados.js) que corresponde a cada clasificación del análisis de riesgo.
+export const ESTADO_POR_CLASIFICACION = {
+    valida: "aprobada",
+    sospechosa: "sospechosa",
+    invalida: "rechazada"
+};
 
-// procesarTransaccionConPromesa(transaccion) 
+// procesarTransaccionConPromesa(transaccion, contexto) 
 // - Propósito: aplicar reglas de negocio y clasificación usando Promesas. 
+// - Entrada (opcional): contexto = { historial, configuracion, reglas, tasas } para el motor de riesgo (ver reglasRiesgo.js)
+//   y contexto.servicio: servicio simulado que aporta la latencia y las fallas inyectadas (ver comun/servicioSimulado.js;
+//   por defecto SERVICIO_POR_DEFECTO). Una falla inyectada termina en "invalida" con su código (FALLA_SERVICIO, TIEMPO_AGOTADO_SERVICIO).
+//   contexto.tiempoMaximoMs: cota de esa espera; si se supera, "invalida" con TIEMPO_MAXIMO_SUPERADO (motivo "timeout: ...").
+//   contexto.senal: AbortSignal del lote; si se cancela durante la espera, la Promesa rechaza con LOTE_CANCELADO.
 // - Reglas: 
-//    - tipo "ingreso" o "egreso" => datos correctos. 
-//    - autorizada true => "valida". 
-//    - autorizada false => "sospechosa".
 //    - tipo no reconocido => "invalida".
-export function procesarTransaccionConPromesa(transaccion) { 
-    return new Promise(async (resolve) => { 
+//    - tipo "ingreso", "egreso" o "transferencia" => se evalúan las reglas de riesgo y se suma su puntaje.
+//    - puntaje >= umbral => "sospechosa" (una transacción no autorizada supera el umbral por sí sola).
+//    - puntaje < umbral => "valida".
+// - Salida: resultado con la forma común { id, estado, motivo, codigo, campo, parametros } (ver comun/resultados.js)
+//   y además { clasificacion, tipo, monto, moneda, puntaje, reglas }; las transferencias incluyen también origen y destino.
+//   estado según la clasificación (ESTADO_POR_CLASIFICACION): valida => "aprobada", sospechosa => "sospechosa",
+//   invalida => "rechazada". Códigos: TRANSACCION_AUTORIZADA, TRANSFERENCIA_AUTORIZADA, TRANSACCION_SOSPECHOSA,
+//   TIPO_NO_RECONOCIDO, ERROR_PROCESAMIENTO (error sin código) o el código del error atrapado.
+export function procesarTransaccionConPromesa(transaccion, contexto = {}) { 
+    return new Promise(async (resolve, reject) => { 
         try { 
-            await delay(tiempoAleatorio()); // Simula dependencia externa
+            // Simula dependencia externa (con la cota de tiempo y la cancelación del lote, si se indicaron)
+            await llamarConTiempoMaximo(contexto.servicio ?? SERVICIO_POR_DEFECTO, "transacciones", {
+                tiempoMaximoMs: contexto.tiempoMaximoMs,
+                senal: contexto.senal
+            });
 
             const tipoLower = String(transaccion.tipo).toLowerCase();
-            if (tipoLower !== "ingreso" && tipoLower !== "egreso") {
-                return resolve({
+            if (!TIPOS_TRANSACCION.includes(tipoLower)) {
+                return resolve(crearResultado({
                     id: transaccion.id, 
-                    clasificacion: "invalida", 
-                    motivo: `Tipo no reconocido: ${transaccion.tipo}`
-                }); 
+                    estado: "rechazada",
+                    codigo: "TIPO_NO_RECONOCIDO",
+                    campo: "tipo",
+                    parametros: { tipo: transaccion.tipo },
+                    clasificacion: "invalida"
+                })); 
             }
 
-            if (transaccion.autorizada === true) {
-                return resolve({
+            // Motor de riesgo: cada regla disparada aporta puntaje y motivo
+            const riesgo = evaluarRiesgo(transaccion, contexto.historial, contexto);
+
+            // Datos comunes del resultado; la transferencia agrega sus dos usuarios
+            const detalle = {
+                tipo: tipoLower,
+                monto: transaccion.monto,
+                moneda: transaccion.moneda ?? MONEDA_POR_DEFECTO,
+                ...(tipoLower === "transferencia" ? { origen: transaccion.origen, destino: transaccion.destino } : {}),
+                puntaje: riesgo.puntaje,
+                reglas: riesgo.reglas
+            };
+
+            if (riesgo.clasificacion === "valida") {
+                const observaciones = riesgo.reglas.length > 0
+                    ? ` ${traducir("OBSERVACIONES_RIESGO", { puntaje: riesgo.puntaje })} ${riesgo.reglas.map(r => r.motivo).join(" ")}`
+                    : "";
+                const [codigo, parametros] = tipoLower === "transferencia"
+                    ? ["TRANSFERENCIA_AUTORIZADA", { origen: transaccion.origen, destino: transaccion.destino }]
+                    : ["TRANSACCION_AUTORIZADA", { tipo: tipoLower, usuario: transaccion.usuario }];
+                return resolve(crearResultado({
                     id: transaccion.id, 
+                    estado: ESTADO_POR_CLASIFICACION.valida,
+                    codigo,
+                    parametros,
+                    motivo: `${traducir(codigo, parametros)}${observaciones}`, 
                     clasificacion: "valida", 
-                    motivo: `Transacción ${tipoLower} autorizada para usuario ${transaccion.usuario}.`, 
-                    tipo: tipoLower, 
-                    monto: transaccion.monto
-                }); 
+                    ...detalle
+                })); 
             }
 
-            // Datos correctos pero no autorizada => sospechosa 
-            return resolve({
+            // Puntaje igual o superior al umbral => sospechosa (el motivo lista todas las reglas disparadas;
+            // parametros.reglas guarda sus códigos)
+            return resolve(crearResultado({
                 id: transaccion.id, 
+                estado: ESTADO_POR_CLASIFICACION.sospechosa,
+                codigo: "TRANSACCION_SOSPECHOSA",
+                parametros: { puntaje: riesgo.puntaje, reglas: riesgo.reglas.map(r => r.codigo) },
+                motivo: riesgo.reglas.map(r => r.motivo).join(" "), 
                 clasificacion: "sospechosa", 
-                motivo: `Transacción ${tipoLower} NO autorizada para usuario ${transaccion.usuario}.`, 
-                tipo: tipoLower, 
-                monto: transaccion.monto
-            });
+                ...detalle
+            }));
 
         } catch (err) { 
-            // Rechazo controlado (no lanzamos reject)
-            resolve({ 
+            // Rechazo controlado (no lanzamos reject), salvo la cancelación del lote: la transacción queda pendiente
+            if (esCancelacion(err)) return reject(err);
+            // Un error con código (ej: falla inyectada del servicio simulado) conserva su código; el resto es ERROR_PROCESAMIENTO.
+            if (err?.codigo) {
+                return resolve(resultadoDeError("transaccion", transaccion, ESTADO_POR_CLASIFICACION.invalida, err, { clasificacion: "invalida" }));
+            }
+            resolve(crearResultado({ 
                 id: transaccion?.id ?? "desconocido", 
-                clasificacion: "invalida", 
-                motivo: `Error de procesamiento: ${err.message}` 
-            });
+                estado: ESTADO_POR_CLASIFICACION.invalida,
+                codigo: "ERROR_PROCESAMIENTO",
+                parametros: { detalle: err.message },
+                clasificacion: "invalida"
+            }));
 
         } 
     }); 
@@ -157,83 +280,289 @@ export function arrTransacciones() {
         { id: 4, usuario: "Nicolle", monto: 150, tipo: "egreso", autorizada: false, fecha: "2025-12-03" },     // sospechosa: egreso no autorizado 
         { id: 5, usuario: "", monto: 100, tipo: "ingreso", autorizada: true, fecha: "2025-12-04" },          // inválida: usuario vacío 
         { id: 6, usuario: "Santi", monto: 0, tipo: "egreso", autorizada: true, fecha: "2025-12-05" },        // inválida: monto 0 
-        { id: 7, usuario: "David", monto: 250, tipo: "transfer",autorizada: true, fecha: "2025-12-06" }        // inválida: tipo no reconocido 
+        { id: 7, usuario: "David", monto: 250, tipo: "transfer",autorizada: true, fecha: "2025-12-06" },       // inválida: tipo no reconocido 
+        { id: 8, usuario: "David", monto: 120, tipo: "transferencia", origen: "Sebas", destino: "David", autorizada: true, fecha: "2025-12-07" }    // válida transferencia 
     ]; 
 }
 
 // Como ultimo paso se ejecuta el ejercicio 1
-export async function ejecutarAnalisis() { 
+// ejecutarAnalisis(opciones)
+// - Entrada (opcional):
+//    - opciones.archivo: ruta de un .csv o .json con transacciones reales; si no se indica, se usan los datos de prueba.
+//    - opciones.elementos: arreglo de transacciones ya interpretadas (ej: cuerpo de la API HTTP); se normalizan como
+//      las de un JSON (importarElementos) y tienen prioridad sobre opciones.archivo.
+//    - opciones.separador / opciones.mapeo: ver cargarTransacciones en importador.js.
+//    - opciones.limiteSobregiro / opciones.saldosIniciales: ver construirLibroMayor en libroMayor.js.
+//    - opciones.configuracion / opciones.reglas: ajustes del motor de riesgo (ver reglasRiesgo.js).
+//    - opciones.archivoTasas: JSON con tasas de cambio fechadas (por defecto TASAS_POR_DEFECTO en moneda.js).
+//    - opciones.monedaReporte: moneda a la que se convierten los totales (por defecto la base de la tabla de tasas).
+//    - opciones.ahora / opciones.toleranciaFuturoMs: control de fechas futuras (ver fechas.js).
+//    - opciones.servicio: servicio simulado del procesamiento (latencia, semilla, reloj virtual y fallas; ver comun/servicioSimulado.js).
+//    - opciones.periodo: { desde, hasta, agrupaciones } para el reporte por periodo
+//      (por defecto todo el rango y las agrupaciones "dia", "semana" y "mes"). Se valida antes de procesar nada
+//      (validarPeriodo en periodos.js): un rango inválido lanza Error sin tocar el almacén ni la auditoría.
+//    - opciones.auditoria: false desactiva el registro de auditoría; opciones.rutaAuditoria cambia el archivo.
+//    - opciones.eventos: EventEmitter u objeto de funciones que recibe inicio, validado, procesado / fallido y fin
+//      (ver comun/eventos.js). "validado" se avisa cuando la transacción pasó validación y control de duplicados;
+//      las inválidas se avisan como "fallido" y las sospechosas como "procesado".
+//    - opciones.tiempoMaximoMs: tiempo máximo de cada transacción esperando al servicio (ver procesarTransaccionConPromesa).
+//    - opciones.senal: AbortSignal para cancelar el análisis (ej: Ctrl+C). No se procesan más transacciones, la que esperaba
+//      al servicio queda pendiente y el resumen, los totales y los listados son parciales (indican cuántas quedaron sin procesar).
+//    - opciones.idempotencia: false no lee ni guarda claves procesadas. El archivo es idempotencia.json en la carpeta del almacén
+//      (opciones.directorioDatos); opciones.rutaIdempotencia lo cambia (ver duplicados.js).
+//    - opciones.almacen: false trabaja solo en memoria (tampoco usa el archivo de idempotencia); si no, las transacciones
+//      y sus resultados se guardan en data/transacciones.json (opciones.directorioDatos cambia la carpeta, ver comun/almacen.js).
+//      Solo se procesan las pendientes; opciones.reprocesar: true procesa todas de nuevo.
+//      Las filas de opciones.archivo (u opciones.elementos) se agregan al almacén como pendientes.
+//      opciones.soloRecibidos: true procesa solo las filas que agregó esta importación, no el resto de los pendientes
+//      (la API HTTP lo usa para que cada petición decida únicamente lo que recibió).
+// - Las filas importadas siguen exactamente el mismo flujo (callback + promesa) que arrTransacciones().
+// - Salida: Promesa con el reporte estructurado (ver comun/reportes.js), además del reporte en consola:
+//    - items: resultados por transacción; conteos: total, validas, sospechosas, invalidas, erroresImportacion, alertasSobregiro, sinProcesar.
+//    - totales: ingresos, egresos, transferencias y balance en la moneda de reporte, y porMoneda (moneda original).
+//      Los montos son texto decimal exacto (ej: "1250.50"), no number.
+//    - erroresImportacion: filas del archivo que no se pudieron leer.
+//    - yaAlmacenados: transacciones recibidas que ya estaban en el almacén (ver agregarRegistros en comun/almacen.js).
+//    - cancelado: true si la cancelación dejó transacciones sin procesar.
+export async function ejecutarAnalisis(opciones = {}) { 
     console.log("\nSistema de Transacciones y Control de Riesgo");
+    const { notificar, notificarResultado } = crearNotificador(opciones.eventos, "transacciones");
+    validarTiempoMaximo(opciones.tiempoMaximoMs);
+    validarPeriodo(opciones.periodo);
+
+    // Origen de datos: elementos recibidos en memoria (API HTTP), archivo importado o datos de prueba
+    const importa = Boolean(opciones.elementos || opciones.archivo);
+    let transacciones = importa ? [] : arrTransacciones();
+    let erroresImportacion = [];    // errores de lectura por línea del archivo (o por posición de los elementos)
+    if (importa) {
+        const importado = opciones.elementos
+            ? importarElementos(opciones.elementos, opciones)
+            : await cargarTransacciones(opciones.archivo, opciones);
+        transacciones = importado.transacciones;
+        erroresImportacion = importado.errores;
+        const origen = opciones.elementos ? "Elementos recibidos" : `Archivo: ${opciones.archivo}`;
+        console.log(`${origen} — ${transacciones.length} transacciones leídas, ${erroresImportacion.length} con errores de lectura.`);
+        for (const error of erroresImportacion) {
+            console.log(`Línea ${error.linea ?? "-"}: error de lectura => ${error.motivo}`);
+        }
+    }
+
+    // Almacén local: los datos de prueba solo siembran la colección la primera vez;
+    // las filas importadas se agregan como pendientes. Sin almacén se procesa lo leído en memoria.
+    let coleccion = null;
+    let registros = transacciones.map(datos => ({ datos }));
+    let yaAlmacenados = [];     // transacciones recibidas que ya tenían registro (no se procesan de nuevo)
+    if (opciones.almacen !== false) {
+        coleccion = await cargarColeccion("transacciones", {
+            directorio: opciones.directorioDatos,
+            iniciales: importa ? [] : transacciones
+        });
+        const importacion = importa ? agregarRegistros(coleccion, transacciones) : { agregados: [], yaAlmacenados: [] };
+        const { agregados } = importacion;
+        yaAlmacenados = importacion.yaAlmacenados;
+        if (yaAlmacenados.length > 0) {
+            console.log(`${yaAlmacenados.length} transacciones ya estaban en el almacén (no se agregan de nuevo).`);
+        }
+        registros = importa && opciones.soloRecibidos ? agregados : seleccionarRegistros(coleccion, opciones.reprocesar);
+        console.log(describirColeccion(coleccion, registros));
+    }
+
+    // Tasas de cambio y moneda de reporte
+    const tasas = opciones.archivoTasas ? await cargarTasas(opciones.archivoTasas) : (opciones.tasas ?? TASAS_POR_DEFECTO);
+    const monedaReporte = opciones.monedaReporte ?? tasas.base;
+    validarMoneda(monedaReporte);
 
-    const transacciones = arrTransacciones(); 
     const resultados = [];      // resultados por transacción (valida/sospechosa/invalida) 
     const validas = [];         // subconjunto clasificadas como "valida" 
     const sospechosas = [];     // subconjunto clasificadas como "sospechosa" 
     const invalidas = [];       // subconjunto clasificadas como "invalida"
+    const movimientos = [];     // transacciones válidas con usuario y fecha para el libro mayor
+    const historial = [];       // transacciones ya validadas del lote (contexto del motor de riesgo)
+    const registrosPeriodo = [];    // { fecha, clasificacion, tipo?, monto? } para el reporte por periodo
+    const opcionesFecha = { ahora: opciones.ahora, toleranciaFuturoMs: opciones.toleranciaFuturoMs };
+
+    // Duplicados: ids vistos en el lote y claves de idempotencia procesadas (incluye ejecuciones anteriores).
+    // Al reprocesar todo el almacén las claves se recalculan desde cero: si no, cada fila chocaría con su propia clave.
+    // El archivo vive en la carpeta del almacén: con opciones.directorioDatos (--datos) no se toca data/,
+    // y sin almacén (opciones.almacen: false) tampoco se lee ni se escribe.
+    const rutaIdempotencia = opciones.rutaIdempotencia ?? rutaColeccion("idempotencia", opciones.directorioDatos);
+    const usaIdempotencia = opciones.idempotencia !== false && opciones.almacen !== false;
+    const cargarClaves = usaIdempotencia && !(coleccion && opciones.reprocesar);
+    const estadoDuplicados = crearEstadoDuplicados(cargarClaves ? await cargarClavesProcesadas(rutaIdempotencia) : []);
+    const clavesIniciales = estadoDuplicados.claves.size;
+
+    // auditar(t, resultado): deja constancia de cada decisión en el registro encadenado (comun/auditoria.js).
+    const auditar = (t, resultado) => opciones.auditoria === false
+        ? Promise.resolve()
+        : auditarResultado("transacciones", t, resultado, opciones.rutaAuditoria ?? RUTA_AUDITORIA);
 
-    // Acumuladores
-    let totalIngresos = 0;      // suma de ingresos válidos 
-    let totalEgresos = 0;       // suma de egresos válidos
+    // persistir(registro, resultado): anota el resultado en el almacén; la transacción deja de estar pendiente
+    // (el archivo se escribe una sola vez, al terminar el lote).
+    const persistir = (registro, resultado) => {
+        if (coleccion) marcarProcesado(coleccion, registro, resultado);
+    };
 
-    for (const t of transacciones) {
+    // fechaDe(t): fecha normalizada de una transacción rechazada, o null si la fecha no es interpretable.
+    // Se ignora el control de futuro para poder ubicar igualmente la inválida en su periodo.
+    const fechaDe = (t) => {
+        try {
+            return normalizarFecha(t?.fecha, { toleranciaFuturoMs: Infinity });
+        } catch {
+            return null;
+        }
+    };
+
+    // Acumuladores en unidades menores (BigInt) => sumas exactas, sin error de punto flotante
+    let totalIngresos = 0n;     // suma de ingresos válidos convertidos a la moneda de reporte
+    let totalEgresos = 0n;      // suma de egresos válidos convertidos a la moneda de reporte
+    let totalTransferencias = 0n;   // suma de transferencias válidas (categoría propia, neutra para el balance)
+    const porMoneda = {};       // { moneda: { ingresos, egresos, transferencias } } en la moneda original de cada transacción
+
+    notificar("inicio", { total: registros.length });
+    for (const registro of registros) {
+        if (opciones.senal?.aborted) break;     // cancelado: el resto queda pendiente
+        const t = registro.datos;
         try {
             // Validación con callback (envuelta en Promesa para await) 
             const validada = await new Promise(resolve => { 
-                validarTransaccionConCallback(t, (err, res) => resolve(res)); 
+                validarTransaccionConCallback(t, (err, res) => resolve(res), { tasas, monedaReporte, ...opcionesFecha }); 
             });
         
             // Si salió inválida en validación, reportar y continuar 
             if (validada.clasificacion === "invalida") { 
                 invalidas.push(validada); 
                 resultados.push(validada); 
+                registrosPeriodo.push({ fecha: fechaDe(t), clasificacion: validada.clasificacion });
                 console.log(`Transacción ${validada.id}: ${validada.clasificacion} => ${validada.motivo}`); 
+                await auditar(t, validada);
+                persistir(registro, validada);
+                notificarResultado(validada, t);
                 continue; 
             }
 
+            // Duplicado exacto (id repetido o clave ya procesada): inválida, no se procesa ni suma al balance
+            const duplicado = detectarDuplicado(validada, estadoDuplicados);
+            if (duplicado) {
+                registrarProcesada(validada, estadoDuplicados, duplicado.clasificacion);    // el id sigue ocupado en el lote
+                invalidas.push(duplicado);
+                resultados.push(duplicado);
+                registrosPeriodo.push({ fecha: validada.fecha, clasificacion: duplicado.clasificacion });
+                console.log(`Transacción ${duplicado.id}: ${duplicado.clasificacion} => ${duplicado.motivo}`);
+                await auditar(t, duplicado);
+                persistir(registro, duplicado);
+                notificarResultado(duplicado, t);
+                continue;
+            }
+
             // Procesamiento con Promesa 
-            const procesada = await procesarTransaccionConPromesa(validada); 
+            notificar("validado", { id: validada.id, elemento: t });
+            const procesada = await procesarTransaccionConPromesa(validada, {
+                historial,
+                configuracion: opciones.configuracion,
+                reglas: opciones.reglas,
+                tasas,
+                servicio: opciones.servicio,
+                tiempoMaximoMs: opciones.tiempoMaximoMs,
+                senal: opciones.senal
+            }); 
             resultados.push(procesada);
+            historial.push(validada);
+            registrarProcesada(validada, estadoDuplicados, procesada.clasificacion);
 
             // Clasificación y acumulación de totales 
             if (procesada.clasificacion === "valida") { 
                 validas.push(procesada);
+                // Conversión: unidades menores en la moneda original y en la moneda de reporte
+                const unidades = aUnidadesMenores(procesada.monto, procesada.moneda);
+                const convertidas = convertirUnidades(unidades, procesada.moneda, monedaReporte, tasas, validada.fecha);
+                porMoneda[procesada.moneda] ??= { ingresos: 0n, egresos: 0n, transferencias: 0n };
+                const original = procesada.moneda !== monedaReporte ? formatearMonto(unidades, procesada.moneda) : undefined;
+                if (procesada.tipo === "transferencia") {
+                    // Dos movimientos: débito para el origen y crédito para el destino
+                    movimientos.push(
+                        { id: procesada.id, usuario: procesada.origen, tipo: "transferencia enviada", detalle: `a ${procesada.destino}`, monto: convertidas, original, fecha: validada.fecha },
+                        { id: procesada.id, usuario: procesada.destino, tipo: "transferencia recibida", detalle: `de ${procesada.origen}`, monto: convertidas, original, fecha: validada.fecha }
+                    );
+                } else {
+                    movimientos.push({ id: procesada.id, usuario: validada.usuario, tipo: procesada.tipo, monto: convertidas, original, fecha: validada.fecha });
+                }
+                registrosPeriodo.push({ fecha: validada.fecha, clasificacion: "valida", tipo: procesada.tipo, monto: convertidas });
                 if (procesada.tipo === "ingreso") {
-                    totalIngresos += procesada.monto; // monto > 0 garantizado por validación
+                    totalIngresos += convertidas; // monto > 0 garantizado por validación
+                    porMoneda[procesada.moneda].ingresos += unidades;
                 } else if (procesada.tipo === "egreso") {
-                    totalEgresos += procesada.monto; // monto > 0 garantizado por validación
+                    totalEgresos += convertidas; // monto > 0 garantizado por validación
+                    porMoneda[procesada.moneda].egresos += unidades;
+                } else if (procesada.tipo === "transferencia") {
+                    totalTransferencias += convertidas; // no suma a ingresos ni egresos: el dinero solo cambia de usuario
+                    porMoneda[procesada.moneda].transferencias += unidades;
                 }
             } else if (procesada.clasificacion === "sospechosa") { 
                 sospechosas.push(procesada); 
+                registrosPeriodo.push({ fecha: validada.fecha, clasificacion: "sospechosa" });
             } else { 
                 invalidas.push(procesada); 
+                registrosPeriodo.push({ fecha: validada.fecha, clasificacion: "invalida" });
             }
 
             // Reporte por transacción 
             const msgBase = `Transacción ${procesada.id}: ${procesada.clasificacion} => ${procesada.motivo}`; 
             console.log(msgBase);
+            await auditar(t, procesada);
+            persistir(registro, procesada);
+            notificarResultado(procesada, t);
 
         } catch (err) { 
+            // Cancelación del lote: esta transacción no se informa ni se guarda (sigue pendiente)
+            if (esCancelacion(err)) break;
             // Error inesperado (estandarizado) 
-            const fallo = {
+            const fallo = crearResultado({
                 id: t?.id ?? "desconocido", 
-                clasificacion: "invalida", 
-                motivo: `Error inesperado: ${err.message}`
-            };
+                estado: ESTADO_POR_CLASIFICACION.invalida,
+                codigo: "ERROR_INESPERADO",
+                parametros: { detalle: err.message },
+                clasificacion: "invalida"
+            });
             invalidas.push(fallo); 
             resultados.push(fallo); 
+            registrosPeriodo.push({ fecha: fechaDe(t), clasificacion: "invalida" });
             console.log(`Transacción ${fallo.id}: ${fallo.clasificacion} => ${fallo.motivo}`); 
+            await auditar(t, fallo);
+            persistir(registro, fallo);
+            notificarResultado(fallo, t);
         } 
     }
 
+    // Almacén: una sola escritura por lote con todos los resultados (también si se canceló)
+    if (coleccion) await guardarColeccion(coleccion);
+
+    // Claves nuevas: se guardan para que reimportar el mismo archivo no duplique el balance
+    if (usaIdempotencia && estadoDuplicados.claves.size > clavesIniciales) {
+        await guardarClavesProcesadas(estadoDuplicados.claves, rutaIdempotencia);
+    }
+
     // Cálculo de balance final: ingresos - egresos 
     const balanceFinal = totalIngresos - totalEgresos;
 
+    // Libro mayor: saldo corriente por usuario ordenado por fecha
+    const { limiteSobregiro = 0 } = opciones;
+    const libro = construirLibroMayor(movimientos, { ...opciones, moneda: monedaReporte });
+    const alertasSobregiro = libro.reduce((total, cuenta) => total + cuenta.sobregiros, 0);
+
     // Resumen claro y ordenado 
     console.log("\nResumen"); 
+    const sinProcesar = registros.length - resultados.length;
+    if (sinProcesar > 0) {
+        console.log(`Análisis cancelado: ${sinProcesar} de ${registros.length} transacciones sin procesar (siguen pendientes); el resumen es parcial.`);
+    }
     console.log(`Total procesadas (number): ${resultados.length} — incluye válidas, sospechosas e inválidas según reglas aplicadas.`); 
-    console.log(`Válidas (array): ${validas.length} — datos correctos y autorizadas.`); 
-    console.log(`Sospechosas (array): ${sospechosas.length} — datos correctos pero NO autorizadas.`); 
+    console.log(`Válidas (array): ${validas.length} — datos correctos y puntaje de riesgo por debajo del umbral.`); 
+    console.log(`Sospechosas (array): ${sospechosas.length} — datos correctos pero con puntaje de riesgo igual o superior al umbral (ver reglas).`); 
     console.log(`Inválidas (array): ${invalidas.length} — errores de estructura o lógica.`);
+    if (importa) {
+        console.log(`Errores de lectura (array): ${erroresImportacion.length} — filas del archivo (o elementos recibidos) que no se pudieron convertir.`);
+    }
+    console.log(`Alertas de sobregiro (number): ${alertasSobregiro} — débitos (egresos y transferencias enviadas) que dejan al usuario por debajo de -${limiteSobregiro}.`);
 
     // Listados 
     console.log("\nListado de válidas (array de objetos):"); 
@@ -245,9 +574,58 @@ export async function ejecutarAnalisis() {
     console.log("\nListado de inválidas con motivo (array de objetos):"); 
     console.log(invalidas);
 
-    // Totales y balance 
-    console.log("\nTotales"); 
-    console.log(`Total de ingresos válidos (number): ${totalIngresos} — suma de montos de transacciones válidas con tipo "ingreso".`); 
-    console.log(`Total de egresos válidos (number): ${totalEgresos} — suma de montos de transacciones válidas con tipo "egreso".`); 
-    console.log(`Balance final (number): ${balanceFinal} — ingresos válidos menos egresos válidos.`); 
-}
\ No newline at end of file
+    // Totales por moneda original (sin conversión)
+    console.log("\nTotales por moneda");
+    for (const [moneda, total] of Object.entries(porMoneda)) {
+        console.log(`${moneda}: ingresos ${formatearMonto(total.ingresos, moneda)}, egresos ${formatearMonto(total.egresos, moneda)}, transferencias ${formatearMonto(total.transferencias, moneda)}, balance ${formatearMonto(total.ingresos - total.egresos, moneda)}`);
+    }
+
+    // Totales y balance convertidos a la moneda de reporte
+    console.log(`\nTotales (convertidos a ${monedaReporte})`); 
+    console.log(`Total de ingresos válidos: ${formatearMonto(totalIngresos, monedaReporte)} — suma exacta de montos de transacciones válidas con tipo "ingreso".`); 
+    console.log(`Total de egresos válidos: ${formatearMonto(totalEgresos, monedaReporte)} — suma exacta de montos de transacciones válidas con tipo "egreso".`); 
+    console.log(`Total de transferencias válidas: ${formatearMonto(totalTransferencias, monedaReporte)} — movimientos entre usuarios; no afectan el balance final.`); 
+    console.log(`Balance final: ${formatearMonto(balanceFinal, monedaReporte)} — ingresos válidos menos egresos válidos.`); 
+
+    // Extractos por usuario (saldo inicial, movimientos y saldo final)
+    imprimirExtractos(libro, limiteSobregiro);
+
+    // Reporte por periodo (día, semana, mes) dentro del rango pedido
+    const { desde, hasta, agrupaciones = AGRUPACIONES } = opciones.periodo ?? {};
+    for (const agrupacion of agrupaciones) {
+        const reporte = generarReportePeriodos(registrosPeriodo, { agrupacion, desde, hasta });
+        imprimirReportePeriodos(reporte, agrupacion, monedaReporte, { desde, hasta });
+    }
+
+    // Reporte estructurado: los mismos datos del resumen, para exportarlos (texto, JSON, CSV o NDJSON);
+    // el evento "fin" lo entrega a los oyentes.
+    const reporte = crearReporte("transacciones", {
+        items: resultados,
+        conteos: {
+            validas: validas.length,
+            sospechosas: sospechosas.length,
+            invalidas: invalidas.length,
+            erroresImportacion: erroresImportacion.length,
+            alertasSobregiro,
+            sinProcesar
+        },
+        totales: {
+            moneda: monedaReporte,
+            ingresos: montoDecimal(totalIngresos, monedaReporte),
+            egresos: montoDecimal(totalEgresos, monedaReporte),
+            transferencias: montoDecimal(totalTransferencias, monedaReporte),
+            balance: montoDecimal(balanceFinal, monedaReporte),
+            porMoneda: Object.fromEntries(Object.entries(porMoneda).map(([moneda, total]) => [moneda, {
+                ingresos: montoDecimal(total.ingresos, moneda),
+                egresos: montoDecimal(total.egresos, moneda),
+                transferencias: montoDecimal(total.transferencias, moneda),
+                balance: montoDecimal(total.ingresos - total.egresos, moneda)
+            }]))
+        },
+        erroresImportacion,
+        yaAlmacenados,
+        cancelado: sinProcesar > 0
+    });
+    notificar("fin", { conteos: reporte.conteos, totales: reporte.totales, cancelado: reporte.cancelado, reporte });
+    return reporte;
+}
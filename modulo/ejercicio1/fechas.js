@@ -0,0 +1,124 @@
+// Módulo responsable de:
+// - Interpretar fechas de forma estricta (ISO 8601) y rechazar fechas imposibles ("2025-13-45") o futuras.
+// - Normalizar las fechas a un único formato de texto.
+// - Calcular la clave de periodo (día, semana ISO, mes) para los reportes por periodo.
+import { errorConCodigo } from "../comun/mensajes.js";
+
+// Tolerancia por defecto para fechas futuras: 5 minutos (diferencias de reloj entre sistemas).
+export const TOLERANCIA_FUTURO_MS = 5 * 60 * 1000;
+
+// Formatos aceptados:
+// - Solo fecha: AAAA-MM-DD.
+// - Fecha y hora: AAAA-MM-DDTHH:mm[:ss[.sss]][Z | ±HH:mm] (también se acepta un espacio en lugar de la T).
+const PATRON_ISO = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// diasDelMes(anio, mes)
+// - Propósito: saber cuántos días tiene un mes (considera años bisiestos). mes: 1–12.
+function diasDelMes(anio, mes) {
+    return new Date(Date.UTC(anio, mes, 0)).getUTCDate();
+}
+
+// parsearFechaEstricta(valor, opciones)
+// - Propósito: convertir un string ISO 8601 o un Date en { fecha: Date, soloFecha: boolean }.
+// - Entrada:
+//    - valor: string o Date.
+//    - opciones.ahora: Date de referencia para detectar fechas futuras (por defecto, el momento actual).
+//    - opciones.toleranciaFuturoMs: margen permitido hacia el futuro (por defecto TOLERANCIA_FUTURO_MS).
+//      Con toleranciaFuturoMs: Infinity no se controla el futuro.
+// - Salida: { fecha, soloFecha }. soloFecha es true si el texto no traía hora.
+// - Lanza Error con código (ver comun/mensajes.js) si:
+//    - el tipo no es string ni Date (FECHA_TIPO), o el Date es inválido, new Date("x") (FECHA_DATE_INVALIDO).
+//    - el texto no respeta el formato (FECHA_FORMATO), o algún componente está fuera de rango:
+//      mes 13 (FECHA_MES), día 45 (FECHA_DIA), 25:00 (FECHA_HORA), zona +25:00 (FECHA_ZONA).
+//    - la fecha supera 'ahora' + tolerancia (FECHA_FUTURA).
+// - Diseño: se valida componente por componente porque new Date("2025-02-30") "corrige" a marzo en lugar de fallar.
+//   Una fecha sin hora se interpreta a medianoche UTC; con hora y sin zona, en hora local (igual que JavaScript).
+export function parsearFechaEstricta(valor, opciones = {}) {
+    const { ahora = new Date(), toleranciaFuturoMs = TOLERANCIA_FUTURO_MS } = opciones;
+    let fecha;
+    let soloFecha = false;
+
+    if (valor instanceof Date) {
+        if (Number.isNaN(valor.getTime())) throw errorConCodigo("FECHA_DATE_INVALIDO");
+        fecha = new Date(valor.getTime());
+    } else if (typeof valor === "string") {
+        const partes = PATRON_ISO.exec(valor.trim());
+        if (!partes) throw errorConCodigo("FECHA_FORMATO", { valor });
+
+        const [, a, m, d, h, min, s = "0", ms = "0", zona] = partes;
+        const anio = Number(a), mes = Number(m), dia = Number(d);
+        const hora = Number(h ?? 0), minuto = Number(min ?? 0), segundo = Number(s);
+        const milis = Number(ms.padEnd(3, "0"));
+
+        if (mes < 1 || mes > 12) throw errorConCodigo("FECHA_MES", { valor, mes: m });
+        if (dia < 1 || dia > diasDelMes(anio, mes)) throw errorConCodigo("FECHA_DIA", { valor, dia: d });
+        if (hora > 23 || minuto > 59 || segundo > 59) throw errorConCodigo("FECHA_HORA", { valor });
+
+        soloFecha = h === undefined;
+        if (soloFecha || zona === "Z") {
+            fecha = new Date(Date.UTC(anio, mes - 1, dia, hora, minuto, segundo, milis));
+        } else if (zona) {
+            const [zh, zm] = zona.slice(1).split(":").map(Number);
+            if (zh > 23 || zm > 59) throw errorConCodigo("FECHA_ZONA", { valor, zona });
+            const desfase = (zona[0] === "-" ? -1 : 1) * (zh * 60 + zm) * 60 * 1000;
+            fecha = new Date(Date.UTC(anio, mes - 1, dia, hora, minuto, segundo, milis) - desfase);
+        } else {
+            fecha = new Date(anio, mes - 1, dia, hora, minuto, segundo, milis);
+        }
+        // Años < 100: Date.UTC los interpreta como 19xx; se corrige para respetar el año escrito.
+        if (anio < 100) fecha.setUTCFullYear(fecha.getUTCFullYear() - 1900);
+    } else {
+        throw errorConCodigo("FECHA_TIPO");
+    }
+
+    if (fecha.getTime() > ahora.getTime() + toleranciaFuturoMs) {
+        throw errorConCodigo("FECHA_FUTURA", { fecha: fecha.toISOString() });
+    }
+
+    return { fecha, soloFecha };
+}
+
+// normalizarFecha(valor, opciones)
+// - Propósito: validar con parsearFechaEstricta y devolver la fecha como texto normalizado.
+// - Salida: "AAAA-MM-DD" si el valor no traía hora; ISO completo en UTC ("AAAA-MM-DDTHH:mm:ss.sssZ") si la traía.
+// - Diseño: se conserva la distinción "solo fecha" para no inventar una hora (medianoche) que no existía en el dato.
+export function normalizarFecha(valor, opciones = {}) {
+    const { fecha, soloFecha } = parsearFechaEstricta(valor, opciones);
+    return soloFecha ? fecha.toISOString().slice(0, 10) : fecha.toISOString();
+}
+
+// tieneHora(fecha)
+// - Propósito: saber si la fecha trae hora real. "2025-12-01" no la trae (sería medianoche siempre),
+//   así que no sirve para medir minutos ni la hora del día.
+export function tieneHora(fecha) {
+    return fecha instanceof Date || (typeof fecha === "string" && /\d{2}:\d{2}/.test(fecha));
+}
+
+// semanaISO(fecha)
+// - Propósito: obtener año y número de semana ISO 8601 (semanas de lunes a domingo; la semana 1 contiene el primer jueves).
+// - Salida: "AAAA-Wnn". Ejemplo: 2025-12-01 => "2025-W49".
+function semanaISO(fecha) {
+    const d = new Date(Date.UTC(fecha.getUTCFullYear(), fecha.getUTCMonth(), fecha.getUTCDate()));
+    const diaSemana = d.getUTCDay() || 7;          // lunes = 1 ... domingo = 7
+    d.setUTCDate(d.getUTCDate() + 4 - diaSemana);  // jueves de la misma semana
+    const inicioAnio = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    const semana = Math.ceil(((d - inicioAnio) / 86400000 + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(semana).padStart(2, "0")}`;
+}
+
+// clavePeriodo(fecha, agrupacion)
+// - Propósito: calcular a qué periodo pertenece una fecha (en UTC).
+// - Entrada: Date y agrupacion "dia" | "semana" | "mes".
+// - Salida: "AAAA-MM-DD", "AAAA-Wnn" o "AAAA-MM".
+export function clavePeriodo(fecha, agrupacion) {
+    switch (agrupacion) {
+        case "dia":
+            return fecha.toISOString().slice(0, 10);
+        case "semana":
+            return semanaISO(fecha);
+        case "mes":
+            return fecha.toISOString().slice(0, 7);
+        default:
+            throw new Error(`Agrupación no reconocida: ${agrupacion} (use dia, semana o mes).`);
+    }
+}
@@ -0,0 +1,322 @@
+// Módulo responsable de:
+// - Leer transacciones desde archivos CSV y JSON (exportaciones diarias).
+// - Mapear columnas del archivo a los campos { id, usuario, monto, tipo, autorizada, fecha }.
+// - Convertir tipos (strings numéricos, "true"/"false", etc.).
+// - Reportar errores de lectura por número de línea sin detener la importación.
+import { readFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { derivarClaveIdempotencia } from "./duplicados.js";
+
+// Campos que espera validarTransaccionConCallback.
+const CAMPOS_TRANSACCION = ["id", "usuario", "monto", "tipo", "autorizada", "fecha"];
+
+// Campos opcionales: si la columna no existe o viene vacía, no se agregan a la transacción.
+const CAMPOS_OPCIONALES = ["moneda", "origen", "destino", "claveIdempotencia"];
+
+// Valores de texto aceptados para el campo booleano 'autorizada'.
+const VERDADEROS = ["true", "si", "sí", "1", "verdadero"];
+const FALSOS = ["false", "no", "0", "falso"];
+
+// parsearCSV(texto, separador)
+// - Propósito: convertir el texto de un CSV en filas de celdas, recordando la línea donde empieza cada fila.
+// - Entrada: texto completo del archivo y separador de columnas (por defecto ",").
+// - Salida: arreglo de { linea, celdas }.
+// - Diseño:
+//    - Recorre carácter por carácter para soportar comillas dobles ("a,b"), comillas escapadas ("") y saltos de línea dentro de comillas.
+//    - Las líneas en blanco se omiten.
+//    - Si un campo entre comillas nunca se cierra, se lanza Error indicando la línea donde empezó.
+export function parsearCSV(texto, separador = ",") {
+    const filas = [];
+    let celdas = [];
+    let celda = "";
+    let entreComillas = false;
+    let linea = 1;              // línea actual del archivo
+    let lineaInicioFila = 1;    // línea donde empezó la fila en curso
+
+    // Cierra la fila en curso y la agrega si no está en blanco.
+    const cerrarFila = () => {
+        celdas.push(celda);
+        if (!(celdas.length === 1 && celdas[0].trim() === "")) {
+            filas.push({ linea: lineaInicioFila, celdas });
+        }
+        celdas = [];
+        celda = "";
+    };
+
+    // Quita el BOM que agregan algunas hojas de cálculo al inicio del archivo.
+    const contenido = texto.charCodeAt(0) === 0xfeff ? texto.slice(1) : texto;
+
+    for (let i = 0; i < contenido.length; i++) {
+        const c = contenido[i];
+
+        if (entreComillas) {
+            if (c === '"' && contenido[i + 1] === '"') {
+                celda += '"';       // comilla escapada
+                i++;
+            } else if (c === '"') {
+                entreComillas = false;
+            } else {
+                if (c === "\n") linea++;
+                celda += c;
+            }
+            continue;
+        }
+
+        if (c === '"') {
+            entreComillas = true;
+        } else if (c === separador) {
+            celdas.push(celda);
+            celda = "";
+        } else if (c === "\n") {
+            cerrarFila();
+            linea++;
+            lineaInicioFila = linea;
+        } else if (c !== "\r") {
+            celda += c;
+        }
+    }
+
+    if (entreComillas) {
+        throw new Error(`Línea ${lineaInicioFila}: comillas sin cerrar.`);
+    }
+
+    // Última fila (el archivo puede no terminar en salto de línea).
+    cerrarFila();
+    return filas;
+}
+
+// Número decimal escrito en forma simple: signo opcional, dígitos y parte decimal opcional ("500", "-12.5", ".5").
+const PATRON_DECIMAL = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/;
+
+// convertirNumero(valor, campo)
+// - Propósito: aceptar números o strings numéricos ("500", " 12.5 ").
+// - Salida: number; lanza Error si el texto no representa un número.
+// - Diseño: Number() también acepta "0x10", "1e3", "0b1" e "Infinity", que en un CSV de montos son un error de carga;
+//   por eso el texto debe ser un decimal simple (PATRON_DECIMAL) y el resultado un número finito.
+function convertirNumero(valor, campo) {
+    if (typeof valor === "number") return valor;
+    if (typeof valor === "string" && PATRON_DECIMAL.test(valor.trim())) {
+        const numero = Number(valor.trim());
+        if (Number.isFinite(numero)) return numero;
+    }
+    throw new Error(`el campo '${campo}' no es numérico ("${valor}").`);
+}
+
+// convertirBooleano(valor)
+// - Propósito: aceptar booleanos o textos como "true"/"false", "si"/"no", "1"/"0".
+// - Salida: boolean; lanza Error si el texto no es reconocido.
+function convertirBooleano(valor) {
+    if (typeof valor === "boolean") return valor;
+    const texto = String(valor).trim().toLowerCase();
+    if (VERDADEROS.includes(texto)) return true;
+    if (FALSOS.includes(texto)) return false;
+    throw new Error(`el campo 'autorizada' no es booleano ("${valor}").`);
+}
+
+// normalizarRegistro(registro, mapeo, derivarClave)
+// - Propósito: transformar un registro crudo (fila CSV u objeto JSON) en una transacción.
+// - Entrada:
+//    - registro: objeto { columna: valor } tal como viene del archivo.
+//    - mapeo: objeto { columnaDelArchivo: campoDeTransaccion } (opcional).
+//    - derivarClave: si es true y el registro no trae claveIdempotencia, se calcula a partir de su contenido.
+// - Salida: nueva transacción con tipos convertidos; lanza Error si falta un campo o no se puede convertir.
+// - Diseño:
+//    - Las columnas se comparan sin distinguir mayúsculas ni espacios alrededor.
+//    - Solo se convierten tipos; las reglas de negocio las sigue aplicando validarTransaccionConCallback.
+export function normalizarRegistro(registro, mapeo = {}, derivarClave = false) {
+    if (!registro || typeof registro !== "object" || Array.isArray(registro)) {
+        throw new Error("el registro no es un objeto.");
+    }
+
+    // Mapeo final en minúsculas: columna del archivo => campo de la transacción.
+    const mapeoNormalizado = {};
+    for (const [columna, campo] of Object.entries(mapeo)) {
+        mapeoNormalizado[columna.trim().toLowerCase()] = campo;
+    }
+
+    const crudo = {};
+    for (const [columna, valor] of Object.entries(registro)) {
+        const clave = columna.trim().toLowerCase();
+        const campo = mapeoNormalizado[clave] ?? [...CAMPOS_TRANSACCION, ...CAMPOS_OPCIONALES].find(c => c.toLowerCase() === clave);
+        if (campo) crudo[campo] = valor;
+    }
+
+    const faltantes = CAMPOS_TRANSACCION.filter(campo => crudo[campo] === undefined);
+    if (faltantes.length > 0) {
+        throw new Error(`faltan los campos: ${faltantes.join(", ")}.`);
+    }
+
+    const transaccion = {
+        id: convertirNumero(crudo.id, "id"),
+        usuario: String(crudo.usuario).trim(),
+        monto: convertirNumero(crudo.monto, "monto"),
+        tipo: String(crudo.tipo).trim(),
+        autorizada: convertirBooleano(crudo.autorizada),
+        fecha: crudo.fecha instanceof Date ? crudo.fecha : String(crudo.fecha).trim()
+    };
+
+    // moneda: se normaliza a mayúsculas ("usd" => "USD"); la validez la decide validarTransaccionConCallback.
+    if (crudo.moneda !== undefined && crudo.moneda !== null && String(crudo.moneda).trim() !== "") {
+        transaccion.moneda = String(crudo.moneda).trim().toUpperCase();
+    }
+
+    // origen/destino: solo tienen sentido en transferencias; claveIdempotencia evita procesar dos veces la misma fila.
+    // Se copian como texto si vienen informados.
+    for (const campo of ["origen", "destino", "claveIdempotencia"]) {
+        if (crudo[campo] !== undefined && crudo[campo] !== null && String(crudo[campo]).trim() !== "") {
+            transaccion[campo] = String(crudo[campo]).trim();
+        }
+    }
+
+    if (derivarClave && transaccion.claveIdempotencia === undefined) {
+        transaccion.claveIdempotencia = derivarClaveIdempotencia(transaccion);
+    }
+
+    return transaccion;
+}
+
+// importarCSV(texto, opciones)
+// - Propósito: convertir un CSV con encabezado en transacciones.
+// - Salida: { transacciones, errores } donde errores es un arreglo de { linea, motivo }.
+// - opciones.derivarClaves (por defecto true): asigna claveIdempotencia a las filas que no la traen.
+// - Diseño: una fila con error no detiene la importación; se reporta y se continúa con la siguiente.
+export function importarCSV(texto, opciones = {}) {
+    const { separador = ",", mapeo = {}, derivarClaves = true } = opciones;
+    const transacciones = [];
+    const errores = [];
+
+    let filas;
+    try {
+        filas = parsearCSV(texto, separador);
+    } catch (err) {
+        return { transacciones, errores: [{ linea: null, motivo: err.message }] };
+    }
+
+    if (filas.length === 0) {
+        return { transacciones, errores: [{ linea: null, motivo: "El archivo CSV está vacío." }] };
+    }
+
+    // La primera fila no vacía es el encabezado.
+    const [encabezado, ...datos] = filas;
+    const columnas = encabezado.celdas.map(c => c.trim());
+
+    for (const fila of datos) {
+        try {
+            if (fila.celdas.length !== columnas.length) {
+                throw new Error(`se esperaban ${columnas.length} columnas y se encontraron ${fila.celdas.length}.`);
+            }
+            const registro = {};
+            columnas.forEach((columna, i) => { registro[columna] = fila.celdas[i]; });
+            transacciones.push(normalizarRegistro(registro, mapeo, derivarClaves));
+        } catch (err) {
+            errores.push({ linea: fila.linea, motivo: err.message });
+        }
+    }
+
+    return { transacciones, errores };
+}
+
+// importarJSON(texto, opciones)
+// - Propósito: convertir un JSON (arreglo de objetos, o { transacciones: [...] }) en transacciones.
+// - Salida: { transacciones, errores } donde errores es un arreglo de { linea, motivo }.
+// - Diseño: la línea reportada es la línea del archivo donde empieza cada objeto del arreglo.
+export function importarJSON(texto, opciones = {}) {
+    const { mapeo = {}, derivarClaves = true } = opciones;
+    const transacciones = [];
+    const errores = [];
+
+    let datos;
+    try {
+        datos = JSON.parse(texto);
+    } catch (err) {
+        return { transacciones, errores: [{ linea: null, motivo: `JSON mal formado: ${err.message}` }] };
+    }
+
+    const registros = Array.isArray(datos) ? datos : datos?.transacciones;
+    if (!Array.isArray(registros)) {
+        return { transacciones, errores: [{ linea: null, motivo: "El JSON debe ser un arreglo o un objeto con la propiedad 'transacciones'." }] };
+    }
+
+    const lineas = lineasDeElementos(texto, Array.isArray(datos));
+    return importarElementos(registros, { mapeo, derivarClaves, lineas });
+}
+
+// importarElementos(registros, opciones)
+// - Propósito: normalizar transacciones que ya llegan como objetos (JSON ya interpretado, ej: el cuerpo de la API HTTP).
+// - Entrada: opciones { mapeo, derivarClaves } como importarJSON; opciones.lineas: línea de cada elemento, si se conoce.
+// - Salida: { transacciones, errores } donde errores es un arreglo de { linea, elemento, motivo }
+//   (elemento: posición del registro en el arreglo, desde 0).
+export function importarElementos(registros, opciones = {}) {
+    const { mapeo = {}, derivarClaves = true, lineas = [] } = opciones;
+    const transacciones = [];
+    const errores = [];
+
+    registros.forEach((registro, i) => {
+        try {
+            transacciones.push(normalizarRegistro(registro, mapeo, derivarClaves));
+        } catch (err) {
+            errores.push({ linea: lineas[i] ?? null, elemento: i, motivo: err.message });
+        }
+    });
+
+    return { transacciones, errores };
+}
+
+// lineasDeElementos(texto, esRaiz)
+// - Propósito: ubicar la línea en la que empieza cada elemento del arreglo de transacciones.
+// - Diseño: recorre el texto contando profundidad de llaves/corchetes e ignorando el contenido de strings.
+//   El arreglo objetivo es el de la raíz o, si la raíz es un objeto, el primer arreglo de nivel 1.
+function lineasDeElementos(texto, esRaiz) {
+    const lineas = [];
+    const profundidadArreglo = esRaiz ? 1 : 2;
+    let profundidad = 0;
+    let linea = 1;
+    let enString = false;
+    let dentroDelArreglo = false;
+
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+        if (c === "\n") linea++;
+
+        if (enString) {
+            if (c === "\\") i++;
+            else if (c === '"') enString = false;
+            continue;
+        }
+
+        if (c === '"') {
+            enString = true;
+            if (dentroDelArreglo && profundidad === profundidadArreglo) lineas.push(linea);
+        } else if (c === "{" || c === "[") {
+            if (dentroDelArreglo && profundidad === profundidadArreglo) lineas.push(linea);
+            profundidad++;
+            if (c === "[" && profundidad === profundidadArreglo && lineas.length === 0) dentroDelArreglo = true;
+        } else if (c === "}" || c === "]") {
+            profundidad--;
+            if (dentroDelArreglo && profundidad < profundidadArreglo) break;
+        } else if (dentroDelArreglo && profundidad === profundidadArreglo && !/[\s,:]/.test(c)) {
+            // Elementos primitivos (números, true, false, null): se registra su línea y se salta el literal.
+            lineas.push(linea);
+            while (i + 1 < texto.length && !/[\s,\]]/.test(texto[i + 1])) i++;
+        }
+    }
+
+    return lineas;
+}
+
+// cargarTransacciones(ruta, opciones)
+// - Propósito: leer un archivo .csv o .json del disco y devolver las transacciones importadas.
+// - Entrada:
+//    - ruta: ruta del archivo.
+//    - opciones: { separador, mapeo, derivarClaves } (ver importarCSV / importarJSON).
+// - Salida: Promesa con { transacciones, errores }.
+// - Diseño: los errores de lectura del archivo (no existe, sin permisos) sí se propagan, porque impiden toda la importación.
+export async function cargarTransacciones(ruta, opciones = {}) {
+    const extension = extname(ruta).toLowerCase();
+    if (extension !== ".csv" && extension !== ".json") {
+        throw new Error(`Formato de archivo no soportado: "${extension || ruta}" (use .csv o .json).`);
+    }
+
+    const texto = await readFile(ruta, "utf8");
+    return extension === ".csv" ? importarCSV(texto, opciones) : importarJSON(texto, opciones);
+}
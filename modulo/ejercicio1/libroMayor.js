@@ -0,0 +1,98 @@
+// Módulo responsable de:
+// - Llevar un libro mayor con el saldo corriente de cada usuario.
+// - Ordenar los movimientos por fecha antes de aplicarlos.
+// - Marcar los débitos (egresos y transferencias enviadas) que dejan al usuario por debajo de cero (o del sobregiro permitido).
+// - Imprimir un extracto por usuario: saldo inicial, movimientos y saldo final.
+// - Los saldos se llevan en unidades menores (BigInt) de la moneda de reporte para que sean exactos.
+import { aUnidadesMenores, formatearMonto, MONEDA_POR_DEFECTO } from "./moneda.js";
+
+// Tipos de movimiento que restan saldo (débitos); el resto suma.
+// - Una transferencia genera dos movimientos: "transferencia enviada" (origen) y "transferencia recibida" (destino).
+const DEBITOS = ["egreso", "transferencia enviada"];
+
+// marcaDeTiempo(fecha)
+// - Propósito: obtener un número comparable para ordenar por fecha.
+// - Salida: milisegundos desde 1970, o Infinity si la fecha no se puede interpretar
+//   (así esos movimientos quedan al final sin romper el orden de los demás).
+function marcaDeTiempo(fecha) {
+    const ms = new Date(fecha).getTime();
+    return Number.isNaN(ms) ? Infinity : ms;
+}
+
+// construirLibroMayor(movimientos, opciones)
+// - Propósito: calcular el saldo corriente por usuario.
+// - Entrada:
+//    - movimientos: arreglo de { id, usuario, tipo, monto, fecha, original?, detalle? } (solo transacciones válidas).
+//      tipo: "ingreso" | "egreso" | "transferencia enviada" | "transferencia recibida"; detalle: contraparte de la transferencia.
+//      'monto' ya viene en unidades menores (BigInt) de la moneda de reporte; 'original' es el texto del monto en su moneda.
+//    - opciones.moneda: moneda de reporte (por defecto MONEDA_POR_DEFECTO).
+//    - opciones.limiteSobregiro: cuánto puede quedar un usuario por debajo de 0 sin alerta (por defecto 0, en la moneda de reporte).
+//    - opciones.saldosIniciales: objeto { usuario: saldo } con el saldo de apertura (por defecto 0, en la moneda de reporte).
+// - Salida: arreglo de cuentas { usuario, moneda, saldoInicial, movimientos, saldoFinal, sobregiros }, ordenado por usuario.
+//    - Cada movimiento: { id, fecha, tipo, detalle, monto, original, saldo, sobregiro } donde 'saldo' es el saldo después de aplicarlo.
+// - Diseño:
+//    - No se muta 'movimientos': se ordena una copia ([...movimientos]).
+//    - sort es estable: movimientos con la misma fecha conservan el orden de llegada.
+//    - Un débito (egreso o transferencia enviada) que deja el saldo por debajo de -limiteSobregiro se aplica igual, pero queda marcado (sobregiro: true).
+export function construirLibroMayor(movimientos, opciones = {}) {
+    const { moneda = MONEDA_POR_DEFECTO, limiteSobregiro = 0, saldosIniciales = {} } = opciones;
+    const limite = aUnidadesMenores(limiteSobregiro, moneda);
+    const cuentas = new Map();      // usuario => cuenta
+
+    const ordenados = [...movimientos].sort((a, b) => marcaDeTiempo(a.fecha) - marcaDeTiempo(b.fecha));
+
+    for (const mov of ordenados) {
+        if (!cuentas.has(mov.usuario)) {
+            const saldoInicial = aUnidadesMenores(saldosIniciales[mov.usuario] ?? 0, moneda);
+            cuentas.set(mov.usuario, {
+                usuario: mov.usuario,
+                moneda,
+                saldoInicial,
+                movimientos: [],
+                saldoFinal: saldoInicial,
+                sobregiros: 0
+            });
+        }
+
+        const cuenta = cuentas.get(mov.usuario);
+        const debito = DEBITOS.includes(mov.tipo);
+        const saldo = debito ? cuenta.saldoFinal - mov.monto : cuenta.saldoFinal + mov.monto;
+        const sobregiro = debito && saldo < -limite;
+
+        cuenta.movimientos.push({ id: mov.id, fecha: mov.fecha, tipo: mov.tipo, detalle: mov.detalle, monto: mov.monto, original: mov.original, saldo, sobregiro });
+        cuenta.saldoFinal = saldo;
+        if (sobregiro) cuenta.sobregiros++;
+    }
+
+    return [...cuentas.values()].sort((a, b) => a.usuario.localeCompare(b.usuario));
+}
+
+// formatearFecha(fecha)
+// - Propósito: mostrar strings tal cual y objetos Date en formato ISO corto (AAAA-MM-DD).
+function formatearFecha(fecha) {
+    return fecha instanceof Date ? fecha.toISOString().slice(0, 10) : String(fecha);
+}
+
+// imprimirExtractos(libro, limiteSobregiro)
+// - Propósito: mostrar en consola el extracto de cada usuario (montos formateados en la moneda de reporte).
+// - Entrada: resultado de construirLibroMayor y el límite usado (solo para el mensaje de alerta).
+export function imprimirExtractos(libro, limiteSobregiro = 0) {
+    console.log("\nExtractos por usuario");
+    if (libro.length === 0) {
+        console.log("Sin movimientos válidos para mostrar.");
+        return;
+    }
+
+    for (const cuenta of libro) {
+        console.log(`\nUsuario: ${cuenta.usuario}`);
+        console.log(`  Saldo inicial: ${formatearMonto(cuenta.saldoInicial, cuenta.moneda)}`);
+        for (const mov of cuenta.movimientos) {
+            const signo = DEBITOS.includes(mov.tipo) ? "-" : "+";
+            const tipo = mov.detalle ? `${mov.tipo} ${mov.detalle}` : mov.tipo;
+            const original = mov.original ? ` (${mov.original})` : "";
+            const alerta = mov.sobregiro ? `  <= ALERTA: supera el sobregiro permitido (${limiteSobregiro})` : "";
+            console.log(`  ${formatearFecha(mov.fecha)}  Transacción ${mov.id}  ${tipo}  ${signo}${formatearMonto(mov.monto, cuenta.moneda)}${original}  saldo: ${formatearMonto(mov.saldo, cuenta.moneda)}${alerta}`);
+        }
+        console.log(`  Saldo final: ${formatearMonto(cuenta.saldoFinal, cuenta.moneda)}`);
+    }
+}
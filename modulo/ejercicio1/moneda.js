@@ -0,0 +1,135 @@
+// Módulo responsable de:
+// - Conocer las monedas soportadas y cuántos decimales admite cada una.
+// - Convertir montos a unidades menores enteras (centavos) para sumar sin error de redondeo.
+// - Cargar una tabla local de tasas de cambio fechadas y convertir a la moneda de reporte.
+import { readFile } from "node:fs/promises";
+import {
+    parsearDecimal,
+    multiplicarDecimales,
+    dividirDecimales,
+    redondearDecimal,
+    formatearDecimal
+} from "../comun/decimal.js";
+import { errorConCodigo } from "../comun/mensajes.js";
+
+// Monedas soportadas (código ISO 4217) => cantidad de decimales.
+export const MONEDAS = {
+    COP: 2,
+    USD: 2,
+    EUR: 2,
+    MXN: 2,
+    CLP: 0,
+    JPY: 0
+};
+
+// Moneda que se asume cuando la transacción no trae el campo 'moneda'.
+export const MONEDA_POR_DEFECTO = "COP";
+
+// Tabla de tasas por defecto (se usa si no se carga un archivo).
+// - base: moneda de referencia de la tabla.
+// - tasas: { "AAAA-MM-DD": { MONEDA: "unidades de base por 1 unidad de MONEDA" } }.
+// - Las tasas se escriben como string para no perder exactitud.
+export const TASAS_POR_DEFECTO = {
+    base: "COP",
+    tasas: {
+        "2025-01-01": { USD: "4100", EUR: "4250", MXN: "205", CLP: "4.3", JPY: "26.5" },
+        "2025-12-01": { USD: "3950.25", EUR: "4300.10", MXN: "212.40", CLP: "4.15", JPY: "25.40" }
+    }
+};
+
+// validarMoneda(moneda)
+// - Propósito: verificar que el código de moneda exista en MONEDAS.
+// - Lanza Error con código MONEDA_NO_SOPORTADA si no es soportada.
+export function validarMoneda(moneda) {
+    if (typeof moneda !== "string" || !Object.hasOwn(MONEDAS, moneda)) {
+        throw errorConCodigo("MONEDA_NO_SOPORTADA", { moneda, soportadas: Object.keys(MONEDAS) }, "moneda");
+    }
+}
+
+// aUnidadesMenores(monto, moneda)
+// - Propósito: convertir un monto (number o string) a entero en la unidad menor de la moneda.
+// - Ejemplo: aUnidadesMenores(10.5, "USD") => 1050n.
+// - Lanza Error con código MONTO_DECIMALES si el monto tiene más decimales de los que admite la moneda (ej: 10.505 USD).
+export function aUnidadesMenores(monto, moneda) {
+    validarMoneda(moneda);
+    const decimales = MONEDAS[moneda];
+    const decimal = parsearDecimal(monto);
+    if (decimal.escala > decimales && decimal.valor % 10n ** BigInt(decimal.escala - decimales) !== 0n) {
+        throw errorConCodigo("MONTO_DECIMALES", { monto, decimales, moneda }, "monto");
+    }
+    return redondearDecimal(decimal, decimales).valor;
+}
+
+// formatearMonto(unidades, moneda)
+// - Propósito: mostrar unidades menores como texto legible. Ejemplo: (1050n, "USD") => "10.50 USD".
+export function formatearMonto(unidades, moneda) {
+    return `${montoDecimal(unidades, moneda)} ${moneda}`;
+}
+
+// montoDecimal(unidades, moneda)
+// - Propósito: el mismo monto sin el código de moneda, para los reportes estructurados. Ejemplo: (1050n, "USD") => "10.50".
+// - Diseño: texto y no number, para no perder exactitud al exportarlo (JSON, CSV).
+export function montoDecimal(unidades, moneda) {
+    return formatearDecimal({ valor: unidades, escala: MONEDAS[moneda] });
+}
+
+// cargarTasas(ruta)
+// - Propósito: leer una tabla de tasas desde un archivo JSON con el mismo formato que TASAS_POR_DEFECTO.
+// - Salida: Promesa con la tabla validada.
+// - Diseño: se valida al cargar (monedas conocidas, fechas AAAA-MM-DD, tasas decimales positivas)
+//   para que un archivo mal escrito falle de inmediato y no a mitad del análisis.
+export async function cargarTasas(ruta) {
+    const tabla = JSON.parse(await readFile(ruta, "utf8"));
+    validarMoneda(tabla?.base);
+    if (!tabla.tasas || typeof tabla.tasas !== "object") {
+        throw new Error(`Tabla de tasas ${ruta}: falta el objeto 'tasas'.`);
+    }
+    for (const [fecha, valores] of Object.entries(tabla.tasas)) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha)) {
+            throw new Error(`Tabla de tasas ${ruta}: la fecha "${fecha}" debe tener formato AAAA-MM-DD.`);
+        }
+        for (const [moneda, tasa] of Object.entries(valores)) {
+            validarMoneda(moneda);
+            if (parsearDecimal(tasa).valor <= 0n) {
+                throw new Error(`Tabla de tasas ${ruta}: la tasa de ${moneda} en ${fecha} debe ser positiva.`);
+            }
+        }
+    }
+    return tabla;
+}
+
+// fechaCorta(fecha)
+// - Propósito: obtener "AAAA-MM-DD" de un string o Date para buscar la tasa del día.
+function fechaCorta(fecha) {
+    const d = new Date(fecha);
+    if (Number.isNaN(d.getTime())) throw errorConCodigo("FECHA_TASA_INVALIDA", { fecha: String(fecha) }, "fecha");
+    return d.toISOString().slice(0, 10);
+}
+
+// buscarTasa(tabla, moneda, fecha)
+// - Propósito: obtener cuántas unidades de la moneda base vale 1 unidad de 'moneda' en 'fecha'.
+// - Diseño: se usa la tasa más reciente cuya fecha sea igual o anterior a la de la transacción.
+//   La moneda base siempre vale 1.
+// - Lanza Error con código TASA_INEXISTENTE si no hay tasa vigente para esa fecha.
+export function buscarTasa(tabla, moneda, fecha) {
+    if (moneda === tabla.base) return parsearDecimal(1);
+    const dia = fechaCorta(fecha);
+    const vigente = Object.keys(tabla.tasas)
+        .filter(f => f <= dia && tabla.tasas[f][moneda] !== undefined)
+        .sort()
+        .pop();
+    if (!vigente) throw errorConCodigo("TASA_INEXISTENTE", { moneda, dia }, "moneda");
+    return parsearDecimal(tabla.tasas[vigente][moneda]);
+}
+
+// convertirUnidades(unidades, origen, destino, tabla, fecha)
+// - Propósito: convertir unidades menores de 'origen' a unidades menores de 'destino'.
+// - Diseño: se pasa por la moneda base de la tabla y se redondea UNA sola vez al final,
+//   con los decimales de la moneda destino.
+export function convertirUnidades(unidades, origen, destino, tabla, fecha) {
+    if (origen === destino) return unidades;
+    const monto = { valor: unidades, escala: MONEDAS[origen] };
+    const enBase = multiplicarDecimales(monto, buscarTasa(tabla, origen, fecha));
+    const enDestino = dividirDecimales(enBase, buscarTasa(tabla, destino, fecha), MONEDAS[destino]);
+    return enDestino.valor;
+}
@@ -0,0 +1,114 @@
+// Módulo responsable de:
+// - Agrupar los resultados del análisis por día, semana o mes dentro de un rango de fechas.
+// - Calcular por periodo: ingresos, egresos, transferencias y balance (válidas) y conteos de válidas/sospechosas/inválidas.
+// - Mostrar el reporte por periodo en consola.
+import { parsearFechaEstricta, clavePeriodo } from "./fechas.js";
+import { formatearMonto } from "./moneda.js";
+
+// Agrupaciones disponibles, en el orden en que se imprimen.
+export const AGRUPACIONES = ["dia", "semana", "mes"];
+
+// limiteDelRango(valor, finDelDia)
+// - Propósito: convertir 'desde'/'hasta' (string o Date) en milisegundos.
+// - Diseño: si 'hasta' es solo fecha (AAAA-MM-DD) se toma el día completo (hasta las 23:59:59.999 UTC).
+function limiteDelRango(valor, finDelDia) {
+    if (valor === undefined || valor === null || valor === "") return finDelDia ? Infinity : -Infinity;
+    const { fecha, soloFecha } = parsearFechaEstricta(valor, { toleranciaFuturoMs: Infinity });
+    return soloFecha && finDelDia ? fecha.getTime() + 86400000 - 1 : fecha.getTime();
+}
+
+// validarPeriodo(periodo)
+// - Propósito: revisar opciones.periodo antes de empezar el análisis, para que un rango mal escrito ("2025-13-01")
+//   no aparezca recién al armar el reporte, con el lote ya procesado, auditado y guardado.
+// - Entrada: { desde?, hasta?, agrupaciones? } (mismo formato que generarReportePeriodos) o undefined.
+// - Lanza Error si desde/hasta no son fechas ISO 8601 reales (ver parsearFechaEstricta) o si alguna agrupación no existe.
+export function validarPeriodo(periodo = {}) {
+    for (const limite of ["desde", "hasta"]) {
+        try {
+            limiteDelRango(periodo[limite], limite === "hasta");
+        } catch (err) {
+            throw new Error(`Periodo inválido (${limite}): ${err.message}.`);
+        }
+    }
+    for (const agrupacion of periodo.agrupaciones ?? AGRUPACIONES) {
+        if (!AGRUPACIONES.includes(agrupacion)) {
+            throw new Error(`Agrupación no reconocida: ${agrupacion} (use ${AGRUPACIONES.join(", ")}).`);
+        }
+    }
+}
+
+// generarReportePeriodos(registros, opciones)
+// - Propósito: construir el reporte agrupado.
+// - Entrada:
+//    - registros: arreglo de { fecha, clasificacion, tipo?, monto? }.
+//        - fecha: texto normalizado o null (las transacciones sin fecha válida no se pueden ubicar en un periodo).
+//        - monto: unidades menores (BigInt) en la moneda de reporte; solo se suma si la clasificación es "valida".
+//    - opciones.agrupacion: "dia" | "semana" | "mes".
+//    - opciones.desde / opciones.hasta: rango inclusivo (string ISO o Date). Sin rango se toman todas las fechas.
+// - Salida: { periodos, sinFecha, fueraDeRango }.
+//    - periodos: arreglo ordenado de { periodo, ingresos, egresos, transferencias, balance, validas, sospechosas, invalidas }.
+//      Las transferencias se informan aparte y no cambian el balance.
+//    - sinFecha / fueraDeRango: cuántos registros quedaron fuera del reporte y por qué.
+export function generarReportePeriodos(registros, opciones = {}) {
+    const { agrupacion = "mes", desde, hasta } = opciones;
+    const inicio = limiteDelRango(desde, false);
+    const fin = limiteDelRango(hasta, true);
+    const periodos = new Map();
+    let sinFecha = 0;
+    let fueraDeRango = 0;
+
+    for (const registro of registros) {
+        if (!registro.fecha) {
+            sinFecha++;
+            continue;
+        }
+
+        const fecha = new Date(registro.fecha);
+        if (fecha.getTime() < inicio || fecha.getTime() > fin) {
+            fueraDeRango++;
+            continue;
+        }
+
+        const clave = clavePeriodo(fecha, agrupacion);
+        if (!periodos.has(clave)) {
+            periodos.set(clave, { periodo: clave, ingresos: 0n, egresos: 0n, transferencias: 0n, balance: 0n, validas: 0, sospechosas: 0, invalidas: 0 });
+        }
+        const periodo = periodos.get(clave);
+
+        if (registro.clasificacion === "valida") {
+            periodo.validas++;
+            if (registro.tipo === "ingreso") periodo.ingresos += registro.monto;
+            if (registro.tipo === "egreso") periodo.egresos += registro.monto;
+            if (registro.tipo === "transferencia") periodo.transferencias += registro.monto;
+            periodo.balance = periodo.ingresos - periodo.egresos;
+        } else if (registro.clasificacion === "sospechosa") {
+            periodo.sospechosas++;
+        } else {
+            periodo.invalidas++;
+        }
+    }
+
+    return {
+        periodos: [...periodos.values()].sort((a, b) => a.periodo.localeCompare(b.periodo)),
+        sinFecha,
+        fueraDeRango
+    };
+}
+
+// imprimirReportePeriodos(reporte, agrupacion, moneda, rango)
+// - Propósito: mostrar una tabla simple por periodo.
+export function imprimirReportePeriodos(reporte, agrupacion, moneda, rango = {}) {
+    const titulo = { dia: "día", semana: "semana", mes: "mes" }[agrupacion];
+    const textoRango = `${rango.desde ?? "inicio"} a ${rango.hasta ?? "fin"}`;
+    console.log(`\nReporte por ${titulo} (${textoRango})`);
+
+    if (reporte.periodos.length === 0) {
+        console.log("Sin transacciones en el rango.");
+    }
+    for (const p of reporte.periodos) {
+        console.log(`${p.periodo}: ingresos ${formatearMonto(p.ingresos, moneda)}, egresos ${formatearMonto(p.egresos, moneda)}, transferencias ${formatearMonto(p.transferencias, moneda)}, balance ${formatearMonto(p.balance, moneda)} | válidas ${p.validas}, sospechosas ${p.sospechosas}, inválidas ${p.invalidas}`);
+    }
+    if (reporte.sinFecha > 0 || reporte.fueraDeRango > 0) {
+        console.log(`Excluidas: ${reporte.sinFecha} sin fecha válida, ${reporte.fueraDeRango} fuera del rango.`);
+    }
+}
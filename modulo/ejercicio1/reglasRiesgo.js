@@ -0,0 +1,198 @@
+// Módulo responsable de:
+// - Definir reglas de riesgo independientes (cada una aporta un puntaje y un motivo).
+// - Sumar los puntajes de las reglas disparadas y derivar la clasificación final.
+// - Permitir configurar umbrales y puntajes sin tocar el código de las reglas.
+import { buscarCasiDuplicado, VENTANA_DUPLICADOS_MINUTOS } from "./duplicados.js";
+import { tieneHora } from "./fechas.js";
+import { MONEDA_POR_DEFECTO, TASAS_POR_DEFECTO, aUnidadesMenores, convertirUnidades, montoDecimal } from "./moneda.js";
+import { traducir } from "../comun/mensajes.js";
+
+// Configuración por defecto.
+// - umbralSospechosa: puntaje total a partir del cual la transacción es "sospechosa".
+// - Cada regla tiene su propio bloque; con activa: false (o puntaje 0) la regla no participa.
+// - Los montos (umbral de montoAlto, multiplo de montoRedondo) están en la moneda base de la tabla de tasas (COP por defecto).
+// - Justificación de los puntajes: una transacción no autorizada (100) o un casi-duplicado (60) bastan por sí solos para ser sospechosa;
+//   las demás señales son débiles por separado y solo marcan la transacción cuando se combinan.
+export const CONFIGURACION_RIESGO = {
+    umbralSospechosa: 50,
+    noAutorizada: { activa: true, puntaje: 100 },
+    montoAlto: { activa: true, puntaje: 40, umbral: 10000 },
+    frecuencia: { activa: true, puntaje: 30, ventanaMinutos: 60, maximo: 3 },
+    montoRedondo: { activa: true, puntaje: 15, multiplo: 1000 },
+    horarioInusual: { activa: true, puntaje: 20, desde: 0, hasta: 5 },     // horas UTC
+    picoPromedio: { activa: true, puntaje: 35, factor: 3, minimoHistorial: 3 },
+    casiDuplicado: { activa: true, puntaje: 60, ventanaMinutos: VENTANA_DUPLICADOS_MINUTOS }
+};
+
+// msDeFecha(fecha)
+// - Propósito: convertir string/Date a milisegundos; NaN si no se puede interpretar.
+function msDeFecha(fecha) {
+    return new Date(fecha).getTime();
+}
+
+// montoEnBase(transaccion, tasas)
+// - Propósito: monto de la transacción en la moneda base de la tabla de tasas, para que las reglas de monto comparen
+//   10000 COP y 10000 USD en la misma escala.
+// - Salida: number con el monto convertido (tasa vigente en la fecha de la transacción, ver moneda.js),
+//   o NaN si no se puede convertir (moneda o fecha sin tasa): las reglas de monto no se disparan con NaN.
+export function montoEnBase(transaccion, tasas = TASAS_POR_DEFECTO) {
+    try {
+        const moneda = transaccion.moneda ?? MONEDA_POR_DEFECTO;
+        const unidades = aUnidadesMenores(transaccion.monto, moneda);
+        return Number(montoDecimal(convertirUnidades(unidades, moneda, tasas.base, tasas, transaccion.fecha), tasas.base));
+    } catch {
+        return NaN;
+    }
+}
+
+// Reglas disponibles.
+// - Cada regla: { nombre, clave, evaluar(transaccion, historial, config, contexto) }.
+//    - clave: bloque de CONFIGURACION_RIESGO que la configura.
+//    - contexto: { moneda, montoEnBase(transaccion) } con la moneda base de las tasas del análisis;
+//      las reglas de monto (monto_alto, monto_redondo, pico_promedio) comparan siempre el monto convertido.
+//    - evaluar devuelve { codigo, parametros } si la regla se dispara (texto en el catálogo, ver comun/mensajes.js),
+//      o null si no aplica. Una regla propia también puede devolver el motivo como string (código RIESGO_PERSONALIZADO).
+//    - historial: transacciones del mismo lote ya evaluadas (anteriores a la actual).
+export const REGLAS_RIESGO = [
+    {
+        nombre: "no_autorizada",
+        clave: "noAutorizada",
+        evaluar: (t) => t.autorizada === false
+            ? { codigo: "RIESGO_NO_AUTORIZADA", parametros: { tipo: String(t.tipo).toLowerCase(), usuario: t.usuario } }
+            : null
+    },
+    {
+        nombre: "monto_alto",
+        clave: "montoAlto",
+        evaluar: (t, historial, config, contexto) => {
+            const monto = contexto.montoEnBase(t);
+            return monto > config.umbral
+                ? { codigo: "RIESGO_MONTO_ALTO", parametros: { monto, umbral: config.umbral, moneda: contexto.moneda } }
+                : null;
+        }
+    },
+    {
+        nombre: "frecuencia",
+        clave: "frecuencia",
+        evaluar: (t, historial, config) => {
+            const ms = msDeFecha(t.fecha);
+            if (Number.isNaN(ms)) return null;
+            const ventana = config.ventanaMinutos * 60 * 1000;
+            // Cuenta la transacción actual más las del mismo usuario dentro de la ventana.
+            const cantidad = 1 + historial.filter(h => h.usuario === t.usuario && Math.abs(msDeFecha(h.fecha) - ms) <= ventana).length;
+            return cantidad > config.maximo
+                ? { codigo: "RIESGO_FRECUENCIA", parametros: { cantidad, usuario: t.usuario, ventanaMinutos: config.ventanaMinutos, maximo: config.maximo } }
+                : null;
+        }
+    },
+    {
+        nombre: "monto_redondo",
+        clave: "montoRedondo",
+        evaluar: (t, historial, config, contexto) => {
+            const monto = contexto.montoEnBase(t);
+            return monto >= config.multiplo && monto % config.multiplo === 0
+                ? { codigo: "RIESGO_MONTO_REDONDO", parametros: { monto, multiplo: config.multiplo, moneda: contexto.moneda } }
+                : null;
+        }
+    },
+    {
+        nombre: "horario_inusual",
+        clave: "horarioInusual",
+        evaluar: (t, historial, config) => {
+            if (!tieneHora(t.fecha)) return null;
+            const fecha = new Date(t.fecha);
+            if (Number.isNaN(fecha.getTime())) return null;
+            // Hora UTC: la misma fecha da la misma alerta en cualquier servidor, sin depender de su zona horaria.
+            const hora = fecha.getUTCHours();
+            return hora >= config.desde && hora < config.hasta
+                ? { codigo: "RIESGO_HORARIO_INUSUAL", parametros: { hora } }
+                : null;
+        }
+    },
+    {
+        nombre: "pico_promedio",
+        clave: "picoPromedio",
+        evaluar: (t, historial, config, contexto) => {
+            const anteriores = historial
+                .filter(h => h.usuario === t.usuario)
+                .map(h => contexto.montoEnBase(h))
+                .filter(monto => !Number.isNaN(monto));
+            if (anteriores.length < config.minimoHistorial) return null;
+            const promedio = anteriores.reduce((total, monto) => total + monto, 0) / anteriores.length;
+            const monto = contexto.montoEnBase(t);
+            return monto > promedio * config.factor
+                ? {
+                    codigo: "RIESGO_PICO_PROMEDIO",
+                    parametros: { monto, factor: config.factor, usuario: t.usuario, promedio: promedio.toFixed(2), moneda: contexto.moneda }
+                }
+                : null;
+        }
+    },
+    {
+        nombre: "casi_duplicado",
+        clave: "casiDuplicado",
+        evaluar: (t, historial, config) => {
+            const encontrado = buscarCasiDuplicado(t, historial, config.ventanaMinutos);
+            if (!encontrado) return null;
+            if (encontrado.minutos === null) {
+                return { codigo: "RIESGO_CASI_DUPLICADO_DIA", parametros: { anterior: encontrado.anterior.id, fecha: encontrado.dia } };
+            }
+            return {
+                codigo: "RIESGO_CASI_DUPLICADO",
+                parametros: { anterior: encontrado.anterior.id, minutos: Math.round(encontrado.minutos), ventanaMinutos: config.ventanaMinutos }
+            };
+        }
+    }
+];
+
+// combinarConfiguracion(configuracion)
+// - Propósito: mezclar la configuración recibida con la de por defecto, bloque por bloque.
+// - Ejemplo: { montoAlto: { umbral: 5000 } } conserva puntaje y activa del bloque por defecto.
+export function combinarConfiguracion(configuracion = {}) {
+    const combinada = { ...CONFIGURACION_RIESGO };
+    for (const [clave, valor] of Object.entries(configuracion)) {
+        combinada[clave] = valor !== null && typeof valor === "object"
+            ? { ...CONFIGURACION_RIESGO[clave], ...valor }
+            : valor;
+    }
+    return combinada;
+}
+
+// evaluarRiesgo(transaccion, historial, opciones)
+// - Propósito: aplicar todas las reglas y agregar su puntaje.
+// - Entrada:
+//    - transaccion: transacción ya validada.
+//    - historial: transacciones anteriores del lote (para reglas de frecuencia y promedio).
+//    - opciones.configuracion: cambios sobre CONFIGURACION_RIESGO.
+//    - opciones.reglas: lista de reglas a aplicar (por defecto REGLAS_RIESGO); permite agregar reglas propias.
+//    - opciones.tasas: tabla de tasas del análisis (por defecto TASAS_POR_DEFECTO); los montos se comparan en su moneda base.
+// - Salida: { puntaje, reglas: [{ regla, puntaje, codigo, parametros, motivo }], clasificacion: "valida" | "sospechosa" }.
+//   motivo es el texto del código en el idioma actual.
+// - Diseño: función pura; no muta la transacción ni el historial.
+export function evaluarRiesgo(transaccion, historial = [], opciones = {}) {
+    const configuracion = combinarConfiguracion(opciones.configuracion);
+    const reglas = opciones.reglas ?? REGLAS_RIESGO;
+    const tasas = opciones.tasas ?? TASAS_POR_DEFECTO;
+    const contexto = { moneda: tasas.base, montoEnBase: t => montoEnBase(t, tasas) };
+    const disparadas = [];
+
+    for (const regla of reglas) {
+        const config = configuracion[regla.clave] ?? {};
+        if (config.activa === false || !config.puntaje) continue;
+
+        const disparo = regla.evaluar(transaccion, historial, config, contexto);
+        if (disparo) {
+            const { codigo, parametros = {} } = typeof disparo === "string"
+                ? { codigo: "RIESGO_PERSONALIZADO", parametros: { detalle: disparo } }
+                : disparo;
+            disparadas.push({ regla: regla.nombre, puntaje: config.puntaje, codigo, parametros, motivo: traducir(codigo, parametros) });
+        }
+    }
+
+    const puntaje = disparadas.reduce((total, r) => total + r.puntaje, 0);
+    return {
+        puntaje,
+        reglas: disparadas,
+        clasificacion: puntaje >= configuracion.umbralSospechosa ? "sospechosa" : "valida"
+    };
+}
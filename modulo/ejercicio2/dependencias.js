@@ -0,0 +1,124 @@
+// Módulo responsable de:
+// - Reconocer referencias a otras operaciones dentro de 'valores' ({ ref: id }).
+// - Armar el grafo de dependencias del lote y detectar referencias inexistentes, ambiguas y ciclos.
+// - Calcular un orden de proceso donde cada operación va después de las que necesita.
+// - Reemplazar las referencias por el valor de la operación referenciada antes de calcular.
+
+// esReferencia(valor)
+// - Propósito: saber si un elemento de 'valores' es una referencia. Forma: { ref: 1 } (ref es el id de otra operación).
+// - Nota: el id se compara tal cual (1 y "1" son ids distintos), igual que en el resto del ejercicio.
+export function esReferencia(valor) {
+  return valor !== null && typeof valor === "object" && !Array.isArray(valor) && Object.hasOwn(valor, "ref");
+}
+
+// referenciasDe(op)
+// - Salida: ids referenciados por la operación, sin repetir (arreglo vacío si 'valores' no es un arreglo).
+export function referenciasDe(op) {
+  if (!Array.isArray(op?.valores)) return [];
+  return [...new Set(op.valores.filter(esReferencia).map(valor => valor.ref))];
+}
+
+// analizarDependencias(operaciones, externas)
+// - Propósito: preparar el lote antes de procesarlo.
+// - Entrada:
+//   - operaciones: arreglo del lote (no se modifica).
+//   - externas: Map id => resultado de operaciones procesadas en ejecuciones anteriores (fuera del lote).
+// - Salida: { dependencias, errores, ordenProceso }.
+//   - dependencias[i]: índices del lote que la operación i necesita antes de calcularse.
+//   - errores[i]: { codigo, parametros, campo: "valores" } si la operación i no se puede resolver, o null.
+//       - REFERENCIA_INEXISTENTE: referencia a un id que no está ni en el lote ni en 'externas'.
+//       - REFERENCIA_AMBIGUA: dos operaciones del lote con ese id.
+//       - REFERENCIA_CICLICA: ciclo de referencias (incluye referirse a sí misma); parametros.recorrido lista los ids.
+//   - ordenProceso: índices ordenados por nivel (primero las independientes, luego las que dependen de ellas...).
+// - Diseño:
+//   - Búsqueda en profundidad con marcas "en curso" / "terminada": volver a una operación en curso es un ciclo.
+//   - Las operaciones con error no esperan a nadie (se rechazan sin calcular); sus dependientes se rechazan
+//     después al ver que la operación de la que dependen fue rechazada.
+export function analizarDependencias(operaciones, externas = new Map()) {
+  const indicesPorId = new Map();
+  operaciones.forEach((op, i) => {
+    if (!indicesPorId.has(op?.id)) indicesPorId.set(op?.id, []);
+    indicesPorId.get(op?.id).push(i);
+  });
+
+  const dependencias = operaciones.map(() => []);
+  const errores = operaciones.map(() => null);
+  const error = (codigo, parametros) => ({ codigo, parametros, campo: "valores" });
+
+  // 1) Referencias: dentro del lote, externas o inexistentes
+  operaciones.forEach((op, i) => {
+    for (const ref of referenciasDe(op)) {
+      const indices = indicesPorId.get(ref) ?? [];
+      if (indices.length > 1) {
+        errores[i] ??= error("REFERENCIA_AMBIGUA", { ref, cantidad: indices.length });
+      } else if (indices.length === 1) {
+        dependencias[i].push(indices[0]);
+      } else if (!externas.has(ref)) {
+        errores[i] ??= error("REFERENCIA_INEXISTENTE", { ref });
+      }
+    }
+  });
+
+  // 2) Ciclos: cada operación que forma parte de un ciclo se marca con el recorrido completo
+  const EN_CURSO = 1;
+  const TERMINADA = 2;
+  const marcas = operaciones.map(() => 0);
+  const camino = [];
+  const visitar = (i) => {
+    marcas[i] = EN_CURSO;
+    camino.push(i);
+    for (const j of dependencias[i]) {
+      if (marcas[j] === EN_CURSO) {
+        const ciclo = camino.slice(camino.indexOf(j));
+        const recorrido = [...ciclo, j].map(k => operaciones[k].id);
+        for (const k of ciclo) errores[k] ??= error("REFERENCIA_CICLICA", { recorrido });
+      } else if (marcas[j] === 0) {
+        visitar(j);
+      }
+    }
+    camino.pop();
+    marcas[i] = TERMINADA;
+  };
+  operaciones.forEach((op, i) => {
+    if (marcas[i] === 0) visitar(i);
+  });
+
+  // 3) Orden por niveles: nivel 0 = sin dependencias; nivel n = una más que su dependencia de mayor nivel.
+  //    Sin las aristas de las operaciones con error ya no quedan ciclos (todo ciclo tiene al menos una marcada).
+  const efectivas = dependencias.map((deps, i) => errores[i] ? [] : deps);
+  const niveles = new Array(operaciones.length);
+  const nivelDe = (i) => niveles[i] ??= efectivas[i].length === 0 ? 0 : 1 + Math.max(...efectivas[i].map(nivelDe));
+  const ordenProceso = operaciones
+    .map((op, i) => i)
+    .sort((a, b) => nivelDe(a) - nivelDe(b) || a - b);
+
+  return { dependencias: efectivas, errores, ordenProceso };
+}
+
+// resolverReferencias(op, obtenerResultado, precision)
+// - Propósito: reemplazar cada { ref: id } por el valor de la operación referenciada.
+// - Entrada:
+//   - obtenerResultado(id): resultado { estado, valor, ... } de la operación referenciada (del lote o de 'externas').
+//   - precision: "estandar" usa el valor como number; "exacta" lo deja como texto para no perder cifras.
+// - Salida: { operacion } con una copia de op (op no se modifica), o { codigo, parametros } si alguna referenciada
+//   no fue aprobada (DEPENDENCIA_RECHAZADA) o no tiene valor guardado (DEPENDENCIA_SIN_VALOR).
+export function resolverReferencias(op, obtenerResultado, precision = "estandar") {
+  if (referenciasDe(op).length === 0) return { operacion: op };
+
+  const valores = [];
+  for (const valor of op.valores) {
+    if (!esReferencia(valor)) {
+      valores.push(valor);
+      continue;
+    }
+    const resultado = obtenerResultado(valor.ref);
+    if (resultado?.estado !== "aprobada") {
+      return { codigo: "DEPENDENCIA_RECHAZADA", parametros: { ref: valor.ref } };
+    }
+    if (resultado.valor === undefined) {
+      return { codigo: "DEPENDENCIA_SIN_VALOR", parametros: { ref: valor.ref } };
+    }
+    valores.push(precision === "exacta" ? resultado.valor : Number(resultado.valor));
+  }
+  return { operacion: { ...op, valores } };
+}
@@ -3,146 +3,161 @@
 // - Procesarlas de forma asíncrona simulando tiempos variables.
 // - Demostrar tres enfoques de asincronía: callbacks, promesas y async/await.
 // - Reportar resultados claros y mantener la inmutabilidad.
-export function validarOperacion(op) {
+import { auditarResultado, RUTA_AUDITORIA } from "../comun/auditoria.js";
+import { cargarColeccion, seleccionarRegistros, marcarProcesado, guardarColeccion, describirColeccion, agregarRegistros, leerElementosJson } from "../comun/almacen.js";
+import { procesarEnLote, describirTiempos, esCancelacion, validarTiempoMaximo } from "../comun/lotes.js";
+import { crearReporte } from "../comun/reportes.js";
+import { aplicarOperacion, PRECISIONES } from "./registroOperaciones.js";
+import { parsearDecimal, compararDecimales, formatearDecimal, simplificarDecimal } from "../comun/decimal.js";
+import { analizarDependencias, resolverReferencias } from "./dependencias.js";
+import { exigirEsquema } from "../comun/esquemas.js";
+import { errorConCodigo } from "../comun/mensajes.js";
+import { crearResultado, resultadoDeError } from "../comun/resultados.js";
+import { SERVICIO_POR_DEFECTO, llamarConTiempoMaximo } from "../comun/servicioSimulado.js";
+import { crearNotificador } from "../comun/eventos.js";
 
-  // Regla 1: la operación debe existir (no debe estar: null/undefined)
-  if (!op) {
-    throw new Error("La operación se encuentra vacía o indefinida.");
-  }
-
-  // Regla 2: el id debe ser string o number para asegurar identificación simple.
-  if (typeof op.id !== "string" && typeof op.id !== "number") {
-    throw new Error(`Operación inválida: el id "${op.id}" no es válido (debe ser string o number).`);
-  }
+// Esquema de una operación (ver comun/esquemas.js): cada campo y sus restricciones, descritos una sola vez.
+// - id: string o number para asegurar identificación simple.
+// - valores: arreglo no vacío de números (typeof === "number"); en precisión exacta también valen BigInt
+//   y textos que parsearDecimal pueda leer. Cada valor no numérico se informa con su posición (valores[i], VALOR_NO_NUMERICO).
+// - tipo: string (si el operador existe se decide al calcular, ver registroOperaciones.js).
+// - activa: booleano.
+// El esquema no conoce los operadores: la cantidad de valores de cada tipo y sus validaciones propias
+// (ej: división por cero) las define registroOperaciones.js.
+export const ESQUEMA_OPERACION = {
+  id: { tipo: ["texto", "numero"] },
+  valores: {
+    tipo: "arreglo",
+    noVacio: true,
+    elementos: {
+      valida: (v, op, contexto) => typeof v === "number" || (contexto.precision === "exacta" && esNumeroExacto(v)),
+      codigo: "VALOR_NO_NUMERICO"
+    }
+  },
+  tipo: { tipo: "texto" },
+  activa: { tipo: "booleano" }
+};
 
-  // Regla 3: 'valores' debe ser un arreglo (Array.isArray).
-  if (!Array.isArray(op.valores)) {
-    throw new Error(`Operación ${op.id}: 'valores' debe ser un arreglo.`);
-  }
+// validarOperacion(op, opciones):
+// - opciones.precision: "estandar" (por defecto) exige valores number;
+//   "exacta" además acepta BigInt y textos numéricos ("0.1", "12345678901234567890") para no perder cifras al leerlos.
+// - Lanza Error con todas las reglas incumplidas de ESQUEMA_OPERACION (err.violaciones: [{ campo, codigo, parametros, mensaje }]).
+export function validarOperacion(op, opciones = {}) {
 
-  // Regla 4: el arreglo no puede estar vacío.
-  if (op.valores.length === 0) {
-    throw new Error(`Operación ${op.id}: el arreglo de valores está vacío.`);
-  }
-
-  // Regla 5: todos los elementos deben ser numéricos (typeof === "number").
-  // .every() recorre un arreglo y evalúa una condición sobre cada elemento arrojando True si cumple o False si no lo cumple.
-  // v representa cada elemento del arreglo en la iteración.
-  if (!op.valores.every(v => typeof v === "number")) {
-    throw new Error(`Operación ${op.id}: todos los valores deben ser numéricos.`);
+  // Regla 1: la operación debe existir (no debe estar: null/undefined)
+  if (!op) {
+    throw errorConCodigo("ENTIDAD_VACIA", { entidad: "operacion" });
   }
 
-  // Regla 6: 'tipo' debe ser un string.
-  if (typeof op.tipo !== "string") {
-    throw new Error(`Operación ${op.id}: el tipo debe ser un string.`);
-  }
+  // Regla 2: cada campo según ESQUEMA_OPERACION; se informan todas las violaciones juntas.
+  exigirEsquema(op, ESQUEMA_OPERACION, { entidad: "operacion", contexto: opciones });
+  // Nota: No mutamos 'op' en ningún momento → inmutabilidad garantizada.
+}
 
-  // Regla 7: 'activa' debe ser booleano.
-  if (typeof op.activa !== "boolean") {
-    throw new Error(`Operación ${op.id}: el campo 'activa' debe ser booleano.`);
+// esNumeroExacto(v):
+// - Devuelve true si v es un BigInt o un texto numérico válido para la precisión exacta.
+function esNumeroExacto(v) {
+  if (typeof v === "bigint") return true;
+  if (typeof v !== "string") return false;
+  try {
+    parsearDecimal(v);
+    return true;
+  } catch {
+    return false;
   }
-  // Nota: No mutamos 'op' en ningún momento → inmutabilidad garantizada.
 }
 
-// En segundo lugar se realiza una SIMULACIÓN DE TIEMPO VARIABLE por medio de una función llamada:
-// delay(ms):
-// - Devuelve una Promesa que se resuelve luego de 'ms' milisegundos.
-// - Se usa para simular tiempos variables de procesamiento.
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// formatearResultado(resultado):
+// - Muestra el resultado como texto plano, sin notación científica (1e+21 => "1000000000000000000000").
+// - Acepta number (precisión estándar) o decimal exacto { valor, escala } (precisión exacta).
+function formatearResultado(resultado) {
+  const decimal = typeof resultado === "number" ? parsearDecimal(resultado) : resultado;
+  return formatearDecimal(simplificarDecimal(decimal));
 }
 
-// se declara una función llamada tiempoAleatorio():
-// - Calcula un tiempo aleatorio entre 300 ms y 2000 ms (es decir, un rango).
-function tiempoAleatorio() {
-  const min = 300;
-  const max = 2000;
-  // Genera un número entero aleatorio entre 300ms y 2000ms que luego es multiplicado por el número que arroje Math.random.
-  // Esto hace que cada operación tarde un tiempo distinto.
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+// esNegativo(resultado):
+// - Regla de negocio común a las dos precisiones: un resultado menor que 0 se rechaza.
+function esNegativo(resultado) {
+  return typeof resultado === "number"
+    ? resultado < 0
+    : compararDecimales(resultado, { valor: 0n, escala: 0 }) < 0;
 }
 
+// En segundo lugar se realiza una SIMULACIÓN DE TIEMPO VARIABLE con el servicio simulado (ver comun/servicioSimulado.js):
+// - servicio.llamar("operaciones") espera una latencia al azar (300 a 2000 ms por defecto) y puede lanzar una falla inyectada.
+// - El servicio llega en opciones.servicio; con una semilla y el reloj virtual la ejecución se repite exactamente.
+
 // Como tercer paso se procede a realizar el CÁLCULO DE RESULTADOS por medio de una función llamada:
-// calcularResultado(op):
-// - Aplica operadores matemáticos según 'tipo'.
+// calcularResultado(op, opciones):
+// - Aplica el operador registrado para 'tipo' (ver registroOperaciones.js: suma, resta, multiplicacion,
+//   division, promedio, potencia, min, max, mediana, desviacion, modulo y los que se registren después).
 // - No modifica 'op' (usa sus valores, pero no los altera).
-// - Devuelve un número con el resultado o lanza un rechazo si el tipo no es reconocido.
-function calcularResultado(op) {
-  switch (op.tipo) {
-    // total (acumulador): Es el resultado parcial que se va construyendo en cada iteración. Empieza en el valor inicial que pasas a reduce (0 para suma, 1 para multiplicación).
-    // elemento (valor actual): Es el elemento del arreglo que se está procesando en esa iteración.
-    case "suma":
-      // Suma acumulativa: reduce iniciando en 0
-      // .reduce se usa para reducir un array a un único valor, aplicando una función acumuladora a cada elemento de izquierda a derecha, devolviendo un valor final.
-      return op.valores.reduce((total, elemento) => total + elemento, 0);
-    case "multiplicacion":
-      // Producto acumulativo: reduce iniciando en 1
-      return op.valores.reduce((total, elemento) => total * elemento, 1);
-    default:
-      // Tipo no reconocido => decisión: rechazamos con mensaje claro
-      throw new Error(`Tipo de operación no reconocido: ${op.tipo}`);
-  }
+// - Devuelve un número (o un decimal exacto si opciones.precision es "exacta") con el resultado, o lanza un rechazo
+//   si el tipo no es reconocido, si la cantidad de valores no corresponde al tipo o si sus validaciones fallan (ej: división por cero).
+function calcularResultado(op, opciones = {}) {
+  return aplicarOperacion(op, opciones);
 }
 
 // Para el cuarto paso se procede a usar UNO DE TRES ENFOQUES DE ASINCRONÍA
 // Para este caso voy a usar el enfoque con ASYNC/AWAIT:
 // - Usa await sobre Promesas para un código más legible.
 // - Justificación: claridad didáctica y manejo de errores con try/catch natural.
-export async function procesarOperacion(op) {
+// - opciones.precision: "estandar" (number) o "exacta" (BigInt / decimal exacto, sin Infinity ni errores de redondeo).
+// - opciones.servicio: servicio simulado (por defecto SERVICIO_POR_DEFECTO: reloj real, sin semilla ni fallas).
+//   Una falla inyectada se rechaza como cualquier otro error (FALLA_SERVICIO o TIEMPO_AGOTADO_SERVICIO).
+// - opciones.tiempoMaximoMs: cota de la espera al servicio; si se supera, la operación se rechaza con
+//   TIEMPO_MAXIMO_SUPERADO (motivo "timeout: ..."). Sin cota se espera lo que tarde el servicio.
+// - opciones.senal: AbortSignal del lote; si se cancela durante la espera, la Promesa rechaza con LOTE_CANCELADO
+//   (no es un resultado: la operación queda pendiente, ver comun/lotes.js).
+// - opciones.alValidar(op): opcional; se llama cuando la operación pasó la validación, antes del servicio
+//   (ejecutarOperaciones lo usa para el evento "validado", ver comun/eventos.js).
+// - Salida: resultado con la forma común { id, estado, motivo, codigo, campo, parametros } (ver comun/resultados.js);
+//   las aprobadas agregan 'valor'.
+export async function procesarOperacion(op, opciones = {}) {
   try {
     // Primero llamamos la función para validar datos
-    validarOperacion(op);
+    validarOperacion(op, opciones);
 
     // Luego se procede a verificar el elemento "activa"
     if (!op.activa) {
-      return {
-        id: op.id,
-        estado: "rechazada",
-        motivo: "La operación está desactivada."
-      };
+      return crearResultado({ id: op.id, estado: "rechazada", codigo: "OPERACION_DESACTIVADA", campo: "activa" });
     }
+    opciones.alValidar?.(op);
 
-    // A continuación se simula el tiempo variable usando 'delay' y 'tiempoAleatorio'
-    await delay(tiempoAleatorio());
+    // A continuación se simula el tiempo variable (y las fallas, si se configuraron) con el servicio simulado,
+    // sin esperarlo más que opciones.tiempoMaximoMs
+    await llamarConTiempoMaximo(opciones.servicio ?? SERVICIO_POR_DEFECTO, "operaciones", {
+      tiempoMaximoMs: opciones.tiempoMaximoMs,
+      senal: opciones.senal
+    });
 
     // Declaramos una constante a la cual le asignamos Calcular resultado
-    const resultado = calcularResultado(op);
+    const resultado = calcularResultado(op, opciones);
 
     // Ahora se toma una decisión según resultado
-    if (resultado < 0) {
-      return {
+    if (esNegativo(resultado)) {
+      return crearResultado({
         id: op.id,
         estado: "rechazada",
-        motivo: `El resultado (${resultado}) es negativo.`
-      };
+        codigo: "RESULTADO_NEGATIVO",
+        parametros: { resultado: formatearResultado(resultado) }
+      });
     }
 
-    // Se retorna Aprobada
-    return {
-      id: op.id,
-      estado: "aprobada",
-      motivo: `Operación realizada correctamente. Resultado = ${resultado}`
-    };
+    // Se retorna Aprobada (el resultado se muestra sin notación científica).
+    // 'valor' conserva el resultado como texto para que otras operaciones puedan referenciarlo ({ ref: id }).
+    const valor = formatearResultado(resultado);
+    return crearResultado({ id: op.id, estado: "aprobada", codigo: "OPERACION_APROBADA", parametros: { valor }, valor });
   } catch (err) {
     // Captura de errores: valida que el flujo no se bloquea
-    return {
-      // 1. op?.id
-      // El operador ?. intenta acceder a la propiedad id del objeto op.
-      // Si op existe y tiene la propiedad id, devuelve ese valor.
-      // Si op es null o undefined, no lanza error, simplemente devuelve undefined.
-
-      // 2. ?? "desconocido"
-      // El operador ?? devuelve el valor de la izquierda si no es null ni undefined.
-      // Si la izquierda es null o undefined, devuelve el valor de la derecha.
-
-      // 3. Combinación: op?.id ?? "desconocido"
-      // Primero intenta obtener op.id de forma segura.
-      // Si op no existe o id es undefined/null, entonces devuelve "desconocido".
-      // Así evitamos errores y siempre tenemos un valor válido para id.
-      id: op?.id ?? "desconocido",
-      estado: "rechazada",
-      motivo: `Error: ${err.message}`
-    };
+    // resultadoDeError (ver comun/resultados.js):
+    // 1. Usa op?.id ?? "desconocido": si op no existe o no tiene id, el resultado igual tiene un id válido.
+    // 2. Toma el código, el campo y los parámetros del error (o de la primera regla incumplida del esquema).
+    // 3. Copia las reglas incumplidas del esquema en 'errores', con la ruta de cada campo (ej: valores[1]).
+    // 4. Un error sin código (falla inesperada) queda como ERROR_INESPERADO.
+    // La cancelación del lote no es un rechazo de la operación: se propaga.
+    if (esCancelacion(err)) throw err;
+    return resultadoDeError("operacion", op, "rechazada", err);
   }
 }
 
@@ -157,50 +172,190 @@ export function arrObjeto() {
     { id: 3, valores: [], tipo: "suma", activa: true },                     // Rechazo: arreglo vacío
     { id: 4, valores: [5, "x", 7], tipo: "suma", activa: true },            // Rechazo: valor no numérico
     { id: 5, valores: [10, -50], tipo: "suma", activa: true },              // Rechazo: resultado negativo
-    { id: 6, valores: [1, 2, 3], tipo: "division", activa: true },          // Rechazo: tipo no reconocido
-    { id: 7, valores: [9, 9], tipo: "suma", activa: false }                 // Rechazo: desactivada
+    { id: 6, valores: [1, 2, 3], tipo: "division", activa: true },          // Aprobada: división sucesiva (1 / 2 / 3)
+    { id: 7, valores: [9, 9], tipo: "suma", activa: false },                // Rechazo: desactivada
+    { id: 8, valores: [10, 0], tipo: "division", activa: true },            // Rechazo: división por cero
+    { id: 9, valores: [2, 3, 4], tipo: "potencia", activa: true },          // Rechazo: potencia requiere exactamente 2 valores
+    { id: 10, valores: [7, 1, 3, 5], tipo: "mediana", activa: true },       // Aprobada: mediana de cantidad par (4)
+    { id: 11, valores: [2, 4, 4, 4, 5, 5, 7, 9], tipo: "desviacion", activa: true },  // Aprobada: desviación estándar (2)
+    { id: 12, valores: [9], tipo: "raiz", activa: true },                   // Rechazo: tipo no reconocido
+    { id: 13, valores: [0.1, 0.2], tipo: "suma", activa: true },            // Aprobada: 0.30000000000000004 (estándar) o 0.3 (exacta)
+    { id: 14, valores: [{ ref: 1 }, { ref: 2 }], tipo: "multiplicacion", activa: true },  // Aprobada: resultado de la 1 × resultado de la 2 (60 × 24)
+    { id: 15, valores: [{ ref: 5 }, 100], tipo: "suma", activa: true },     // Rechazo: depende de una operación rechazada
+    { id: 16, valores: [{ ref: 17 }, 1], tipo: "suma", activa: true },      // Rechazo: ciclo de referencias (16 → 17 → 16)
+    { id: 17, valores: [{ ref: 16 }, 1], tipo: "suma", activa: true },      // Rechazo: mismo ciclo (la 17 vuelve a la 16)
+    { id: 18, valores: [{ ref: 99 }, 1], tipo: "suma", activa: true }       // Rechazo: referencia a una operación inexistente
   ];
 }
 
 // Como ultimo paso se ejecuta el ejercicio 2
 // ejecutarOperaciones():
 // - Orquesta el procesamiento por lotes.
-// - Recorre el arreglo de operaciones (for...of) y procesa cada una.
-// - Justificación del ciclo: 'for...of' permite usar 'await' dentro del bucle de manera simple.
-// - Muestra resultados individuales y luego un resumen.
+// - Procesa varias operaciones a la vez con procesarEnLote (ver comun/lotes.js):
+//   - opciones.concurrencia: cuántas operaciones se procesan en paralelo (por defecto 4; con 1 el lote es secuencial).
+//   - opciones.orden: "entrada" (por defecto) reporta en el orden del lote; "finalizacion" en el orden en que terminan.
+// - opciones.precision: "estandar" (por defecto) o "exacta" (ver registroOperaciones.js).
+// - opciones.servicio: servicio simulado que reciben todas las operaciones (ver comun/servicioSimulado.js);
+//   los tiempos del resumen se miden con su reloj (con el reloj virtual, la latencia simulada).
+// - Justificación: cada operación espera una latencia simulada de hasta 2 s; en secuencia un lote de N tarda hasta N × 2 s.
+// - Muestra resultados individuales, luego un resumen con el tiempo total frente a la suma secuencial.
 // - Evidencia de continuidad del flujo: aunque haya errores, se sigue procesando el resto.
+// - Cada resultado queda en el registro de auditoría (opciones.auditoria: false lo desactiva;
+//   opciones.rutaAuditoria cambia el archivo).
+// - Las operaciones y sus resultados se guardan en data/operaciones.json (ver comun/almacen.js):
+//   solo se procesan las pendientes; opciones.reprocesar: true procesa todas de nuevo,
+//   opciones.directorioDatos cambia la carpeta y opciones.almacen: false trabaja solo en memoria.
+// - opciones.archivo: JSON con un arreglo de operaciones; se agregan como pendientes (sin archivo se usa arrObjeto()).
+//   opciones.elementos: el mismo arreglo ya interpretado (ej: cuerpo de la API HTTP); tiene prioridad sobre opciones.archivo.
+//   opciones.soloRecibidos: true procesa solo las operaciones que agregó esta importación, no el resto de las pendientes.
+// - opciones.eventos: EventEmitter u objeto de funciones que recibe inicio, validado, procesado / fallido y fin
+//   (ver comun/eventos.js); sirve para barras de progreso o registros propios sin tocar este módulo.
+// - opciones.tiempoMaximoMs: tiempo máximo de cada operación esperando al servicio (ver procesarOperacion).
+// - opciones.senal: AbortSignal para cancelar el lote (ej: Ctrl+C). No se toman más operaciones, las que esperaban
+//   al servicio quedan pendientes (no se informan ni se guardan) y el resumen es parcial: indica cuántas quedaron sin procesar.
+// - Salida: Promesa con el reporte estructurado (ver comun/reportes.js), además del reporte en consola:
+//   items en el orden del lote; conteos: total, aprobadas, rechazadas, sinProcesar; totales: tiempos del lote;
+//   yaAlmacenados: operaciones recibidas que ya estaban en el almacén (ver agregarRegistros);
+//   cancelado: true si la cancelación dejó operaciones sin procesar.
+// - Operaciones compuestas: un valor { ref: id } usa el resultado de otra operación (ver dependencias.js).
+//   - Primero se procesan las independientes; cada compuesta espera a las que referencia.
+//   - Una referencia a una operación de una ejecución anterior usa el resultado guardado en el almacén.
+//   - Ciclos y referencias inexistentes o ambiguas se rechazan sin calcular;
+//     si la operación referenciada fue rechazada, la compuesta también se rechaza.
 
-export async function ejecutarOperaciones() {
+export async function ejecutarOperaciones(opciones = {}) {
   // Mensaje inicial para dar contexto al usuario.
   console.log("\nProcesando operaciones (Ejercicio 2)");
 
-  // Obtenemos operaciones al cual se le asigna el arreglo de objetos (no mutamos este arreglo en ningún momento)
-  const operaciones = arrObjeto();
-
-  // Arreglo para acumular resultados (nuevo arreglo => inmutabilidad)
-  const resultados = [];
-
-  // Ciclo elegido: 'for...of' => permite 'await' y mantiene el orden visual.
-  // op es un arreglo que representa cada operación dentro de operaciones.
-  for (const op of operaciones) {
-    // Procesar cada operación de forma asíncrona.
-    // 'procesarOperacion(op)':
-    // - Valida datos (try/catch interno).
-    // - Simula tiempo variable (asincronía).
-    // - Calcula el resultado según el tipo ('suma', 'multiplicacion', etc.).
-    // - Devuelve un objeto con { id, estado, motivo } sin lanzar errores.
-    const resultado = await procesarOperacion(op);
-
-    // Se guarda el resultado en el arreglo 'resultados'.
-    // Esto nos permitirá, más adelante, generar un resumen si lo necesitamos.
-    resultados.push(resultado);
-
-    // Reporte inmediato por cada operación:
-    // - Muestra el identificador (id).
-    // - El estado final (aprobada | rechazada).
-    // - El motivo (mensaje claro para el usuario).
-    // Esto evidencia que el flujo continúa aunque alguna operación falle.
-    console.log(`Operación ${resultado.id}: ${resultado.estado} => ${resultado.motivo}`);
+  // Precisión del cálculo: se valida antes de empezar para no rechazar todo el lote por una opción mal escrita.
+  const { precision = "estandar" } = opciones;
+  if (!PRECISIONES.includes(precision)) {
+    throw new Error(`Precisión no reconocida: ${precision} (use ${PRECISIONES.join(" o ")}).`);
+  }
+  console.log(`Precisión: ${precision}`);
+  validarTiempoMaximo(opciones.tiempoMaximoMs);
+  const servicio = opciones.servicio ?? SERVICIO_POR_DEFECTO;
+  // Eventos de avance del lote (opciones.eventos: EventEmitter u objeto de funciones, ver comun/eventos.js).
+  const { notificar, notificarResultado } = crearNotificador(opciones.eventos, "operaciones");
+
+  // Operaciones recibidas en memoria (opciones.elementos, ej: API HTTP) o de un archivo JSON (opciones.archivo):
+  // se agregan al almacén como pendientes.
+  const importadas = opciones.elementos ?? (opciones.archivo ? await leerElementosJson(opciones.archivo) : null);
+  if (importadas) {
+    const origen = opciones.elementos ? "Elementos recibidos" : `Archivo: ${opciones.archivo}`;
+    console.log(`${origen} — ${importadas.length} operaciones leídas.`);
+  }
+
+  // Obtenemos las operaciones del almacén (la primera vez se crea con arrObjeto(), salvo que se importe un archivo).
+  // Cada registro es { datos, resultado }: 'datos' es la operación tal como se guardó (no la mutamos en ningún momento).
+  const coleccion = opciones.almacen === false
+    ? null
+    : await cargarColeccion("operaciones", { directorio: opciones.directorioDatos, iniciales: importadas ? [] : arrObjeto() });
+  const { agregados, yaAlmacenados } = coleccion && importadas
+    ? agregarRegistros(coleccion, importadas)
+    : { agregados: [], yaAlmacenados: [] };
+  if (yaAlmacenados.length > 0) {
+    console.log(`${yaAlmacenados.length} operaciones ya estaban en el almacén (no se agregan de nuevo).`);
+  }
+  const registros = coleccion
+    ? (importadas && opciones.soloRecibidos ? agregados : seleccionarRegistros(coleccion, opciones.reprocesar))
+    : (importadas ?? arrObjeto()).map(datos => ({ datos }));
+  if (coleccion) {
+    console.log(describirColeccion(coleccion, registros));
+  }
+
+  // Grafo de dependencias entre operaciones compuestas.
+  // 'externas': operaciones ya procesadas que no se vuelven a procesar en esta ejecución (su resultado está guardado).
+  const operaciones = registros.map(registro => registro.datos);
+  const externas = new Map();
+  for (const registro of coleccion?.registros ?? []) {
+    if (!registros.includes(registro) && registro.resultado) {
+      externas.set(registro.datos?.id, registro.resultado);
+    }
+  }
+  const grafo = analizarDependencias(operaciones, externas);
+  notificar("inicio", { total: registros.length });
+
+  // Un resultado por índice y una promesa que se cumple cuando ese índice termina (la esperan sus dependientes).
+  const terminadas = new Array(operaciones.length);
+  const avisos = operaciones.map(() => {
+    let avisar;
+    const promesa = new Promise(resolve => { avisar = resolve; });
+    return { promesa, avisar };
+  });
+  const obtenerResultado = (ref) => {
+    const indice = operaciones.findIndex(op => op?.id === ref);
+    return indice >= 0 ? terminadas[indice] : externas.get(ref);
+  };
+
+  // procesarCompuesta(registro, indice):
+  // - Rechaza sin calcular si la operación tiene un error de referencias o depende de una rechazada.
+  // - Si no, reemplaza las referencias por los valores ya calculados y procesa la operación normalmente.
+  const procesarCompuesta = async (registro, indice) => {
+    try {
+      const op = registro.datos;
+      if (grafo.errores[indice]) {
+        return resultadoDeError("operacion", op, "rechazada", grafo.errores[indice]);
+      }
+      const { operacion, codigo, parametros } = resolverReferencias(op, obtenerResultado, precision);
+      terminadas[indice] = operacion
+        ? await procesarOperacion(operacion, {
+          precision,
+          servicio,
+          tiempoMaximoMs: opciones.tiempoMaximoMs,
+          senal: opciones.senal,
+          alValidar: () => notificar("validado", { id: op.id, elemento: op })
+        })
+        : crearResultado({ id: op.id, estado: "rechazada", codigo, campo: "valores", parametros });
+      return terminadas[indice];
+    } finally {
+      avisos[indice].avisar();
+    }
+  };
+
+  // Procesamiento en paralelo con límite de concurrencia.
+  // 'procesarOperacion(op)':
+  // - Valida datos (try/catch interno).
+  // - Simula tiempo variable (asincronía).
+  // - Calcula el resultado según el tipo ('suma', 'multiplicacion', etc.).
+  // - Devuelve un objeto con { id, estado, motivo, codigo, campo, parametros } sin lanzar errores.
+  // 'lote.resultados' es un arreglo nuevo en el orden de entrada (inmutabilidad).
+  const lote = await procesarEnLote(registros, procesarCompuesta, {
+    concurrencia: opciones.concurrencia,
+    orden: opciones.orden,
+    reloj: servicio.reloj,
+    senal: opciones.senal,
+    // Las independientes se toman primero; cada compuesta espera (sin contar tiempo) a las que referencia.
+    ordenProceso: grafo.ordenProceso,
+    esperar: (registro, indice) => Promise.all(grafo.dependencias[indice].map(j => avisos[j].promesa)),
+    // alResultado se llama de a una operación por vez, en el orden pedido.
+    alResultado: async (resultado, indice, registro) => {
+      // Reporte inmediato por cada operación:
+      // - Muestra el identificador (id).
+      // - El estado final (aprobada | rechazada).
+      // - El motivo (mensaje claro para el usuario).
+      // Esto evidencia que el flujo continúa aunque alguna operación falle.
+      console.log(`Operación ${resultado.id}: ${resultado.estado} => ${resultado.motivo}`);
+
+      // Registro de auditoría encadenado (entrada, resultado y motivo).
+      if (opciones.auditoria !== false) {
+        await auditarResultado("operaciones", registro.datos, resultado, opciones.rutaAuditoria ?? RUTA_AUDITORIA);
+      }
+
+      // Se anota el resultado en el almacén: en la próxima ejecución esta operación ya no está pendiente.
+      if (coleccion) {
+        marcarProcesado(coleccion, registro, resultado);
+      }
+
+      // Evento "procesado" o "fallido" (después de auditar y anotar: el oyente ve el estado definitivo).
+      notificarResultado(resultado, registro.datos);
+    }
+  });
+  const resultados = lote.resultados;
+
+  // Almacén: una sola escritura por lote con todos los resultados (también si se canceló).
+  if (coleccion) {
+    await guardarColeccion(coleccion);
   }
 
   // Resumen final (sin mutar 'resultados')
@@ -210,6 +365,26 @@ export async function ejecutarOperaciones() {
   const rechazadas = resultados.filter(r => r.estado === "rechazada").length;
 
   console.log("\nResumen");
+  if (lote.cancelado) {
+    console.log(`Lote cancelado: ${lote.sinProcesar} de ${registros.length} operaciones sin procesar (siguen pendientes).`);
+  }
   console.log(`Operaciones aprobadas: ${aprobadas}`);
   console.log(`Operaciones rechazadas: ${rechazadas}`);
+  console.log(describirTiempos(lote));
+
+  // Reporte estructurado con los mismos datos del resumen; el evento "fin" lo entrega a los oyentes.
+  const reporte = crearReporte("operaciones", {
+    items: resultados,
+    conteos: { aprobadas, rechazadas, sinProcesar: lote.sinProcesar },
+    totales: {
+      tiempoTotalMs: lote.tiempoTotalMs,
+      tiempoSecuencialMs: lote.tiempoSecuencialMs,
+      concurrencia: lote.concurrencia
+    },
+    precision,
+    yaAlmacenados,
+    cancelado: lote.cancelado
+  });
+  notificar("fin", { conteos: reporte.conteos, totales: reporte.totales, cancelado: reporte.cancelado, reporte });
+  return reporte;
 }
\ No newline at end of file
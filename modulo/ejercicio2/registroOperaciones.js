@@ -0,0 +1,331 @@
+// Módulo responsable de:
+// - Mantener el registro de tipos de operación (reemplaza el switch fijo de calcularResultado).
+// - Definir por cada tipo su aridad (cantidad de valores), sus validaciones propias y su cálculo.
+// - Permitir registrar tipos nuevos sin modificar el procesamiento de ejercicio2.js.
+// - Calcular en dos precisiones: "estandar" (number) y "exacta" (BigInt / decimal exacto, ver comun/decimal.js).
+import {
+  parsearDecimal,
+  sumarDecimales,
+  restarDecimales,
+  multiplicarDecimales,
+  dividirDecimales,
+  compararDecimales,
+  restoDecimales,
+  potenciaDecimal,
+  raizCuadradaDecimal,
+  formatearDecimal,
+  simplificarDecimal,
+  MAXIMO_DIGITOS_EXACTOS
+} from "../comun/decimal.js";
+import { errorConCodigo } from "../comun/mensajes.js";
+
+// Precisiones disponibles.
+// - "estandar": number de JavaScript (rápido; 0.1 + 0.2 = 0.30000000000000004 y los productos grandes pierden cifras).
+// - "exacta": enteros como BigInt y fraccionarios como decimal exacto; nunca hay Infinity ni NaN.
+export const PRECISIONES = ["estandar", "exacta"];
+
+// Cifras decimales para resultados que no tienen representación decimal finita en precisión exacta
+// (1 / 3, promedios, potencias negativas, desviación estándar).
+export const ESCALA_EXACTA = 20;
+
+// Tope de cifras de un resultado exacto: el mismo que controla parsearDecimal al leer cada valor.
+export { MAXIMO_DIGITOS_EXACTOS };
+
+// Decimales constantes usados por los cálculos exactos.
+const CERO = { valor: 0n, escala: 0 };
+const MEDIO = { valor: 5n, escala: 1 };
+
+// Registro: tipo => definición. Map conserva el orden de registro (útil para listar los tipos).
+const OPERACIONES = new Map();
+
+// registrarOperacion(tipo, definicion)
+// - Propósito: agregar un tipo de operación al registro.
+// - Entrada:
+//   - tipo: string no vacío (ej: "suma"). Se compara tal cual, igual que el antiguo switch.
+//   - definicion: { descripcion, minimo, maximo, validar?, calcular, calcularExacto? }.
+//       - minimo / maximo: cantidad de valores aceptada (maximo: Infinity si no hay tope).
+//       - validar(valores): devuelve null si los valores sirven para este tipo; si no, { codigo, parametros }
+//         (código del catálogo, ver comun/mensajes.js y registrarMensajes) o un motivo (string, código VALIDACION_OPERACION).
+//         Recibe siempre numbers (en precisión exacta, una aproximación que conserva signo y ceros).
+//       - calcular(valores): devuelve el resultado numérico. No debe mutar 'valores'.
+//       - calcularExacto(decimales): lo mismo con decimales exactos { valor, escala }; sin él, el tipo solo admite precisión "estandar".
+// - Lanza Error si la definición está incompleta o si el tipo ya estaba registrado.
+export function registrarOperacion(tipo, definicion) {
+  if (typeof tipo !== "string" || tipo.trim().length === 0) {
+    throw new Error("El tipo de operación debe ser un string no vacío.");
+  }
+  if (OPERACIONES.has(tipo)) {
+    throw new Error(`La operación "${tipo}" ya está registrada.`);
+  }
+  if (!definicion || typeof definicion.calcular !== "function") {
+    throw new Error(`La operación "${tipo}" debe tener una función calcular(valores).`);
+  }
+
+  const { minimo = 1, maximo = Infinity } = definicion;
+  if (!Number.isInteger(minimo) || minimo < 1 || (maximo !== Infinity && (!Number.isInteger(maximo) || maximo < minimo))) {
+    throw new Error(`La operación "${tipo}" tiene una aridad inválida (minimo ${minimo}, maximo ${maximo}).`);
+  }
+
+  OPERACIONES.set(tipo, { descripcion: "", validar: () => null, ...definicion, tipo, minimo, maximo });
+}
+
+// obtenerOperacion(tipo)
+// - Salida: la definición registrada o undefined si el tipo no existe.
+export function obtenerOperacion(tipo) {
+  return OPERACIONES.get(tipo);
+}
+
+// tiposOperacion()
+// - Salida: arreglo con los tipos registrados, en orden de registro.
+export function tiposOperacion() {
+  return [...OPERACIONES.keys()];
+}
+
+// errorDeValidacion(motivo)
+// - Propósito: convertir lo que devuelve validar() en un Error con código (campo "valores").
+function errorDeValidacion(motivo) {
+  return typeof motivo === "string"
+    ? errorConCodigo("VALIDACION_OPERACION", { detalle: motivo.replace(/\.$/, "") }, "valores")
+    : errorConCodigo(motivo.codigo, motivo.parametros, "valores");
+}
+
+// errorDeCalculo(err)
+// - Propósito: un error del cálculo exacto conserva su código (ej: EXPONENTE_NO_ENTERO); el resto
+//   (mensajes de decimal.js) se informa como CALCULO_FALLIDO con su detalle.
+function errorDeCalculo(err) {
+  return err.codigo ? err : errorConCodigo("CALCULO_FALLIDO", { detalle: err.message.replace(/\.$/, "") }, "valores");
+}
+
+// aproximarNumero(decimal)
+// - Propósito: number para las validaciones en precisión exacta.
+// - Diseño: un valor distinto de cero nunca se aproxima a 0 (1e-400 no debe parecer una división por cero).
+function aproximarNumero(decimal) {
+  const numero = Number(formatearDecimal(decimal));
+  if (numero === 0 && decimal.valor !== 0n) {
+    return decimal.valor < 0n ? -Number.MIN_VALUE : Number.MIN_VALUE;
+  }
+  return numero;
+}
+
+// cantidadCifras(decimal)
+// - Salida: cifras que ocupa el decimal escrito (para controlar el tamaño de los resultados exactos):
+//   las del valor entero o, si son más, las decimales. { valor: 1n, escala: 5000 } (0.000...1) ocupa 5000, no 1.
+function cantidadCifras(decimal) {
+  return Math.max((decimal.valor < 0n ? -decimal.valor : decimal.valor).toString().length, decimal.escala);
+}
+
+// aplicarOperacion(op, opciones)
+// - Propósito: calcular el resultado de una operación ya validada (validarOperacion).
+// - Entrada: opciones.precision: "estandar" (por defecto) o "exacta".
+// - Salida: número finito en precisión "estandar"; decimal exacto { valor, escala } en precisión "exacta".
+// - Lanza Error con código (que procesarOperacion convierte en "rechazada", ver comun/resultados.js) si:
+//   - el tipo no está registrado o no admite la precisión pedida.
+//   - la cantidad de valores no respeta la aridad del tipo.
+//   - la validación propia del tipo devuelve un motivo (ej: división por cero).
+//   - el resultado no es un número finito (ej: desborde a Infinity) o, en precisión exacta, supera MAXIMO_DIGITOS_EXACTOS
+//     cifras enteras o decimales (ej: 50 factores 1e-9010 dan 450500 decimales).
+export function aplicarOperacion(op, opciones = {}) {
+  const { precision = "estandar" } = opciones;
+  if (!PRECISIONES.includes(precision)) {
+    throw new Error(`Precisión no reconocida: ${precision} (use ${PRECISIONES.join(" o ")}).`);
+  }
+
+  const definicion = OPERACIONES.get(op.tipo);
+  if (!definicion) {
+    throw errorConCodigo("TIPO_OPERACION_NO_RECONOCIDO", { tipo: op.tipo }, "tipo");
+  }
+
+  const cantidad = op.valores.length;
+  if (cantidad < definicion.minimo || cantidad > definicion.maximo) {
+    // maximo null = sin tope (Infinity no se puede guardar en JSON).
+    const maximo = definicion.maximo === Infinity ? null : definicion.maximo;
+    throw errorConCodigo("ARIDAD_INVALIDA", { tipo: op.tipo, minimo: definicion.minimo, maximo, recibidos: cantidad }, "valores");
+  }
+
+  if (precision === "exacta") {
+    if (!definicion.calcularExacto) {
+      throw errorConCodigo("SIN_PRECISION_EXACTA", { tipo: op.tipo }, "tipo");
+    }
+    let decimales;
+    try {
+      decimales = op.valores.map(parsearDecimal);
+    } catch (err) {
+      throw errorDeCalculo(err);
+    }
+
+    const motivo = definicion.validar(decimales.map(aproximarNumero));
+    if (motivo) {
+      throw errorDeValidacion(motivo);
+    }
+
+    let resultado;
+    try {
+      resultado = definicion.calcularExacto(decimales);
+    } catch (err) {
+      throw errorDeCalculo(err);
+    }
+    // Se controla sin ceros sobrantes: 0.50 × 0.50 no debe contar los ceros de los factores.
+    resultado = simplificarDecimal(resultado);
+    if (cantidadCifras(resultado) > MAXIMO_DIGITOS_EXACTOS) {
+      throw errorConCodigo("RESULTADO_DEMASIADO_GRANDE", { tipo: op.tipo, maximo: MAXIMO_DIGITOS_EXACTOS }, "valores");
+    }
+    return resultado;
+  }
+
+  const motivo = definicion.validar(op.valores);
+  if (motivo) {
+    throw errorDeValidacion(motivo);
+  }
+
+  const resultado = definicion.calcular(op.valores);
+  if (!Number.isFinite(resultado)) {
+    throw errorConCodigo("RESULTADO_NO_FINITO", { tipo: op.tipo, resultado: String(resultado) }, "valores");
+  }
+  return resultado;
+}
+
+// promedio(valores)
+// - Propósito: media aritmética; la usan "promedio" y "desviacion".
+function promedio(valores) {
+  return valores.reduce((total, elemento) => total + elemento, 0) / valores.length;
+}
+
+// sumaExacta(decimales) / promedioExacto(decimales)
+// - Propósito: equivalentes exactos de la suma y el promedio (el promedio se redondea a ESCALA_EXACTA decimales).
+function sumaExacta(decimales) {
+  return decimales.reduce(sumarDecimales, CERO);
+}
+
+function promedioExacto(decimales) {
+  return dividirDecimales(sumaExacta(decimales), parsearDecimal(decimales.length), ESCALA_EXACTA);
+}
+
+// exponenteEntero(base, exponente)
+// - Propósito: convertir el exponente de "potencia" a number entero para la precisión exacta.
+// - Lanza Error con código si no es entero (una potencia fraccionaria no tiene resultado decimal exacto)
+//   o si el resultado tendría más de MAXIMO_DIGITOS_EXACTOS cifras, enteras o decimales (1e-5000 ^ 2000 también).
+function exponenteEntero(base, exponente) {
+  if (restoDecimales(exponente, { valor: 1n, escala: 0 }).valor !== 0n) {
+    throw errorConCodigo("EXPONENTE_NO_ENTERO", { exponente: formatearDecimal(exponente) }, "valores");
+  }
+  const entero = Number(dividirDecimales(exponente, { valor: 1n, escala: 0 }, 0).valor);
+  if (base.valor !== 0n && cantidadCifras(simplificarDecimal(base)) * Math.abs(entero) > MAXIMO_DIGITOS_EXACTOS) {
+    throw errorConCodigo("RESULTADO_DEMASIADO_GRANDE", { tipo: "potencia", maximo: MAXIMO_DIGITOS_EXACTOS }, "valores");
+  }
+  return entero;
+}
+
+// Tipos incluidos. Cada uno declara su aridad y sus validaciones; los cálculos no mutan 'valores'.
+registrarOperacion("suma", {
+  descripcion: "Suma de todos los valores.",
+  minimo: 1,
+  calcular: valores => valores.reduce((total, elemento) => total + elemento, 0),
+  calcularExacto: sumaExacta
+});
+
+registrarOperacion("resta", {
+  descripcion: "Primer valor menos todos los siguientes.",
+  minimo: 2,
+  calcular: ([primero, ...resto]) => resto.reduce((total, elemento) => total - elemento, primero),
+  calcularExacto: ([primero, ...resto]) => resto.reduce(restarDecimales, primero)
+});
+
+registrarOperacion("multiplicacion", {
+  descripcion: "Producto de todos los valores.",
+  minimo: 1,
+  calcular: valores => valores.reduce((total, elemento) => total * elemento, 1),
+  calcularExacto: valores => valores.reduce(multiplicarDecimales, { valor: 1n, escala: 0 })
+});
+
+registrarOperacion("division", {
+  descripcion: "Primer valor dividido sucesivamente por los siguientes.",
+  minimo: 2,
+  // Justificación: en JavaScript x / 0 da Infinity o NaN sin lanzar error; se rechaza antes con un motivo claro.
+  validar: valores => {
+    const posicion = valores.findIndex((valor, i) => i > 0 && valor === 0);
+    return posicion > 0 ? { codigo: "DIVISION_POR_CERO", parametros: { posicion: posicion + 1 } } : null;
+  },
+  calcular: ([primero, ...resto]) => resto.reduce((total, elemento) => total / elemento, primero),
+  // Se divide una sola vez por el producto de los divisores: un solo redondeo en lugar de uno por paso.
+  calcularExacto: ([primero, ...resto]) => dividirDecimales(primero, resto.reduce(multiplicarDecimales), ESCALA_EXACTA)
+});
+
+registrarOperacion("promedio", {
+  descripcion: "Media aritmética de los valores.",
+  minimo: 1,
+  calcular: promedio,
+  calcularExacto: promedioExacto
+});
+
+registrarOperacion("potencia", {
+  descripcion: "Primer valor (base) elevado al segundo (exponente).",
+  minimo: 2,
+  maximo: 2,
+  validar: ([base, exponente]) => {
+    if (base === 0 && exponente < 0) return { codigo: "POTENCIA_CERO_NEGATIVO" };
+    if (base < 0 && !Number.isInteger(exponente)) return { codigo: "POTENCIA_BASE_NEGATIVA" };
+    return null;
+  },
+  calcular: ([base, exponente]) => base ** exponente,
+  calcularExacto: ([base, exponente]) => potenciaDecimal(base, exponenteEntero(base, exponente), ESCALA_EXACTA)
+});
+
+registrarOperacion("min", {
+  descripcion: "Menor de los valores.",
+  minimo: 1,
+  calcular: valores => Math.min(...valores),
+  calcularExacto: valores => valores.reduce((menor, d) => compararDecimales(d, menor) < 0 ? d : menor)
+});
+
+registrarOperacion("max", {
+  descripcion: "Mayor de los valores.",
+  minimo: 1,
+  calcular: valores => Math.max(...valores),
+  calcularExacto: valores => valores.reduce((mayor, d) => compararDecimales(d, mayor) > 0 ? d : mayor)
+});
+
+registrarOperacion("mediana", {
+  descripcion: "Valor central de los valores ordenados (promedio de los dos centrales si la cantidad es par).",
+  minimo: 1,
+  calcular: valores => {
+    // Se ordena una copia: el arreglo de la operación no se modifica.
+    const ordenados = [...valores].sort((a, b) => a - b);
+    const mitad = Math.floor(ordenados.length / 2);
+    return ordenados.length % 2 === 1 ? ordenados[mitad] : (ordenados[mitad - 1] + ordenados[mitad]) / 2;
+  },
+  calcularExacto: valores => {
+    const ordenados = [...valores].sort(compararDecimales);
+    const mitad = Math.floor(ordenados.length / 2);
+    // (a + b) / 2 = (a + b) × 0.5: exacto, sin división.
+    return ordenados.length % 2 === 1
+      ? ordenados[mitad]
+      : multiplicarDecimales(sumarDecimales(ordenados[mitad - 1], ordenados[mitad]), MEDIO);
+  }
+});
+
+registrarOperacion("desviacion", {
+  descripcion: "Desviación estándar poblacional de los valores.",
+  minimo: 2,
+  calcular: valores => {
+    const media = promedio(valores);
+    return Math.sqrt(valores.reduce((total, elemento) => total + (elemento - media) ** 2, 0) / valores.length);
+  },
+  // Varianza exacta sin pasar por la media redondeada: (n·Σx² − (Σx)²) / n².
+  calcularExacto: valores => {
+    const n = parsearDecimal(valores.length);
+    const sumaCuadrados = sumaExacta(valores.map(d => multiplicarDecimales(d, d)));
+    const suma = sumaExacta(valores);
+    const numerador = restarDecimales(multiplicarDecimales(n, sumaCuadrados), multiplicarDecimales(suma, suma));
+    const varianza = dividirDecimales(numerador, multiplicarDecimales(n, n), 2 * ESCALA_EXACTA);
+    return raizCuadradaDecimal(varianza, ESCALA_EXACTA);
+  }
+});
+
+registrarOperacion("modulo", {
+  descripcion: "Resto de dividir el primer valor por el segundo (con el signo del primero, como el operador %).",
+  minimo: 2,
+  maximo: 2,
+  validar: ([, divisor]) => divisor === 0 ? { codigo: "MODULO_POR_CERO" } : null,
+  calcular: ([dividendo, divisor]) => dividendo % divisor,
+  calcularExacto: ([dividendo, divisor]) => restoDecimales(dividendo, divisor)
+});
@@ -0,0 +1,79 @@
+// Módulo responsable de:
+// - Definir los estados del ciclo de vida de una solicitud y una tabla explícita de transiciones permitidas.
+// - Rechazar con un error claro cualquier transición que no esté en la tabla.
+// - Registrar cada transición con su fecha y hora (historial) sin mutar el ciclo anterior.
+
+// Tabla de transiciones: estado => estados a los que puede pasar.
+// - pendiente: recién recibida (o aprobada "en espera" de un técnico).
+// - asignada: aprobada y con técnico (la asigna el procesamiento, ver tecnicos.js).
+// - rechazada: no pasó la validación o el procesamiento. Final.
+// - en progreso: el técnico comenzó el trabajo.
+// - resuelta: el técnico terminó; falta la conformidad del cliente.
+// - cerrada: el cliente dio conformidad. Final.
+// - reabierta: el cliente no quedó conforme con la resolución; vuelve a trabajarse.
+// - cancelada: el cliente o la empresa la dieron de baja antes de resolverla. Final.
+export const TRANSICIONES_SOLICITUD = {
+  "pendiente": ["asignada", "rechazada", "cancelada"],
+  "asignada": ["en progreso", "cancelada"],
+  "en progreso": ["resuelta", "cancelada"],
+  "resuelta": ["cerrada", "reabierta"],
+  "reabierta": ["en progreso", "cancelada"],
+  "cerrada": [],
+  "rechazada": [],
+  "cancelada": []
+};
+
+// Estados del ciclo de vida (en el orden de la tabla).
+export const ESTADOS_SOLICITUD = Object.keys(TRANSICIONES_SOLICITUD);
+
+// Estados a los que solo llega el procesamiento de ejecutarSolicitudes (no se eligen desde el menú).
+export const ESTADOS_AUTOMATICOS = ["asignada", "rechazada"];
+
+// crearCiclo(ahora, motivo)
+// - Propósito: ciclo de vida inicial de una solicitud.
+// - Salida: { estado: "pendiente", historial: [{ estado, desde, en, motivo }] }.
+//   - en: fecha y hora ISO de la transición; desde: estado anterior (null en la primera entrada).
+export function crearCiclo(ahora = new Date(), motivo = "Solicitud recibida.") {
+  return {
+    estado: "pendiente",
+    historial: [{ estado: "pendiente", desde: null, en: ahora.toISOString(), motivo }]
+  };
+}
+
+// transicionesPosibles(estado)
+// - Salida: estados a los que se puede pasar desde 'estado' (arreglo vacío si es final o no existe).
+export function transicionesPosibles(estado) {
+  return TRANSICIONES_SOLICITUD[estado] ?? [];
+}
+
+// transicionar(ciclo, destino, opciones)
+// - Propósito: aplicar una transición del ciclo de vida.
+// - Entrada:
+//   - ciclo: { estado, historial } actual (no se modifica).
+//   - destino: estado al que se quiere pasar.
+//   - opciones.ahora: Date de la transición (por defecto, ahora); opciones.motivo: texto para el historial.
+// - Salida: ciclo nuevo con el estado destino y una entrada más en el historial.
+// - Lanza Error si el destino no es un estado conocido o si la transición no está en TRANSICIONES_SOLICITUD.
+export function transicionar(ciclo, destino, opciones = {}) {
+  const { ahora = new Date(), motivo = null } = opciones;
+  if (!ESTADOS_SOLICITUD.includes(destino)) {
+    throw new Error(`Estado de solicitud no reconocido: ${destino} (use ${ESTADOS_SOLICITUD.join(", ")}).`);
+  }
+  const posibles = transicionesPosibles(ciclo.estado);
+  if (!posibles.includes(destino)) {
+    const alternativas = posibles.length > 0 ? `desde ${ciclo.estado} solo se puede pasar a ${posibles.join(", ")}` : `${ciclo.estado} es un estado final`;
+    throw new Error(`Transición no permitida: ${ciclo.estado} → ${destino} (${alternativas}).`);
+  }
+  return {
+    estado: destino,
+    historial: [...ciclo.historial, { estado: destino, desde: ciclo.estado, en: ahora.toISOString(), motivo }]
+  };
+}
+
+// describirHistorial(ciclo)
+// - Propósito: líneas legibles del historial para la consola.
+// - Ejemplo: "2026-10-19T14:03:12.000Z  asignada → en progreso  (Técnico en camino.)"
+export function describirHistorial(ciclo) {
+  return ciclo.historial.map(({ estado, desde, en, motivo }) =>
+    `${en}  ${desde ? `${desde} → ${estado}` : estado}${motivo ? `  (${motivo})` : ""}`);
+}
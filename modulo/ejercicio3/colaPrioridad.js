@@ -0,0 +1,116 @@
+// Módulo responsable de:
+// - Ordenar las solicitudes validadas en una cola por prioridad (5 = más urgente) y luego por fechaSolicitud (más antigua primero).
+// - Envejecer las solicitudes que esperan mucho: su prioridad efectiva sube con la antigüedad para que no queden relegadas para siempre.
+// - Medir cuánto esperó cada solicitud en la cola antes de ser atendida.
+
+// Prioridad más alta del rango 1–5 que valida validarSolicitudConCallback: el envejecimiento nunca la supera.
+export const PRIORIDAD_MAXIMA = 5;
+
+// Configuración por defecto del envejecimiento.
+// - horasPorNivel: cada cuántas horas de antigüedad la prioridad efectiva sube un nivel.
+// - maximoAumento: tope de niveles que puede ganar una solicitud por antigüedad.
+// - Justificación: 72 h (tres días) por nivel y hasta 2 niveles; una prioridad 1 muy vieja llega a 3 y
+//   se adelanta a las nuevas de prioridad 2, pero ante un empate de prioridad efectiva gana la prioridad original.
+export const CONFIGURACION_COLA = {
+  horasPorNivel: 72,
+  maximoAumento: 2
+};
+
+const MS_POR_HORA = 60 * 60 * 1000;
+
+// antiguedadHoras(solicitud, ahora)
+// - Salida: horas transcurridas desde fechaSolicitud hasta 'ahora' (0 si la fecha no se puede interpretar o es futura).
+export function antiguedadHoras(solicitud, ahora) {
+  const ms = new Date(solicitud.fechaSolicitud).getTime();
+  if (Number.isNaN(ms)) return 0;
+  return Math.max(0, (ahora.getTime() - ms) / MS_POR_HORA);
+}
+
+// prioridadEfectiva(solicitud, ahora, configuracion)
+// - Propósito: prioridad con la que compite la solicitud en este momento.
+// - Salida: prioridad + niveles ganados por antigüedad, sin pasar maximoAumento ni PRIORIDAD_MAXIMA.
+// - Ejemplo: prioridad 3 con 150 h de antigüedad => 3 + 2 = 5.
+export function prioridadEfectiva(solicitud, ahora, configuracion = CONFIGURACION_COLA) {
+  const { horasPorNivel, maximoAumento } = { ...CONFIGURACION_COLA, ...configuracion };
+  const niveles = Math.min(maximoAumento, Math.floor(antiguedadHoras(solicitud, ahora) / horasPorNivel));
+  return Math.min(PRIORIDAD_MAXIMA, solicitud.prioridad + niveles);
+}
+
+// compararTurnos(a, b)
+// - Propósito: criterio de orden de la cola entre dos entradas ya evaluadas.
+// - Orden: prioridad efectiva (mayor primero), prioridad original (mayor primero),
+//   fechaSolicitud (más antigua primero; sin fecha válida, al final) y orden de llegada.
+function compararTurnos(a, b) {
+  const fecha = (entrada) => {
+    const ms = new Date(entrada.solicitud.fechaSolicitud).getTime();
+    return Number.isNaN(ms) ? Infinity : ms;
+  };
+  return (b.efectiva - a.efectiva)
+    || (b.solicitud.prioridad - a.solicitud.prioridad)
+    || (fecha(a) - fecha(b))
+    || (a.llegada - b.llegada);
+}
+
+// crearColaPrioridad(opciones)
+// - Propósito: cola de atención para solicitudes ya validadas.
+// - Entrada:
+//   - opciones.configuracion: cambios sobre CONFIGURACION_COLA.
+//   - opciones.reloj: () => Date con el momento actual (por defecto la hora del sistema).
+// - Salida: { encolar(solicitud), siguiente(), cantidad() }.
+//   - siguiente() devuelve { solicitud, turno, prioridadEfectiva, antiguedadHoras, esperaMs } o null si la cola está vacía.
+//     esperaMs: tiempo entre encolar y ser atendida.
+// - Diseño:
+//   - La prioridad efectiva se recalcula en cada siguiente(): una solicitud que espera sigue envejeciendo mientras se atienden otras.
+//   - Búsqueda lineal del mejor turno; los lotes son chicos y así no hace falta mantener un heap.
+//   - No muta las solicitudes.
+export function crearColaPrioridad(opciones = {}) {
+  const configuracion = { ...CONFIGURACION_COLA, ...opciones.configuracion };
+  const reloj = opciones.reloj ?? (() => new Date());
+  if (!(configuracion.horasPorNivel > 0) || !Number.isInteger(configuracion.maximoAumento) || configuracion.maximoAumento < 0) {
+    throw new Error("Configuración de la cola inválida: horasPorNivel debe ser mayor que 0 y maximoAumento un entero mayor o igual a 0.");
+  }
+
+  const pendientes = [];
+  let llegadas = 0;
+  let turnos = 0;
+
+  return {
+    encolar(solicitud) {
+      pendientes.push({ solicitud, llegada: llegadas++, encoladaEn: reloj() });
+    },
+
+    siguiente() {
+      if (pendientes.length === 0) return null;
+      const ahora = reloj();
+      const evaluadas = pendientes.map(entrada => ({
+        ...entrada,
+        efectiva: prioridadEfectiva(entrada.solicitud, ahora, configuracion)
+      }));
+      const mejor = evaluadas.reduce((elegida, entrada) => compararTurnos(entrada, elegida) < 0 ? entrada : elegida);
+      pendientes.splice(pendientes.findIndex(entrada => entrada.llegada === mejor.llegada), 1);
+
+      return {
+        solicitud: mejor.solicitud,
+        turno: ++turnos,
+        prioridadEfectiva: mejor.efectiva,
+        antiguedadHoras: antiguedadHoras(mejor.solicitud, ahora),
+        esperaMs: ahora.getTime() - mejor.encoladaEn.getTime()
+      };
+    },
+
+    cantidad() {
+      return pendientes.length;
+    }
+  };
+}
+
+// describirTurno(atendida)
+// - Propósito: línea del reporte con el orden de atención y la espera de una solicitud.
+// - Ejemplo: "Turno 2: solicitud 1 (prioridad 3 → 5 por antigüedad de 7.5 días), esperó 1.2 s en la cola."
+export function describirTurno({ solicitud, turno, prioridadEfectiva: efectiva, antiguedadHoras: horas, esperaMs }) {
+  const antiguedad = horas >= 24 ? `${(horas / 24).toFixed(1)} días` : `${horas.toFixed(1)} h`;
+  const prioridad = efectiva > solicitud.prioridad
+    ? `prioridad ${solicitud.prioridad} → ${efectiva} por antigüedad de ${antiguedad}`
+    : `prioridad ${solicitud.prioridad}, antigüedad ${antiguedad}`;
+  return `Turno ${turno}: solicitud ${solicitud.id} (${prioridad}), esperó ${(esperaMs / 1000).toFixed(1)} s en la cola.`;
+}
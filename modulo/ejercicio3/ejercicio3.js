@@ -3,15 +3,60 @@
 // - Procesamiento asincrónico con promesas.
 // - Orquestación con async/await.
 // - Reporte claro y robusto en consola.
+import { auditarResultado, RUTA_AUDITORIA } from "../comun/auditoria.js";
+import {
+  cargarColeccion,
+  seleccionarRegistros,
+  marcarProcesado,
+  describirColeccion,
+  rutaColeccion,
+  guardarColeccion,
+  agregarRegistros,
+  leerElementosJson
+} from "../comun/almacen.js";
+import { crearColaPrioridad, describirTurno } from "./colaPrioridad.js";
+import { cargarTecnicos, crearAsignador, asignarTecnico, ocupacionGuardada, fechaDelDia } from "./tecnicos.js";
+import { crearCiclo, transicionar, ESTADOS_AUTOMATICOS } from "./cicloVida.js";
+import { combinarConfiguracionSla, evaluarSla, describirSla, resumirSla } from "./sla.js";
+import { crearReporte } from "../comun/reportes.js";
+import { exigirEsquema } from "../comun/esquemas.js";
+import { errorConCodigo } from "../comun/mensajes.js";
+import { crearResultado, resultadoDeError } from "../comun/resultados.js";
+import { SERVICIO_POR_DEFECTO, llamarConTiempoMaximo } from "../comun/servicioSimulado.js";
+import { crearNotificador } from "../comun/eventos.js";
+import { esCancelacion, validarTiempoMaximo } from "../comun/lotes.js";
+import { parsearFechaEstricta } from "../ejercicio1/fechas.js";
+
+// Esquema de una solicitud (ver comun/esquemas.js): campos mínimos y sus restricciones, descritos una sola vez.
+// - id: number para asegurar identificación consistente.
+// - cliente: string no vacío; garantiza trazabilidad y mensajes personalizados con el nombre del cliente.
+// - tipoServicio: string; si es "instalacion", "mantenimiento" o "soporte" se decide en el procesamiento.
+// - prioridad: entero entre 1 y 5; evita prioridades inválidas que afecten el orden de la cola
+//   (2.5 no es un nivel: el envejecimiento suma niveles enteros y el SLA busca las horas por nivel).
+// - activo: boolean para decidir con claridad si se procesa o no.
+// - fechaSolicitud: fecha ISO 8601 real (string o Date, ver ejercicio1/fechas.js); la cola y el SLA la usan para calcular
+//   antigüedad y vencimiento, así que "mañana" o "2025-13-45" se rechazan con el código de la fecha (FECHA_FORMATO, FECHA_MES...).
+//   No se controla el futuro: una solicitud puede registrarse con fecha programada.
+// Qué tipos de servicio se aprueban no es parte del esquema: se decide al procesar (procesarSolicitudConPromesa).
+export const ESQUEMA_SOLICITUD = {
+  id: { tipo: "numero" },
+  cliente: { tipo: "texto", noVacio: true },
+  tipoServicio: { tipo: "texto" },
+  prioridad: { tipo: "numero", entero: true, minimo: 1, maximo: 5 },
+  activo: { tipo: "booleano" },
+  fechaSolicitud: { tipo: ["texto", "fecha"], valida: fecha => parsearFechaEstricta(fecha, { toleranciaFuturoMs: Infinity }) }
+};
 
 // En primer lugar vamos a validarSolicitudConCallback(solicitud, callback)
 // - Propósito: validar una solicitud de servicio usando el patrón de callbacks.
 // - Entrada:
-//   - solicitud: objeto con los campos mínimos { id, cliente, tipoServicio, prioridad, activo, fechaSolicitud }.
+//   - solicitud: objeto con los campos de ESQUEMA_SOLICITUD { id, cliente, tipoServicio, prioridad, activo, fechaSolicitud }.
 //   - callback: función a la que se le entrega el resultado de la validación (aquí devolvemos errores controlados como resultado).
 // - Salida (vía callback):
 //   - Si la solicitud es válida y está activa: callback(null, solicitud) => continúa el flujo con la solicitud validada.
-//   - Si hay reglas incumplidas o la solicitud está inactiva: callback(null, { id, estado: "rechazada", motivo }) => error controlado y flujo continúa.
+//   - Si hay reglas incumplidas o la solicitud está inactiva: callback(null, { id, estado: "rechazada", motivo, codigo, campo, parametros })
+//     => error controlado y flujo continúa (forma común, ver comun/resultados.js).
+//     Con reglas incumplidas el motivo las enumera todas y 'errores' lista cada una: [{ campo, codigo, parametros, mensaje }].
 // - Diseño:
 //   - try/catch envuelve toda la validación para convertir cualquier excepción en un objeto de “rechazada” sin bloquear el programa.
 //   - No se muta el objeto de entrada (inmutabilidad).
@@ -21,111 +66,54 @@ export function validarSolicitudConCallback(solicitud, callback) {
     //    - Evita trabajar con null/undefined, que romperían el acceso a las propiedades.
     //    - Si encuentra una discrepancia, se lanza un Error con un mensaje claro.
     if (!solicitud) {
-      throw new Error("La solicitud se encuentra vacía o indefinida.");
-    }
-
-    // 2) Validación del id:
-    //    - Debe ser de tipo number para asegurar identificación consistente y operaciones numéricas si hicieran falta.
-    if (typeof solicitud.id !== "number") {
-      throw new Error(`Solicitud inválida: id "${solicitud.id}" no es numérico.`);
-    }
-
-    // 3) Validación del cliente:
-    //    - Debe ser string y no estar vacío (trim elimina espacios al inicio/fin).
-    //    - Garantiza trazabilidad y mensajes personalizados con el nombre del cliente.
-    if (typeof solicitud.cliente !== "string" || solicitud.cliente.trim().length === 0) {
-      throw new Error(`Solicitud ${solicitud.id}: el cliente debe ser un string y no debe estar vacío.`);
-    }
-
-    // 4) Validación del tipo de servicio:
-    //    - Debe ser string.
-    //    - La validación de si es “instalacion”, “mantenimiento”, “soporte” se hará en el procesamiento;
-    //      aquí verificamos el tipo de dato y dejamos el detalle de negocio para otra línea de código.
-    if (typeof solicitud.tipoServicio !== "string") {
-      throw new Error(`Solicitud ${solicitud.id}: el tipo de servicio debe ser un string.`);
+      throw errorConCodigo("ENTIDAD_VACIA", { entidad: "solicitud" });
     }
 
-    // 5) Validación de la prioridad:
-    //    - Debe ser número y estar dentro del rango definido (1–5).
-    //    - El rango prioriza la urgencia; evita prioridades inválidas que afecten decisiones.
-    if (typeof solicitud.prioridad !== "number" || solicitud.prioridad < 1 || solicitud.prioridad > 5) {
-      throw new Error(`Solicitud ${solicitud.id}: la prioridad debe ser un número entre 1 y 5.`);
-    }
+    // 2) Campos según ESQUEMA_SOLICITUD:
+    //    - Se revisan todos los campos; si alguno no cumple se lanza un Error con todas las violaciones juntas.
+    exigirEsquema(solicitud, ESQUEMA_SOLICITUD, { entidad: "solicitud" });
 
-    // 6) Validación de activo:
-    //    - Debe ser boolean para tomar decisiones claras (procesar o no)
-    if (typeof solicitud.activo !== "boolean") {
-      throw new Error(`Solicitud ${solicitud.id}: el campo 'activo' debe ser booleano.`);
-    }
-  
-    // 7) Validación de fecha:
-    //    - Aceptamos string (para formatos tipo ISO) o Date (para objetos fecha).
-    //    - No imponemos formato aquí; corroboramos el tipo para evitar errores posteriores.
-    if (!(typeof solicitud.fechaSolicitud === "string" || solicitud.fechaSolicitud instanceof Date)) {
-      throw new Error(`Solicitud ${solicitud.id}: la fecha debe ser string o Date.`);
-    }
-
-    // 8) Solicitud inactiva
+    // 3) Solicitud inactiva
     //    - Si no está activa, devolvemos rechazo inmediato vía callback.
     //    - No lanzamos Error (primer argumento del callback, en este caso es null): esto NO es una falla técnica, es una decisión de negocio. 
     if (!solicitud.activo) {
-      return callback(null, {
-        id: solicitud.id,
-        estado: "rechazada",
-        motivo: "La solicitud está inactiva."
-      });
+      return callback(null, crearResultado({ id: solicitud.id, estado: "rechazada", codigo: "SOLICITUD_INACTIVA", campo: "activo" }));
     }
 
-    // 9) Éxito en validación:
+    // 4) Éxito en validación:
     //    - Si todo lo anterior se cumple, retornamos la solicitud validada.
     //    - Se usa el estilo err:'null' en el primer parámetro indica que no hubo error técnico.
     return callback(null, solicitud);
   
   } catch (err) {
-    // 10) Manejo de errores (try/catch):
+    // 5) Manejo de errores (try/catch):
     //     - Cualquier excepción de validación se transforma en un resultado “rechazada”.
     //     - Se garantiza continuidad del flujo (no se bloquea el sistema).
     //     - id: solicitud?.id ?? "desconocido" protegen el acceso a 'id' en casos externos.
-    // Combinación: op?.id ?? "desconocido"
-    // Primero intenta obtener op.id de forma segura.
-    // Si op no existe o id es undefined/null, entonces devuelve "desconocido".
-    // Así evitamos errores y siempre tenemos un valor válido para id.
-    return callback(null, {
-      id: solicitud?.id ?? "desconocido",
-      estado: "rechazada",
-      motivo: `Error: ${err.message}`
-    });
+    //     - resultadoDeError toma el código del error (o de la primera violación del esquema) y copia
+    //       las violaciones (err.violaciones) en 'errores', con la ruta de cada campo.
+    //     - Si la solicitud no existe o no tiene id, el id del resultado es "desconocido".
+    return callback(null, resultadoDeError("solicitud", solicitud, "rechazada", err));
   }
 }
 
-// delay(ms) 
-// - Propósito: simular una espera asincrónica, como si dependiera de un servicio externo. 
-// - Entrada: ms (milisegundos a esperar). 
-// - Salida: Promesa que se resuelve después del tiempo indicado.
-// - Diseño: se usa setTimeout envuelto en una Promesa para integrarse con async/await
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// tiempoAleatorio()
-// - Propósito: generar un tiempo aleatorio de espera entre 300 y 2000 ms.
-// - Salida: número entero en milisegundos. 
-// - Diseño: se usa Math.random() para simular variabilidad en tiempos de respuesta.
-function tiempoAleatorio() {
-  const min = 300;
-  const max = 2000;
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-// procesarSolicitudConPromesa(solicitud)  
+// procesarSolicitudConPromesa(solicitud, opciones)  
 // procesar la solicitud validada usando el patrón de Promesas.
-export function procesarSolicitudConPromesa(solicitud) {
+// - opciones.servicio: servicio simulado que aporta la latencia y las fallas inyectadas
+//   (ver comun/servicioSimulado.js; por defecto SERVICIO_POR_DEFECTO, 300 a 2000 ms sin fallas).
+// - opciones.tiempoMaximoMs: cota de esa espera; si se supera, la solicitud se rechaza con TIEMPO_MAXIMO_SUPERADO (motivo "timeout: ...").
+// - opciones.senal: AbortSignal del lote; si se cancela durante la espera, la Promesa rechaza con LOTE_CANCELADO.
+export function procesarSolicitudConPromesa(solicitud, opciones = {}) {
   // Crea una promesa que resuelve con el resultado del procesamiento.
-  return new Promise(async (resolve) => {
+  return new Promise(async (resolve, reject) => {
     try {
       // Manejo de posibles errores durante el procesamiento. 
       // Simulamos tiempo de espera como si dependiera de un servicio externo
-      await delay(tiempoAleatorio());   // Introduce latencia aleatoria para emular un servicio externo.
+      // Introduce latencia aleatoria (o una falla inyectada) para emular un servicio externo.
+      await llamarConTiempoMaximo(opciones.servicio ?? SERVICIO_POR_DEFECTO, "solicitudes", {
+        tiempoMaximoMs: opciones.tiempoMaximoMs,
+        senal: opciones.senal
+      });
 
       // Normaliza el tipo de servicio y evalúa reglas de negocio.
       // toLowerCase() devuelve el valor en minúsculas de la cadena que realiza la llamada.
@@ -134,95 +122,211 @@ export function procesarSolicitudConPromesa(solicitud) {
         case "mantenimiento":
         case "soporte":
           // Aprobada si pasa validaciones
-          resolve({
+          resolve(crearResultado({
             id: solicitud.id,
             estado: "aprobada",
-            motivo: `Solicitud de ${solicitud.tipoServicio} aprobada para cliente ${solicitud.cliente}.`
-          });
+            codigo: "SOLICITUD_APROBADA",
+            parametros: { tipoServicio: solicitud.tipoServicio, cliente: solicitud.cliente }
+          }));
           break;
         default:
           // Tipo no reconocido
-          resolve({
+          resolve(crearResultado({
             id: solicitud.id,
             estado: "rechazada",
-            motivo: `Tipo de servicio no reconocido: ${solicitud.tipoServicio}`
-          });
+            codigo: "TIPO_SERVICIO_NO_RECONOCIDO",
+            campo: "tipoServicio",
+            parametros: { tipoServicio: solicitud.tipoServicio }
+          }));
       }
     // Si ocurre una excepción durante el procesamiento.
     } catch (err) {
+      // La cancelación del lote sí rechaza la promesa: la solicitud no se decide y sigue pendiente.
+      if (esCancelacion(err)) return reject(err);
       // Resuelve con rechazo controlado (no se rechaza la promesa para simplificar el flujo).
-      resolve({
-        // Combinación: op?.id ?? "desconocido"
-        // Primero intenta obtener op.id de forma segura.
-        // Si op no existe o id es undefined/null, entonces devuelve "desconocido".
-        // Así evitamos errores y siempre tenemos un valor válido para id.
-        id: solicitud?.id ?? "desconocido",
-        estado: "rechazada",
-        motivo: `Error: ${err.message}`   // Mensaje de error capturado.
-      });
+      // El id es "desconocido" si la solicitud no lo tiene; un error sin código queda como ERROR_INESPERADO.
+      resolve(resultadoDeError("solicitud", solicitud, "rechazada", err));
     }
   });
 }
 
 // Orquesta la validación y procesamiento usando async/await.
-export async function ejecutarSolicitudes() {
+// Cada resultado queda en el registro de auditoría (opciones.auditoria: false lo desactiva; opciones.rutaAuditoria cambia el archivo).
+// Las solicitudes y sus resultados se guardan en data/solicitudes.json (ver comun/almacen.js): solo se procesan las pendientes.
+// - opciones.reprocesar: true procesa todas de nuevo; opciones.directorioDatos cambia la carpeta; opciones.almacen: false trabaja solo en memoria.
+// Primero se validan todas; las válidas se atienden por prioridad y fecha, no en el orden del arreglo (ver colaPrioridad.js).
+// - opciones.cola: cambios sobre CONFIGURACION_COLA (horasPorNivel, maximoAumento); opciones.reloj: () => Date para el momento actual.
+// - opciones.servicio: servicio simulado del procesamiento (ver comun/servicioSimulado.js). Sin opciones.reloj,
+//   el momento actual sale del reloj del servicio: con el reloj virtual la espera en la cola es la latencia simulada.
+// Cada solicitud aprobada recibe un técnico del plantel (data/tecnicos.json, ver tecnicos.js) o queda "en espera"
+// si nadie calificado tiene capacidad ese día; las "en espera" se vuelven a intentar en la próxima ejecución.
+// - opciones.rutaTecnicos cambia el archivo del plantel.
+// Cada registro guarda además su ciclo de vida (registro.ciclo, ver cicloVida.js): el procesamiento lleva la solicitud
+// de pendiente a asignada o rechazada; "en espera" la deja pendiente. Los pasos siguientes se dan con avanzarSolicitud.
+// - opciones.archivo: JSON con un arreglo de solicitudes; se agregan como pendientes (sin archivo se usan los datos de prueba).
+//   opciones.elementos: el mismo arreglo ya interpretado (ej: cuerpo de la API HTTP); tiene prioridad sobre opciones.archivo.
+//   opciones.soloRecibidos: true procesa solo las solicitudes que agregó esta importación
+//   (ni el resto de las pendientes ni las "en espera").
+// - opciones.eventos: EventEmitter u objeto de funciones que recibe inicio, validado (al entrar a la cola),
+//   procesado / fallido ("en espera" cuenta como procesado) y fin (ver comun/eventos.js).
+// - opciones.tiempoMaximoMs: tiempo máximo de cada solicitud esperando al servicio (ver procesarSolicitudConPromesa).
+// - opciones.senal: AbortSignal para cancelar el lote (ej: Ctrl+C). No se atienden más solicitudes de la cola, la que
+//   esperaba al servicio queda pendiente y el resumen es parcial (indica cuántas quedaron sin procesar).
+// - Salida: Promesa con el reporte estructurado (ver comun/reportes.js), además del reporte en consola:
+//   items en el orden en que se decidieron; conteos: total, aprobadas, rechazadas, enEspera, sinProcesar;
+//   totales: esperaPromedioMs en la cola y cumplimiento de SLA por tipo (resumirSla); ordenAtencion: ids de la cola;
+//   yaAlmacenados: solicitudes recibidas que ya estaban en el almacén (ver agregarRegistros);
+//   cancelado: true si la cancelación dejó solicitudes sin procesar.
+// El resumen incluye una sección SLA: vencimiento por prioridad y tipo, solicitudes en riesgo o incumplidas
+// y cumplimiento por tipo de servicio (ver sla.js). opciones.sla: cambios sobre CONFIGURACION_SLA.
+export async function ejecutarSolicitudes(opciones = {}) {
   console.log("\nGestionando solicitudes de servicio (Ejercicio 3)");   // Encabezado informativo en consola.
+  // Eventos de avance del lote (ver comun/eventos.js).
+  const { notificar, notificarResultado } = crearNotificador(opciones.eventos, "solicitudes");
+  validarTiempoMaximo(opciones.tiempoMaximoMs);
+
+  // Solicitudes recibidas en memoria (opciones.elementos, ej: API HTTP) o de un archivo JSON (opciones.archivo):
+  // se agregan al almacén como pendientes.
+  const importadas = opciones.elementos ?? (opciones.archivo ? await leerElementosJson(opciones.archivo) : null);
+  if (importadas) {
+    const origen = opciones.elementos ? "Elementos recibidos" : `Archivo: ${opciones.archivo}`;
+    console.log(`${origen} — ${importadas.length} solicitudes leídas.`);
+  }
+
+  // Solicitudes guardadas en el almacén (la primera vez se crea con los datos de prueba de arrSolicitudes(), salvo que se importe un archivo).
+  const coleccion = opciones.almacen === false
+    ? null
+    : await cargarColeccion("solicitudes", { directorio: opciones.directorioDatos, iniciales: importadas ? [] : arrSolicitudes() });
+  const { agregados, yaAlmacenados } = coleccion && importadas
+    ? agregarRegistros(coleccion, importadas)
+    : { agregados: [], yaAlmacenados: [] };
+  if (yaAlmacenados.length > 0) {
+    console.log(`${yaAlmacenados.length} solicitudes ya estaban en el almacén (no se agregan de nuevo).`);
+  }
+  // Registros a procesar: { datos, resultado }; sin almacén se envuelven los datos de prueba.
+  // Además de las pendientes se reintentan las que quedaron "en espera" de un técnico (salvo que se hayan cancelado).
+  const reintentar = (resultado, registro) => resultado?.estado === "en espera" && (registro.ciclo?.estado ?? "pendiente") === "pendiente";
+  const registros = coleccion
+    ? (importadas && opciones.soloRecibidos ? agregados : seleccionarRegistros(coleccion, opciones.reprocesar, reintentar))
+    : (importadas ?? arrSolicitudes()).map(datos => ({ datos }));
+  if (coleccion) {
+    console.log(describirColeccion(coleccion, registros));
+  }
 
-  // Datos de prueba generados por la función auxiliar.
-  const solicitudes = arrSolicitudes();
+  // Plantel de técnicos y capacidad del día: se descuentan las asignaciones de hoy que ya están guardadas
+  // (las de los registros que se reprocesan ahora no cuentan: se vuelven a asignar).
+  const servicio = opciones.servicio ?? SERVICIO_POR_DEFECTO;
+  const reloj = opciones.reloj ?? servicio.reloj.ahora;
+  const tecnicos = await cargarTecnicos(opciones.rutaTecnicos ?? rutaColeccion("tecnicos", opciones.directorioDatos));
+  const fecha = fechaDelDia(reloj());
+  const anteriores = (coleccion?.registros ?? []).filter(r => !registros.includes(r)).map(r => r.resultado);
+  const asignador = crearAsignador(tecnicos, { fecha, ocupacion: ocupacionGuardada(anteriores, fecha) });
   // Acumula resultados individuales de cada solicitud.
   const resultados = [];
+  // Registra la decisión en la auditoría encadenada (no interrumpe el flujo si el disco falla).
+  const auditar = (solicitud, resultado) => opciones.auditoria === false
+    ? Promise.resolve()
+    : auditarResultado("solicitudes", solicitud, resultado, opciones.rutaAuditoria ?? RUTA_AUDITORIA);
+  // Anota el resultado en el almacén para que la solicitud deje de estar pendiente
+  // (el archivo se escribe una sola vez, al terminar el lote).
+  const persistir = (registro, resultado) => {
+    if (coleccion) marcarProcesado(coleccion, registro, resultado);
+  };
+
+  // Ciclo de vida según la decisión. Una solicitud que ya salió de pendiente (por ejemplo, reprocesada
+  // cuando estaba en progreso) conserva su ciclo: reprocesar revisa el resultado, no deshace el trabajo hecho.
+  const actualizarCiclo = (registro, resultado) => {
+    const ahora = reloj();
+    const ciclo = registro.ciclo ?? crearCiclo(ahora);
+    if (ciclo.estado !== "pendiente" || resultado.estado === "en espera") return ciclo;
+    const destino = resultado.estado === "aprobada" ? "asignada" : "rechazada";
+    return transicionar(ciclo, destino, { ahora, motivo: resultado.motivo });
+  };
+
+  // Reporta, audita y anota una decisión (en ese orden, de a una por vez).
+  const registrarDecision = async (registro, resultado) => {
+    registro.ciclo = actualizarCiclo(registro, resultado);
+    resultados.push(resultado);
+    console.log(`Solicitud ${resultado.id}: ${resultado.estado} => ${resultado.motivo}`);
+    await auditar(registro.datos, resultado);
+    persistir(registro, resultado);
+    notificarResultado(resultado, registro.datos);
+  };
+  // Resultado estandarizado para un error inesperado no capturado por las funciones internas.
+  // Combinación: solicitud?.id ?? "desconocido": acceso seguro al id, siempre hay un valor válido.
+  const falloInesperado = (solicitud, err) => crearResultado({
+    id: solicitud?.id ?? "desconocido",
+    estado: "rechazada",    // Marca como rechazado por falla inesperada.
+    codigo: "ERROR_INESPERADO",
+    parametros: { detalle: err.message }    // Detalle del error para el motivo.
+  });
+
+  // Cola de atención: ordena por prioridad (5 = más urgente) y fechaSolicitud, con envejecimiento (ver colaPrioridad.js).
+  const cola = crearColaPrioridad({ configuracion: opciones.cola, reloj });
+  // La cola guarda solicitudes; este mapa recupera su registro del almacén al atenderlas.
+  const registroDe = new Map();
+
+  notificar("inicio", { total: registros.length });
 
-  // Itera secuencialmente sobre cada solicitud del arreglo.
-  for (const solicitud of solicitudes) {
+  // 1) Validación con callback de todos los registros pendientes.
+  //    - Las rechazadas se informan enseguida (no ocupan lugar en la cola).
+  //    - Las válidas entran a la cola.
+  for (const registro of registros) {
+    if (opciones.senal?.aborted) break;   // cancelado: el resto queda pendiente
+    const solicitud = registro.datos;
     // Captura errores inesperados en el flujo de cada iteración.
     try {
-      // Validación con callback
       // Envuelve el callback en una Promesa para usar await.
       const validada = await new Promise(resolve => {
         // Invoca la validación y resuelve con el resultado controlado.
         validarSolicitudConCallback(solicitud, (err, res) => resolve(res));
       });
 
-      // Si la validación devolvió directamente un resultado rechazado
-      // Detecta rechazo de negocio o error técnico convertido.
+      // Detecta rechazo de negocio o error técnico convertido: se registra sin intentar procesamiento adicional.
       if (validada.estado === "rechazada") {
-        // Registra el resultado rechazado para el resumen final.
-        resultados.push(validada);
-        // Reporta en consola el motivo del rechazo.
-        console.log(`Solicitud ${validada.id}: ${validada.estado} => ${validada.motivo}`);
-        // Pasa a la siguiente solicitud sin intentar procesamiento adicional.
+        await registrarDecision(registro, validada);
         continue;
       }
 
-      // Procesamiento con promesa
-      // Procesa la solicitud validada y espera el resultado.
-      const resultado = await procesarSolicitudConPromesa(validada);
-      // Acumula el resultado (aprobada o rechazada) para el resumen.
-      resultados.push(resultado);
-      // Reporta el resultado de procesamiento.
-      console.log(`Solicitud ${resultado.id}: ${resultado.estado} => ${resultado.motivo}`);
-      
-      // Maneja cualquier error inesperado no capturado por las funciones internas.
+      registroDe.set(validada, registro);
+      cola.encolar(validada);
+      notificar("validado", { id: validada.id, elemento: solicitud });
     } catch (err) {
-      // Construye un objeto de resultado estandarizado para el error inesperado.
-      const fallo = {
-        // Usa acceso seguro para obtener el id si está disponible.
-        // Combinación: op?.id ?? "desconocido"
-        // Primero intenta obtener op.id de forma segura.
-        // Si op no existe o id es undefined/null, entonces devuelve "desconocido".
-        // Así evitamos errores y siempre tenemos un valor válido para id.
-        id: solicitud?.id ?? "desconocido",
-        estado: "rechazada",    // Marca como rechazado por falla inesperada.
-        motivo: `Error inesperado: ${err.message}`    // Mensaje con el detalle del error.
-      };
-      // Registra el fallo para el resumen.
-      resultados.push(fallo);
-      // Reporta la falla en consola.
-      console.log(`Solicitud ${fallo.id}: ${fallo.estado} => ${fallo.motivo}`);
+      await registrarDecision(registro, falloInesperado(solicitud, err));
     }
   }
 
+  // 2) Procesamiento con promesa en el orden de la cola.
+  //    - Antes de cada resultado se informa el turno, la prioridad efectiva y cuánto esperó en la cola.
+  const atendidas = [];
+  for (let atendida = cola.siguiente(); atendida && !opciones.senal?.aborted; atendida = cola.siguiente()) {
+    const registro = registroDe.get(atendida.solicitud);
+    atendidas.push(atendida);
+    console.log(describirTurno(atendida));
+    try {
+      // Procesa la solicitud validada y espera el resultado (aprobada o rechazada).
+      const resultado = await procesarSolicitudConPromesa(atendida.solicitud, {
+        servicio,
+        tiempoMaximoMs: opciones.tiempoMaximoMs,
+        senal: opciones.senal
+      });
+      // Asignación: la aprobada recibe técnico o queda "en espera" con el motivo.
+      await registrarDecision(registro, asignarTecnico(resultado, atendida.solicitud, asignador));
+    } catch (err) {
+      // Cancelación: la solicitud atendida no se decide (sigue pendiente, fuera del orden de atención) y se deja de atender la cola.
+      if (esCancelacion(err)) {
+        atendidas.pop();
+        break;
+      }
+      await registrarDecision(registro, falloInesperado(atendida.solicitud, err));
+    }
+  }
+
+  // Almacén: una sola escritura por lote con todos los resultados (también si se canceló).
+  if (coleccion) {
+    await guardarColeccion(coleccion);
+  }
+
   // Resumen final
   // Cuenta cuántas solicitudes fueron aprobadas.
   // El método filter() crea un nuevo array con todos los elementos que cumplan la condición implementada por la función dada.
@@ -233,12 +337,104 @@ export async function ejecutarSolicitudes() {
   const rechazadas = resultados.filter(r => r.estado === "rechazada").length;
 
   console.log("\nResumen");
+  // Cancelación: las solicitudes que no llegaron a decidirse siguen pendientes.
+  const sinProcesar = registros.length - resultados.length;
+  if (sinProcesar > 0) {
+    console.log(`Lote cancelado: ${sinProcesar} de ${registros.length} solicitudes sin procesar (siguen pendientes).`);
+  }
   // Total de solicitudes gestionadas.
   console.log(`Solicitudes procesadas: ${resultados.length}`);
   // Total de aprobadas.
   console.log(`Solicitudes aprobadas: ${aprobadas}`);
   // Total de rechazadas
   console.log(`Solicitudes rechazadas: ${rechazadas}`);
+  // Aprobadas que esperan un técnico con capacidad.
+  const enEspera = resultados.filter(r => r.estado === "en espera").length;
+  if (enEspera > 0) {
+    console.log(`Solicitudes en espera de técnico: ${enEspera}`);
+  }
+  // Orden en que se atendieron las solicitudes de la cola y espera promedio.
+  const esperaPromedio = atendidas.length > 0
+    ? atendidas.reduce((total, a) => total + a.esperaMs, 0) / atendidas.length
+    : null;
+  if (atendidas.length > 0) {
+    console.log(`Orden de atención: ${atendidas.map(a => a.solicitud.id).join(", ")}`);
+    console.log(`Espera promedio en la cola: ${(esperaPromedio / 1000).toFixed(1)} s`);
+  }
+
+  // Sección SLA de las solicitudes de esta ejecución (las rechazadas y canceladas no se miden).
+  const ahora = reloj();
+  const configuracionSla = combinarConfiguracionSla(opciones.sla);
+  const evaluaciones = registros
+    .map(registro => evaluarSla(registro.datos, registro.ciclo, ahora, configuracionSla))
+    .filter(Boolean);
+  if (evaluaciones.length > 0) {
+    console.log("\nSLA (respuesta = asignación de técnico)");
+    describirSla(evaluaciones, ahora).forEach(linea => console.log(linea));
+  }
+
+  // Reporte estructurado con los mismos datos del resumen; el evento "fin" lo entrega a los oyentes.
+  const reporte = crearReporte("solicitudes", {
+    items: resultados,
+    conteos: { aprobadas, rechazadas, enEspera, sinProcesar },
+    totales: { esperaPromedioMs: esperaPromedio, sla: resumirSla(evaluaciones) },
+    ordenAtencion: atendidas.map(a => a.solicitud.id),
+    yaAlmacenados,
+    cancelado: sinProcesar > 0
+  });
+  notificar("fin", { conteos: reporte.conteos, totales: reporte.totales, cancelado: reporte.cancelado, reporte });
+  return reporte;
+}
+
+// buscarSolicitudGuardada(id, opciones)
+// - Propósito: encontrar en el almacén la solicitud con ese id (la última, si el id se repite).
+// - Salida: Promesa con { coleccion, registro }.
+// - Lanza Error si no existe o si todavía no tiene ciclo de vida (no fue procesada).
+async function buscarSolicitudGuardada(id, opciones = {}) {
+  const coleccion = await cargarColeccion("solicitudes", { directorio: opciones.directorioDatos });
+  const registro = coleccion.registros.findLast(r => r.datos?.id === id);
+  if (!registro) {
+    throw new Error(`No hay ninguna solicitud con id ${id} en ${coleccion.ruta}.`);
+  }
+  if (!registro.ciclo) {
+    throw new Error(`La solicitud ${id} no tiene ciclo de vida todavía: procésela primero (opción 2; si ya tenía resultado, con reprocesar).`);
+  }
+  return { coleccion, registro };
+}
+
+// consultarSolicitud(id, opciones)
+// - Propósito: ver el ciclo de vida guardado de una solicitud (para el menú, antes de avanzarla).
+// - Salida: Promesa con { estado, historial }.
+export async function consultarSolicitud(id, opciones = {}) {
+  const { registro } = await buscarSolicitudGuardada(id, opciones);
+  return registro.ciclo;
+}
+
+// avanzarSolicitud(id, destino, opciones)
+// - Propósito: mover una solicitud guardada al siguiente paso de su ciclo de vida (en progreso, resuelta, cerrada...).
+// - Entrada:
+//   - id: id de la solicitud; destino: estado al que pasa (ver TRANSICIONES_SOLICITUD).
+//   - opciones.motivo: comentario para el historial; opciones.reloj: () => Date; opciones.directorioDatos.
+//   - opciones.auditoria / opciones.rutaAuditoria: igual que en ejecutarSolicitudes.
+// - Salida: Promesa con el ciclo nuevo (ya guardado en el almacén).
+// - Lanza Error si la solicitud no existe, si la transición no es válida o si el destino es automático
+//   (asignada y rechazada solo las decide el procesamiento).
+// - Diseño: la transición queda en el historial del ciclo y también en la auditoría encadenada.
+export async function avanzarSolicitud(id, destino, opciones = {}) {
+  if (ESTADOS_AUTOMATICOS.includes(destino)) {
+    throw new Error(`El estado ${destino} lo decide el procesamiento de solicitudes (opción 2); no se elige a mano.`);
+  }
+  const { coleccion, registro } = await buscarSolicitudGuardada(id, opciones);
+  const anterior = registro.ciclo.estado;
+  const ahora = (opciones.reloj ?? (() => new Date()))();
+  registro.ciclo = transicionar(registro.ciclo, destino, { ahora, motivo: opciones.motivo || null });
+  await guardarColeccion(coleccion);
+
+  if (opciones.auditoria !== false) {
+    const motivo = `Transición ${anterior} → ${destino}.${opciones.motivo ? ` ${opciones.motivo}` : ""}`;
+    await auditarResultado("solicitudes", registro.datos, { id, estado: destino, motivo }, opciones.rutaAuditoria ?? RUTA_AUDITORIA);
+  }
+  return registro.ciclo;
 }
 
 // Genera y devuelve un arreglo de solicitudes de ejemplo.
@@ -250,6 +446,7 @@ export function arrSolicitudes() {
     { id: 3, cliente: "", tipoServicio: "soporte", prioridad: 2, activo: true, fechaSolicitud: "2025-12-02" },            // Error: cliente vacío (será rechazado en validación).
     { id: 4, cliente: "Luis", tipoServicio: "auditoria", prioridad: 4, activo: true, fechaSolicitud: "2025-12-03" },      // Tipo no reconocido (será rechazado en procesamiento).
     { id: 5, cliente: "Marta", tipoServicio: "soporte", prioridad: 7, activo: true, fechaSolicitud: "2025-12-04" },       // Prioridad fuera de rango (será rechazado en validación).
-    { id: 6, cliente: "Pedro", tipoServicio: "instalacion", prioridad: 1, activo: false, fechaSolicitud: "2025-12-05" }   // Inactiva (rechazo inmediato por decisión de negocio).
+    { id: 6, cliente: "Pedro", tipoServicio: "instalacion", prioridad: 1, activo: false, fechaSolicitud: "2025-12-05" },  // Inactiva (rechazo inmediato por decisión de negocio).
+    { id: 7, cliente: "Sofía", tipoServicio: "soporte", prioridad: 4, activo: true, fechaSolicitud: new Date() }          // Caso válido: prioridad alta pero reciente; la 1, más antigua, la pasa por envejecimiento.
   ];  // Fin del retorno del arreglo de prueba.
 } // Fin de arrSolicitudes.
\ No newline at end of file
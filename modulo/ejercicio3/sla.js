@@ -0,0 +1,143 @@
+// Módulo responsable de:
+// - Definir los tiempos de respuesta comprometidos (SLA) por prioridad y tipo de servicio.
+// - Calcular el vencimiento de cada solicitud a partir de fechaSolicitud.
+// - Detectar solicitudes en riesgo o con el SLA incumplido y resumir el cumplimiento por tipo de servicio.
+
+// Configuración por defecto.
+// - horasPorPrioridad: horas para responder según la prioridad (5 = más urgente).
+// - porTipo: excepciones por tipo de servicio; solo se indican las prioridades que cambian.
+//   Ejemplo: una instalación necesita coordinar visita y materiales, así que tiene más margen en prioridades bajas.
+// - umbralRiesgo: fracción del plazo consumida a partir de la cual una solicitud sin respuesta está "en riesgo".
+// - La respuesta es la asignación de un técnico (transición pendiente → asignada del ciclo de vida).
+export const CONFIGURACION_SLA = {
+  horasPorPrioridad: { 5: 4, 4: 8, 3: 24, 2: 48, 1: 72 },
+  porTipo: {
+    instalacion: { 2: 72, 1: 120 }
+  },
+  umbralRiesgo: 0.75
+};
+
+// Estados de SLA de una solicitud.
+// - cumplido: se respondió antes del vencimiento.
+// - incumplido: se respondió tarde, o venció sin respuesta.
+// - en riesgo: sin respuesta y con más de umbralRiesgo del plazo consumido.
+// - en plazo: sin respuesta, con margen.
+export const ESTADOS_SLA = ["cumplido", "incumplido", "en riesgo", "en plazo"];
+
+const MS_POR_HORA = 60 * 60 * 1000;
+
+// combinarConfiguracionSla(configuracion)
+// - Propósito: mezclar los cambios recibidos con CONFIGURACION_SLA sin perder las prioridades no indicadas.
+export function combinarConfiguracionSla(configuracion = {}) {
+  const porTipo = { ...CONFIGURACION_SLA.porTipo };
+  for (const [tipo, horas] of Object.entries(configuracion.porTipo ?? {})) {
+    porTipo[tipo] = { ...porTipo[tipo], ...horas };
+  }
+  return {
+    ...CONFIGURACION_SLA,
+    ...configuracion,
+    horasPorPrioridad: { ...CONFIGURACION_SLA.horasPorPrioridad, ...configuracion.horasPorPrioridad },
+    porTipo
+  };
+}
+
+// horasObjetivo(solicitud, configuracion)
+// - Salida: horas comprometidas para responder la solicitud (la excepción del tipo, si existe, o la de su prioridad).
+export function horasObjetivo(solicitud, configuracion = CONFIGURACION_SLA) {
+  const tipo = solicitud.tipoServicio.toLowerCase();
+  return configuracion.porTipo?.[tipo]?.[solicitud.prioridad] ?? configuracion.horasPorPrioridad[solicitud.prioridad];
+}
+
+// calcularVencimiento(solicitud, configuracion)
+// - Salida: Date con el vencimiento (fechaSolicitud + horas objetivo), o null si la fecha no se puede interpretar.
+export function calcularVencimiento(solicitud, configuracion = CONFIGURACION_SLA) {
+  const inicio = new Date(solicitud.fechaSolicitud).getTime();
+  const horas = horasObjetivo(solicitud, configuracion);
+  if (Number.isNaN(inicio) || horas === undefined) return null;
+  return new Date(inicio + horas * MS_POR_HORA);
+}
+
+// evaluarSla(solicitud, ciclo, ahora, configuracion)
+// - Propósito: situación del SLA de una solicitud en el momento 'ahora'.
+// - Entrada: ciclo de vida de la solicitud (ver cicloVida.js); la primera transición a "asignada" es la respuesta.
+// - Salida: { id, tipoServicio, estado, vencimiento, respondidaEn, horasObjetivo }
+//   o null si no corresponde medirla (rechazada, cancelada o sin fecha interpretable).
+export function evaluarSla(solicitud, ciclo, ahora, configuracion = CONFIGURACION_SLA) {
+  if (!ciclo || ciclo.estado === "rechazada" || ciclo.estado === "cancelada") return null;
+  const vencimiento = calcularVencimiento(solicitud, configuracion);
+  if (!vencimiento) return null;
+
+  const respuesta = ciclo.historial.find(paso => paso.estado === "asignada");
+  const respondidaEn = respuesta ? new Date(respuesta.en) : null;
+  const inicio = new Date(solicitud.fechaSolicitud).getTime();
+  const consumido = (ahora.getTime() - inicio) / (vencimiento.getTime() - inicio);
+
+  let estado;
+  if (respondidaEn) {
+    estado = respondidaEn <= vencimiento ? "cumplido" : "incumplido";
+  } else if (ahora > vencimiento) {
+    estado = "incumplido";
+  } else {
+    estado = consumido >= configuracion.umbralRiesgo ? "en riesgo" : "en plazo";
+  }
+
+  return {
+    id: solicitud.id,
+    tipoServicio: solicitud.tipoServicio.toLowerCase(),
+    estado,
+    vencimiento,
+    respondidaEn,
+    horasObjetivo: horasObjetivo(solicitud, configuracion)
+  };
+}
+
+// resumirSla(evaluaciones)
+// - Propósito: cumplimiento por tipo de servicio.
+// - Salida: { [tipo]: { cumplidas, incumplidas, enRiesgo, enPlazo, porcentaje } }.
+//   porcentaje = cumplidas / (cumplidas + incumplidas) × 100; null si todavía no hay ninguna definida.
+// - Diseño: las que siguen en plazo o en riesgo no cuentan en el porcentaje (aún pueden cumplirse).
+export function resumirSla(evaluaciones) {
+  const porTipo = {};
+  for (const evaluacion of evaluaciones) {
+    const tipo = porTipo[evaluacion.tipoServicio] ??= { cumplidas: 0, incumplidas: 0, enRiesgo: 0, enPlazo: 0, porcentaje: null };
+    if (evaluacion.estado === "cumplido") tipo.cumplidas++;
+    else if (evaluacion.estado === "incumplido") tipo.incumplidas++;
+    else if (evaluacion.estado === "en riesgo") tipo.enRiesgo++;
+    else tipo.enPlazo++;
+  }
+  for (const tipo of Object.values(porTipo)) {
+    const definidas = tipo.cumplidas + tipo.incumplidas;
+    tipo.porcentaje = definidas > 0 ? (tipo.cumplidas / definidas) * 100 : null;
+  }
+  return porTipo;
+}
+
+// describirSla(evaluaciones, ahora)
+// - Propósito: líneas de la sección SLA del resumen.
+// - Salida: una línea por tipo de servicio y una por cada solicitud en riesgo o incumplida.
+// - Ejemplo: "soporte: 50.0% cumplido (1 de 2), 1 en riesgo" / "Solicitud 1: incumplido — venció 2025-12-02T00:00:00.000Z, respondida 7680.5 h tarde."
+export function describirSla(evaluaciones, ahora) {
+  const lineas = [];
+  for (const [tipo, datos] of Object.entries(resumirSla(evaluaciones))) {
+    const cumplimiento = datos.porcentaje === null
+      ? "sin solicitudes definidas"
+      : `${datos.porcentaje.toFixed(1)}% cumplido (${datos.cumplidas} de ${datos.cumplidas + datos.incumplidas})`;
+    const abiertas = [
+      datos.enRiesgo > 0 ? `${datos.enRiesgo} en riesgo` : null,
+      datos.enPlazo > 0 ? `${datos.enPlazo} en plazo` : null
+    ].filter(Boolean);
+    lineas.push(`${tipo}: ${cumplimiento}${abiertas.length > 0 ? `, ${abiertas.join(", ")}` : ""}`);
+  }
+
+  const horas = (ms) => `${(ms / MS_POR_HORA).toFixed(1)} h`;
+  for (const e of evaluaciones) {
+    if (e.estado === "incumplido") {
+      lineas.push(e.respondidaEn
+        ? `Solicitud ${e.id}: incumplido — vencía ${e.vencimiento.toISOString()}, respondida ${horas(e.respondidaEn - e.vencimiento)} tarde.`
+        : `Solicitud ${e.id}: incumplido — venció ${e.vencimiento.toISOString()} sin técnico asignado (${horas(ahora - e.vencimiento)} de atraso).`);
+    } else if (e.estado === "en riesgo") {
+      lineas.push(`Solicitud ${e.id}: en riesgo — vence ${e.vencimiento.toISOString()} (quedan ${horas(e.vencimiento - ahora)}).`);
+    }
+  }
+  return lineas;
+}
@@ -0,0 +1,177 @@
+// Módulo responsable de:
+// - Cargar el plantel de técnicos desde un archivo local (especialidades, capacidad diaria y disponibilidad).
+// - Asignar un técnico a cada solicitud aprobada según su tipo de servicio y la capacidad que le queda en el día.
+// - Explicar por qué una solicitud queda "en espera" cuando nadie calificado puede tomarla.
+import { readFile } from "node:fs/promises";
+import { rutaColeccion } from "../comun/almacen.js";
+import { traducir } from "../comun/mensajes.js";
+import { crearResultado } from "../comun/resultados.js";
+
+// Archivo del plantel (data/tecnicos.json). Si no existe se usa TECNICOS_POR_DEFECTO.
+export const RUTA_TECNICOS = rutaColeccion("tecnicos");
+
+// Tipos de servicio que se pueden atender (los mismos que aprueba procesarSolicitudConPromesa).
+export const TIPOS_SERVICIO = ["instalacion", "mantenimiento", "soporte"];
+
+// Plantel por defecto (mismo formato que el archivo).
+// - especialidades: tipos de servicio que el técnico puede atender.
+// - capacidadDiaria: cantidad máxima de solicitudes que se le asignan por día.
+// - disponible: false = no recibe asignaciones (licencia, baja...).
+// - ausencias: días puntuales sin asignaciones (AAAA-MM-DD). Opcional.
+export const TECNICOS_POR_DEFECTO = {
+  tecnicos: [
+    { id: "T1", nombre: "Julia", especialidades: ["instalacion", "mantenimiento"], capacidadDiaria: 1, disponible: true },
+    { id: "T2", nombre: "Ramiro", especialidades: ["soporte"], capacidadDiaria: 3, disponible: true },
+    { id: "T3", nombre: "Elena", especialidades: ["instalacion", "soporte"], capacidadDiaria: 1, disponible: false }
+  ]
+};
+
+// validarPlantel(plantel, origen)
+// - Propósito: fallar al cargar (y no a mitad del lote) si el archivo está mal escrito.
+// - Lanza Error con el técnico y el campo que no cumple.
+function validarPlantel(plantel, origen) {
+  if (!Array.isArray(plantel?.tecnicos)) {
+    throw new Error(`Plantel de técnicos ${origen}: falta el arreglo 'tecnicos'.`);
+  }
+  const ids = new Set();
+  for (const tecnico of plantel.tecnicos) {
+    if (typeof tecnico?.id !== "string" || tecnico.id.trim().length === 0) {
+      throw new Error(`Plantel de técnicos ${origen}: cada técnico necesita un id (string no vacío).`);
+    }
+    if (ids.has(tecnico.id)) {
+      throw new Error(`Plantel de técnicos ${origen}: el id "${tecnico.id}" está repetido.`);
+    }
+    ids.add(tecnico.id);
+    if (typeof tecnico.nombre !== "string" || tecnico.nombre.trim().length === 0) {
+      throw new Error(`Plantel de técnicos ${origen}: el técnico ${tecnico.id} necesita un nombre.`);
+    }
+    if (!Array.isArray(tecnico.especialidades) || !tecnico.especialidades.every(e => TIPOS_SERVICIO.includes(e))) {
+      throw new Error(`Plantel de técnicos ${origen}: las especialidades de ${tecnico.id} deben ser de ${TIPOS_SERVICIO.join(", ")}.`);
+    }
+    if (!Number.isInteger(tecnico.capacidadDiaria) || tecnico.capacidadDiaria < 0) {
+      throw new Error(`Plantel de técnicos ${origen}: la capacidad diaria de ${tecnico.id} debe ser un entero mayor o igual a 0.`);
+    }
+    if (typeof tecnico.disponible !== "boolean") {
+      throw new Error(`Plantel de técnicos ${origen}: el campo 'disponible' de ${tecnico.id} debe ser booleano.`);
+    }
+    if (tecnico.ausencias !== undefined
+      && (!Array.isArray(tecnico.ausencias) || !tecnico.ausencias.every(d => /^\d{4}-\d{2}-\d{2}$/.test(d)))) {
+      throw new Error(`Plantel de técnicos ${origen}: las ausencias de ${tecnico.id} deben ser fechas AAAA-MM-DD.`);
+    }
+  }
+  return plantel;
+}
+
+// cargarTecnicos(ruta)
+// - Propósito: leer el plantel desde un archivo JSON con el formato de TECNICOS_POR_DEFECTO.
+// - Salida: Promesa con el arreglo de técnicos validado.
+// - Si el archivo no existe se usa TECNICOS_POR_DEFECTO; si existe pero es inválido se lanza Error.
+export async function cargarTecnicos(ruta = RUTA_TECNICOS) {
+  let texto;
+  try {
+    texto = await readFile(ruta, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return validarPlantel(TECNICOS_POR_DEFECTO, "por defecto").tecnicos;
+    throw new Error(`No se pudo leer el plantel de técnicos ${ruta}: ${err.message}`);
+  }
+  let plantel;
+  try {
+    plantel = JSON.parse(texto);
+  } catch (err) {
+    throw new Error(`Plantel de técnicos ${ruta}: no es JSON válido (${err.message}).`);
+  }
+  return validarPlantel(plantel, ruta).tecnicos;
+}
+
+// fechaDelDia(fecha)
+// - Salida: "AAAA-MM-DD" del día local de 'fecha' (el día en que se asigna el trabajo).
+export function fechaDelDia(fecha) {
+  const d = new Date(fecha);
+  const dosCifras = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${dosCifras(d.getMonth() + 1)}-${dosCifras(d.getDate())}`;
+}
+
+// crearAsignador(tecnicos, opciones)
+// - Propósito: repartir solicitudes aprobadas entre los técnicos de un día.
+// - Entrada:
+//   - tecnicos: plantel (de cargarTecnicos); no se modifica.
+//   - opciones.fecha: día de trabajo "AAAA-MM-DD".
+//   - opciones.ocupacion: Map idTecnico => solicitudes ya asignadas ese día (por ejemplo, en ejecuciones anteriores).
+// - Salida: { fecha, asignar(solicitud), ocupacion() }.
+//   - asignar devuelve { tecnico: { id, nombre } } y descuenta su capacidad, o { codigo, parametros, motivo } si nadie
+//     calificado tiene lugar (SIN_TECNICO_ESPECIALIDAD, SIN_TECNICO_DISPONIBLE o SIN_CAPACIDAD, ver comun/mensajes.js).
+//   - ocupacion() devuelve una copia del Map de asignaciones del día.
+// - Diseño: entre los técnicos calificados y disponibles se elige el que tiene más capacidad libre (reparte la carga);
+//   a igual capacidad libre, el primero del plantel.
+export function crearAsignador(tecnicos, opciones = {}) {
+  const { fecha } = opciones;
+  const ocupacion = new Map(opciones.ocupacion ?? []);
+  const libre = (tecnico) => tecnico.capacidadDiaria - (ocupacion.get(tecnico.id) ?? 0);
+  const sinTecnico = (codigo, parametros) => ({ codigo, parametros, motivo: traducir(codigo, parametros) });
+
+  return {
+    fecha,
+
+    asignar(solicitud) {
+      const tipo = solicitud.tipoServicio.toLowerCase();
+      const calificados = tecnicos.filter(t => t.especialidades.includes(tipo));
+      if (calificados.length === 0) {
+        return sinTecnico("SIN_TECNICO_ESPECIALIDAD", { tipo });
+      }
+      const presentes = calificados.filter(t => t.disponible && !(t.ausencias ?? []).includes(fecha));
+      if (presentes.length === 0) {
+        return sinTecnico("SIN_TECNICO_DISPONIBLE", { tipo, fecha });
+      }
+      const elegido = presentes.reduce((mejor, t) => libre(t) > libre(mejor) ? t : mejor);
+      if (libre(elegido) <= 0) {
+        return sinTecnico("SIN_CAPACIDAD", { tipo, fecha, tecnicos: presentes.map(t => t.nombre) });
+      }
+      ocupacion.set(elegido.id, (ocupacion.get(elegido.id) ?? 0) + 1);
+      return { tecnico: { id: elegido.id, nombre: elegido.nombre } };
+    },
+
+    ocupacion() {
+      return new Map(ocupacion);
+    }
+  };
+}
+
+// ocupacionGuardada(resultados, fecha)
+// - Propósito: contar las asignaciones de 'fecha' que ya figuran en resultados anteriores (almacén),
+//   para que dos ejecuciones del mismo día no superen la capacidad diaria.
+// - Salida: Map idTecnico => cantidad (entrada de opciones.ocupacion en crearAsignador).
+export function ocupacionGuardada(resultados, fecha) {
+  const ocupacion = new Map();
+  for (const resultado of resultados) {
+    if (resultado?.tecnico && resultado.fechaAsignacion === fecha) {
+      ocupacion.set(resultado.tecnico.id, (ocupacion.get(resultado.tecnico.id) ?? 0) + 1);
+    }
+  }
+  return ocupacion;
+}
+
+// asignarTecnico(resultado, solicitud, asignador)
+// - Propósito: paso de asignación que sigue a procesarSolicitudConPromesa.
+// - Salida: un resultado nuevo (el recibido no se muta):
+//   - rechazada: sin cambios (no necesita técnico).
+//   - aprobada con técnico: agrega { tecnico, fechaAsignacion } y lo informa en el motivo.
+//   - aprobada sin técnico: estado "en espera" con el código y el motivo del asignador; se reintenta en la próxima ejecución.
+export function asignarTecnico(resultado, solicitud, asignador) {
+  if (resultado.estado !== "aprobada") return resultado;
+  const { tecnico, codigo, parametros, motivo } = asignador.asignar(solicitud);
+  if (!tecnico) {
+    return crearResultado({
+      id: resultado.id,
+      estado: "en espera",
+      codigo,
+      parametros,
+      motivo: `${traducir("SOLICITUD_EN_ESPERA")} ${motivo}`
+    });
+  }
+  return {
+    ...resultado,
+    motivo: `${resultado.motivo} ${traducir("TECNICO_ASIGNADO", { nombre: tecnico.nombre, tecnico: tecnico.id })}`,
+    tecnico,
+    fechaAsignacion: asignador.fecha
+  };
+}
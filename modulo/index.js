@@ -3,5 +3,29 @@ import { ejecutarOperaciones } from "./ejercicio2/ejercicio2.js";
 import { ejecutarSolicitudes } from "./ejercicio3/ejercicio3.js";
 
 export * from './ejercicio1/ejercicio1.js'
+export * from './ejercicio1/importador.js'
+export * from './ejercicio1/libroMayor.js'
+export * from './ejercicio1/moneda.js'
+export * from './ejercicio1/fechas.js'
+export * from './ejercicio1/periodos.js'
+export * from './ejercicio1/reglasRiesgo.js'
+export * from './ejercicio1/duplicados.js'
 export * from './ejercicio2/ejercicio2.js'
-export * from './ejercicio3/ejercicio3.js'
\ No newline at end of file
+export * from './ejercicio2/registroOperaciones.js'
+export * from './ejercicio2/dependencias.js'
+export * from './ejercicio3/ejercicio3.js'
+export * from './ejercicio3/colaPrioridad.js'
+export * from './ejercicio3/tecnicos.js'
+export * from './ejercicio3/cicloVida.js'
+export * from './ejercicio3/sla.js'
+export * from './comun/auditoria.js'
+export * from './comun/almacen.js'
+export * from './comun/lotes.js'
+export * from './comun/reportes.js'
+export * from './comun/esquemas.js'
+export * from './comun/mensajes.js'
+export * from './comun/resultados.js'
+export * from './comun/servicioSimulado.js'
+export * from './comun/eventos.js'
+export * from './comun/servidorHttp.js'
+export * from './comun/lineaComandos.js'
\ No newline at end of file